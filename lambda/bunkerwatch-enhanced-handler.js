@@ -2,6 +2,7 @@ const { Pool } = require('pg');
 const crypto = require('crypto');
 const zlib = require('zlib');
 const util = require('util');
+const interpolationCore = require('./interpolationCore');
 
 const gzip = util.promisify(zlib.gzip);
 
@@ -123,6 +124,58 @@ const getVesselInfo = async (vesselId) => {
     };
 };
 
+// Default calibration axes (used when a vessel has no trim_axis / heel_axis of its own)
+const DEFAULT_TRIM_AXIS = [
+    { value: -4.0, column: 'trim_minus_4_0' },
+    { value: -3.0, column: 'trim_minus_3_0' },
+    { value: -2.0, column: 'trim_minus_2_0' },
+    { value: -1.5, column: 'trim_minus_1_5' },
+    { value: -1.0, column: 'trim_minus_1_0' },
+    { value: -0.5, column: 'trim_minus_0_5' },
+    { value: 0.0, column: 'trim_0_0' },
+    { value: 0.5, column: 'trim_plus_0_5' },
+    { value: 1.0, column: 'trim_plus_1_0' },
+    { value: 1.5, column: 'trim_plus_1_5' },
+    { value: 2.0, column: 'trim_plus_2_0' },
+    { value: 3.0, column: 'trim_plus_3_0' },
+    { value: 4.0, column: 'trim_plus_4_0' }
+];
+
+const DEFAULT_HEEL_AXIS = [
+    { value: -3.0, column: 'heel_minus_3_0' },
+    { value: -2.0, column: 'heel_minus_2_0' },
+    { value: -1.5, column: 'heel_minus_1_5' },
+    { value: -1.0, column: 'heel_minus_1_0' },
+    { value: -0.5, column: 'heel_minus_0_5' },
+    { value: 0.0, column: 'heel_0_0' },
+    { value: 0.5, column: 'heel_plus_0_5' },
+    { value: 1.0, column: 'heel_plus_1_0' },
+    { value: 1.5, column: 'heel_plus_1_5' },
+    { value: 2.0, column: 'heel_plus_2_0' },
+    { value: 3.0, column: 'heel_plus_3_0' }
+];
+
+/**
+ * Validate and sort a vessel calibration axis ([{ value, column }])
+ * Column names are interpolated into SQL, so only plain identifiers are accepted.
+ */
+const normalizeAxis = (axis, defaultAxis, prefix) => {
+    if (!Array.isArray(axis) || axis.length < 2) {
+        return defaultAxis;
+    }
+    const columnPattern = new RegExp(`^${prefix}_[a-z0-9_]+$`);
+    const normalized = axis.map(point => ({
+        value: parseFloat(point.value),
+        column: String(point.column)
+    }));
+    for (const point of normalized) {
+        if (isNaN(point.value) || !columnPattern.test(point.column)) {
+            throw new Error(`Invalid ${prefix} axis entry: ${JSON.stringify(point)}`);
+        }
+    }
+    return normalized.sort((a, b) => a.value - b.value);
+};
+
 /**
  * GET /vessel/{vessel_id}/data-package
  * Generate complete data package for offline use
@@ -133,7 +186,7 @@ const generateVesselDataPackage = async (vesselId) => {
         
         // 1. Get vessel info
         const vesselQuery = `
-            SELECT vessel_id, vessel_name, imo_number
+            SELECT vessel_id, vessel_name, imo_number, trim_axis, heel_axis, particulars
             FROM vessels
             WHERE vessel_id = $1
         `;
@@ -146,10 +199,17 @@ const generateVesselDataPackage = async (vesselId) => {
         const vessel = vesselResult.rows[0];
         console.log(`📦 [DATA-PACKAGE] Found vessel: ${vessel.vessel_name} (ID: ${vessel.vessel_id})`);
         
+        // Vessel-specific trim/heel grids (fall back to the standard columns)
+        const trimAxis = normalizeAxis(vessel.trim_axis, DEFAULT_TRIM_AXIS, 'trim');
+        const heelAxis = normalizeAxis(vessel.heel_axis, DEFAULT_HEEL_AXIS, 'heel');
+        console.log(`📦 [DATA-PACKAGE] Trim axis: ${trimAxis.map(t => t.value).join(', ')}`);
+        console.log(`📦 [DATA-PACKAGE] Heel axis: ${heelAxis.map(h => h.value).join(', ')}`);
+        
         // 2. Get compartments for this vessel - ONLY compartments with calibration data
         const compartmentsQuery = `
             SELECT DISTINCT c.compartment_id, c.vessel_id, c.compartment_name, 
-                   c.total_net_volume_m3 as capacity
+                   c.total_net_volume_m3 as capacity,
+                   c.ullage_reference_offset, c.sounding_datum_offset
             FROM compartments c
             INNER JOIN main_sounding_trim_data mstd 
                 ON c.compartment_id = mstd.compartment_id 
@@ -185,11 +245,7 @@ const generateVesselDataPackage = async (vesselId) => {
             const mainSoundingQuery = `
                 SELECT 
                     ullage, sound, lcg, tcg, vcg, iy,
-                    trim_minus_4_0, trim_minus_3_0, trim_minus_2_0, 
-                    trim_minus_1_5, trim_minus_1_0, trim_minus_0_5,
-                    trim_0_0,
-                    trim_plus_0_5, trim_plus_1_0, trim_plus_1_5,
-                    trim_plus_2_0, trim_plus_3_0, trim_plus_4_0
+                    ${trimAxis.map(t => t.column).join(', ')}
                 FROM main_sounding_trim_data
                 WHERE compartment_id = $1 AND vessel_id = $2
                 ORDER BY ullage
@@ -201,10 +257,7 @@ const generateVesselDataPackage = async (vesselId) => {
             const heelCorrectionQuery = `
                 SELECT 
                     ullage,
-                    heel_minus_3_0, heel_minus_2_0, heel_minus_1_5,
-                    heel_minus_1_0, heel_minus_0_5, heel_0_0,
-                    heel_plus_0_5, heel_plus_1_0, heel_plus_1_5,
-                    heel_plus_2_0, heel_plus_3_0
+                    ${heelAxis.map(h => h.column).join(', ')}
                 FROM heel_correction_data
                 WHERE compartment_id = $1 AND vessel_id = $2
                 ORDER BY ullage
@@ -226,6 +279,9 @@ const generateVesselDataPackage = async (vesselId) => {
             imo_number: vessel.imo_number,
             package_version: 1,
             generated_at: new Date().toISOString(),
+            trim_axis: trimAxis,
+            heel_axis: heelAxis,
+            particulars: vessel.particulars || null,
             compartments: compartments.rows,
             calibration_data: calibrationData,
             metadata: {
@@ -271,7 +327,8 @@ const generateVesselDataPackage = async (vesselId) => {
 const getVesselCompartments = async (vesselId) => {
     const query = `
         SELECT DISTINCT c.compartment_id, c.vessel_id, c.compartment_name, 
-               c.total_net_volume_m3 as capacity
+               c.total_net_volume_m3 as capacity,
+               c.ullage_reference_offset, c.sounding_datum_offset
         FROM compartments c
         INNER JOIN main_sounding_trim_data mstd 
             ON c.compartment_id = mstd.compartment_id 
@@ -316,14 +373,25 @@ const syncSoundings = async (vesselId, payload) => {
         let summaryId = null;
         
         // 1. Insert summary data first (if provided)
+        // A queued session re-sent after a partial upload already has its summary
         if (summary) {
+            const existingSummary = await client.query(
+                'SELECT report_id FROM sounding_reports WHERE session_id = $1',
+                [summary.session_id]
+            );
+            if (existingSummary.rows.length > 0) {
+                summaryId = existingSummary.rows[0].report_id;
+                console.log(`✓ Summary already saved with report_id: ${summaryId}`);
+            }
+        }
+        if (summary && !summaryId) {
             const summaryQuery = `
                 INSERT INTO sounding_reports (
                     vessel_id, session_id, recorded_at, report_date,
                     total_tanks, grand_total_mt, trim, heel,
-                    summary_data, sync_status, synced_at
+                    summary_data, mass_basis, drafts, consumption, sync_status, synced_at
                 ) VALUES (
-                    $1, $2, $3, $4, $5, $6, $7, $8, $9, 'synced', CURRENT_TIMESTAMP
+                    $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'synced', CURRENT_TIMESTAMP
                 )
                 RETURNING report_id
             `;
@@ -337,7 +405,10 @@ const syncSoundings = async (vesselId, payload) => {
                 summary.grand_total_mt,
                 summary.trim,
                 summary.heel || null,
-                JSON.stringify(summary.total_mass_by_fuel_grade) // Store as JSONB
+                JSON.stringify(summary.total_mass_by_fuel_grade), // Store as JSONB
+                summary.mass_basis || null,
+                summary.drafts ? JSON.stringify(summary.drafts) : null,
+                summary.consumption ? JSON.stringify(summary.consumption) : null
             ]);
             
             summaryId = summaryResult.rows[0].report_id;
@@ -361,13 +432,22 @@ const syncSoundings = async (vesselId, payload) => {
             const insertQuery = `
                 INSERT INTO sounding_logs (
                     vessel_id, compartment_id, session_id, recorded_at, report_date,
-                    ullage, trim, heel, fuel_grade, density, temperature,
-                    base_volume, heel_correction, final_volume, calculated_mt,
+                    ullage, sounding, input_mode, raw_reading, reading_offset,
+                    trim, heel, trim_source, heel_source,
+                    fuel_grade, density, temperature,
+                    base_volume, heel_correction, final_volume,
+                    free_water_sounding, free_water_volume, net_standard_volume,
+                    vcf, gross_standard_volume, wcf, calculated_mt, mass_basis,
+                    out_of_range, range_flags, heel_status, calculation_warnings,
+                    anomaly_flags, remark,
+                    entered_units, entered_values,
                     user_name, device_info, app_version, client_id,
                     sync_status, synced_at
                 ) VALUES (
                     $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
-                    $12, $13, $14, $15, $16, $17, $18, $19, 'synced', CURRENT_TIMESTAMP
+                    $12, $13, $14, $15, $16, $17, $18, $19, $20, $21,
+                    $22, $23, $24, $25, $26, $27, $28, $29, $30, $31,
+                    $32, $33, $34, $35, $36, $37, $38, $39, $40, 'synced', CURRENT_TIMESTAMP
                 )
                 RETURNING log_id
             `;
@@ -379,15 +459,36 @@ const syncSoundings = async (vesselId, payload) => {
                 sounding.recorded_at,
                 sounding.report_date,
                 sounding.ullage,
+                sounding.sounding ?? null,
+                sounding.input_mode || 'ullage',
+                sounding.raw_reading ?? null,
+                sounding.reading_offset ?? null,
                 sounding.trim,
                 sounding.heel || null,
+                sounding.trim_source || null,
+                sounding.heel_source || null,
                 sounding.fuel_grade || null,
                 sounding.density || null,
                 sounding.temperature || null,
                 sounding.base_volume,
                 sounding.heel_correction || 0,
                 sounding.final_volume,
+                sounding.free_water_sounding ?? null,
+                sounding.free_water_volume ?? null,
+                sounding.net_standard_volume ?? null,
+                sounding.vcf || null,
+                sounding.gross_standard_volume || null,
+                sounding.wcf || null,
                 sounding.calculated_mt || null,
+                sounding.mass_basis || null,
+                sounding.out_of_range || false,
+                sounding.range_flags ? JSON.stringify(sounding.range_flags) : null,
+                sounding.heel_status || null,
+                sounding.calculation_warnings ? JSON.stringify(sounding.calculation_warnings) : null,
+                sounding.anomaly ? JSON.stringify(sounding.anomaly) : null,
+                sounding.remark || null,
+                sounding.entered_units ? JSON.stringify(sounding.entered_units) : null,
+                sounding.entered_values ? JSON.stringify(sounding.entered_values) : null,
                 sounding.user_name || null,
                 sounding.device_info || null,
                 sounding.app_version || null,
@@ -448,10 +549,11 @@ const syncBunkering = async (vesselId, bunkeringOps) => {
                     vessel_id, bunker_name, fuel_grade, density, temperature,
                     total_quantity_mt, trim, heel, started_at, completed_at,
                     supplier_name, port_name, user_name, client_id,
+                    bdn_number, sulphur, trim_source, heel_source, drafts,
                     sync_status, synced_at
                 ) VALUES (
                     $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
-                    $11, $12, $13, $14, 'synced', CURRENT_TIMESTAMP
+                    $11, $12, $13, $14, $15, $16, $17, $18, $19, 'synced', CURRENT_TIMESTAMP
                 )
                 RETURNING bunkering_id
             `;
@@ -461,7 +563,10 @@ const syncBunkering = async (vesselId, bunkeringOps) => {
                 bunker.density, bunker.temperature, bunker.total_quantity_mt,
                 bunker.trim, bunker.heel, bunker.started_at, bunker.completed_at,
                 bunker.supplier_name, bunker.port_name, bunker.user_name,
-                bunker.client_id
+                bunker.client_id,
+                bunker.bdn_number || null, bunker.sulphur ?? null,
+                bunker.trim_source || null, bunker.heel_source || null,
+                bunker.drafts ? JSON.stringify(bunker.drafts) : null
             ]);
             
             const bunkeringId = opResult.rows[0].bunkering_id;
@@ -502,596 +607,212 @@ const syncBunkering = async (vesselId, bunkeringOps) => {
     }
 };
 
-// =====================================================
-// EXISTING: Interpolation and Sounding Functions
-// (Keep all your existing functions here - they're perfect!)
-// =====================================================
-
-// [... all your existing getTrimColumn, getHeelColumn, getTrimBounds, 
-//  getHeelBounds, linearInterpolate, getUllageBounds, etc. functions ...]
-
-// I'll include them for completeness:
-
-const getTrimColumn = (trimValue) => {
-    const trimFloat = parseFloat(trimValue);
-    if (trimFloat >= 4.0) return 'trim_plus_4_0';
-    if (trimFloat >= 3.0) return 'trim_plus_3_0';
-    if (trimFloat >= 2.0) return 'trim_plus_2_0';
-    if (trimFloat >= 1.5) return 'trim_plus_1_5';
-    if (trimFloat >= 1.0) return 'trim_plus_1_0';
-    if (trimFloat >= 0.5) return 'trim_plus_0_5';
-    if (trimFloat >= 0.0) return 'trim_0_0';
-    if (trimFloat >= -0.5) return 'trim_minus_0_5';
-    if (trimFloat >= -1.0) return 'trim_minus_1_0';
-    if (trimFloat >= -1.5) return 'trim_minus_1_5';
-    if (trimFloat >= -2.0) return 'trim_minus_2_0';
-    if (trimFloat >= -3.0) return 'trim_minus_3_0';
-    return 'trim_minus_4_0';
-};
-
-const getHeelColumn = (heelValue) => {
-    const heelFloat = parseFloat(heelValue);
-    if (heelFloat >= 3.0) return 'heel_plus_3_0';
-    if (heelFloat >= 2.0) return 'heel_plus_2_0';
-    if (heelFloat >= 1.5) return 'heel_plus_1_5';
-    if (heelFloat >= 1.0) return 'heel_plus_1_0';
-    if (heelFloat >= 0.5) return 'heel_plus_0_5';
-    if (heelFloat >= 0.0) return 'heel_0_0';
-    if (heelFloat >= -0.5) return 'heel_minus_0_5';
-    if (heelFloat >= -1.0) return 'heel_minus_1_0';
-    if (heelFloat >= -1.5) return 'heel_minus_1_5';
-    if (heelFloat >= -2.0) return 'heel_minus_2_0';
-    return 'heel_minus_3_0';
-};
-
-const getTrimBounds = (targetTrim) => {
-    const trimRanges = [
-        { value: -4.0, column: 'trim_minus_4_0' },
-        { value: -3.0, column: 'trim_minus_3_0' },
-        { value: -2.0, column: 'trim_minus_2_0' },
-        { value: -1.5, column: 'trim_minus_1_5' },
-        { value: -1.0, column: 'trim_minus_1_0' },
-        { value: -0.5, column: 'trim_minus_0_5' },
-        { value: 0.0, column: 'trim_0_0' },
-        { value: 0.5, column: 'trim_plus_0_5' },
-        { value: 1.0, column: 'trim_plus_1_0' },
-        { value: 1.5, column: 'trim_plus_1_5' },
-        { value: 2.0, column: 'trim_plus_2_0' },
-        { value: 3.0, column: 'trim_plus_3_0' },
-        { value: 4.0, column: 'trim_plus_4_0' }
-    ];
-
-    const target = parseFloat(targetTrim);
-    const exactMatch = trimRanges.find(t => t.value === target);
-    if (exactMatch) {
-        return { exact: true, column: exactMatch.column };
-    }
-
-    let lowerTrim = null, upperTrim = null;
-    for (let i = 0; i < trimRanges.length - 1; i++) {
-        if (target > trimRanges[i].value && target < trimRanges[i + 1].value) {
-            lowerTrim = trimRanges[i];
-            upperTrim = trimRanges[i + 1];
-            break;
-        }
-    }
-
-    if (!lowerTrim || !upperTrim) {
-        if (target < trimRanges[0].value) {
-            return { outOfRange: true, message: `Trim ${target} is below minimum supported trim ${trimRanges[0].value}` };
-        } else {
-            return { outOfRange: true, message: `Trim ${target} is above maximum supported trim ${trimRanges[trimRanges.length - 1].value}` };
-        }
-    }
-
-    return { exact: false, lowerTrim, upperTrim };
-};
-
-const getHeelBounds = (targetHeel) => {
-    const heelRanges = [
-        { value: -3.0, column: 'heel_minus_3_0' },
-        { value: -2.0, column: 'heel_minus_2_0' },
-        { value: -1.5, column: 'heel_minus_1_5' },
-        { value: -1.0, column: 'heel_minus_1_0' },
-        { value: -0.5, column: 'heel_minus_0_5' },
-        { value: 0.0, column: 'heel_0_0' },
-        { value: 0.5, column: 'heel_plus_0_5' },
-        { value: 1.0, column: 'heel_plus_1_0' },
-        { value: 1.5, column: 'heel_plus_1_5' },
-        { value: 2.0, column: 'heel_plus_2_0' },
-        { value: 3.0, column: 'heel_plus_3_0' }
-    ];
-
-    const target = parseFloat(targetHeel);
-    const exactMatch = heelRanges.find(h => h.value === target);
-    if (exactMatch) {
-        return { exact: true, column: exactMatch.column };
-    }
-
-    let lowerHeel = null, upperHeel = null;
-    for (let i = 0; i < heelRanges.length - 1; i++) {
-        if (target > heelRanges[i].value && target < heelRanges[i + 1].value) {
-            lowerHeel = heelRanges[i];
-            upperHeel = heelRanges[i + 1];
-            break;
-        }
-    }
-
-    if (!lowerHeel || !upperHeel) {
-        if (target < heelRanges[0].value) {
-            return { outOfRange: true, message: `Heel ${target} is below minimum supported heel ${heelRanges[0].value}` };
-        } else {
-            return { outOfRange: true, message: `Heel ${target} is above maximum supported heel ${heelRanges[heelRanges.length - 1].value}` };
-        }
-    }
-
-    return { exact: false, lowerHeel, upperHeel };
-};
-
-const linearInterpolate = (x1, y1, x2, y2, x) => {
-    const nx1 = parseFloat(x1);
-    const ny1 = parseFloat(y1);
-    const nx2 = parseFloat(x2);
-    const ny2 = parseFloat(y2);
-    const nx = parseFloat(x);
-    
-    if (nx1 === nx2) return ny1;
-    return ny1 + (ny2 - ny1) * ((nx - nx1) / (nx2 - nx1));
-};
-
-const getUllageBounds = async (compartmentId, targetUllage) => {
-    const query = `
-        SELECT DISTINCT ullage 
-        FROM main_sounding_trim_data 
-        WHERE compartment_id = $1 
-        ORDER BY ullage
-    `;
-    
-    const result = await pool.query(query, [compartmentId]);
-    const ullages = result.rows.map(row => parseFloat(row.ullage));
-    
-    if (ullages.length === 0) {
-        return { outOfRange: true, message: 'No ullage data found for this compartment' };
-    }
-
-    const target = parseFloat(targetUllage);
-    
-    if (ullages.includes(target)) {
-        return { exact: true, ullage: target };
-    }
-
-    let lowerUllage = null, upperUllage = null;
-    
-    for (let i = 0; i < ullages.length - 1; i++) {
-        if (target > ullages[i] && target < ullages[i + 1]) {
-            lowerUllage = ullages[i];
-            upperUllage = ullages[i + 1];
-            break;
-        }
-    }
-
-    if (lowerUllage === null || upperUllage === null) {
-        if (target < ullages[0]) {
-            return { outOfRange: true, message: `Ullage ${target} is below minimum ullage ${ullages[0]}` };
-        } else {
-            return { outOfRange: true, message: `Ullage ${target} is above maximum ullage ${ullages[ullages.length - 1]}` };
-        }
-    }
-
-    return { exact: false, lowerUllage, upperUllage };
-};
-
-const getHeelUllageBounds = async (compartmentId, targetUllage) => {
-    const query = `
-        SELECT DISTINCT ullage 
-        FROM heel_correction_data 
-        WHERE compartment_id = $1 
-        ORDER BY ullage
-    `;
-    
-    const result = await pool.query(query, [compartmentId]);
-    const ullages = result.rows.map(row => parseFloat(row.ullage));
-    
-    if (ullages.length === 0) {
-        return { outOfRange: true, message: 'No heel ullage data found for this compartment' };
-    }
-
-    const target = parseFloat(targetUllage);
-    
-    if (ullages.includes(target)) {
-        return { exact: true, ullage: target };
-    }
-
-    let lowerUllage = null, upperUllage = null;
-    
-    for (let i = 0; i < ullages.length - 1; i++) {
-        if (target > ullages[i] && target < ullages[i + 1]) {
-            lowerUllage = ullages[i];
-            upperUllage = ullages[i + 1];
-            break;
-        }
-    }
-
-    if (lowerUllage === null || upperUllage === null) {
-        if (target < ullages[0]) {
-            return { outOfRange: true, message: `Ullage ${target} is below minimum heel correction ullage ${ullages[0]}` };
-        } else {
-            return { outOfRange: true, message: `Ullage ${target} is above maximum heel correction ullage ${ullages[ullages.length - 1]}` };
-        }
-    }
-
-    return { exact: false, lowerUllage, upperUllage };
-};
-
-const getHeelCorrectionWithInterpolation = async (compartmentId, targetUllage, targetHeel) => {
-    const heelBounds = getHeelBounds(targetHeel);
-    
-    if (heelBounds.outOfRange) {
-        throw new Error(heelBounds.message);
-    }
-
-    if (heelBounds.exact) {
-        return await getHeelCorrectionWithUllageInterpolation(compartmentId, targetUllage, heelBounds.column, targetHeel);
-    }
-
-    const { lowerHeel, upperHeel } = heelBounds;
+/**
+ * POST /vessel/{vessel_id}/sync-transfers
+ * Sync internal fuel transfers from vessel (offline data)
+ */
+const syncTransfers = async (vesselId, transfers) => {
+    const client = await pool.connect();
     
-    const ullageBounds = await getHeelUllageBounds(compartmentId, targetUllage);
-    if (ullageBounds.outOfRange) {
-        throw new Error(ullageBounds.message);
-    }
-
-    if (ullageBounds.exact) {
-        const exactUllage = ullageBounds.ullage;
-        const query = `
-            SELECT ullage, ${lowerHeel.column}, ${upperHeel.column}
-            FROM heel_correction_data 
-            WHERE compartment_id = $1 AND ullage = $2
-            LIMIT 1
-        `;
+    try {
+        await client.query('BEGIN');
         
-        const result = await pool.query(query, [compartmentId, exactUllage]);
-        if (result.rows.length === 0) {
-            throw new Error('No heel correction data found for exact ullage match');
-        }
-
-        const row = result.rows[0];
-        const interpolatedCorrection = linearInterpolate(
-            lowerHeel.value, parseFloat(row[lowerHeel.column]) || 0,
-            upperHeel.value, parseFloat(row[upperHeel.column]) || 0,
-            parseFloat(targetHeel)
-        );
-
-        return {
-            heel_correction: interpolatedCorrection,
-            interpolation_used: 'heel_only'
-        };
-    }
-
-    const { lowerUllage, upperUllage } = ullageBounds;
-    
-    const query = `
-        SELECT ullage, ${lowerHeel.column}, ${upperHeel.column}
-        FROM heel_correction_data 
-        WHERE compartment_id = $1 AND ullage IN ($2, $3)
-        ORDER BY ullage
-    `;
-    
-    const result = await pool.query(query, [compartmentId, lowerUllage, upperUllage]);
-    if (result.rows.length !== 2) {
-        throw new Error('Insufficient heel correction data for bilinear interpolation');
-    }
-
-    const lowerUllageRow = result.rows[0];
-    const upperUllageRow = result.rows[1];
-
-    const correctionAtLowerUllage = linearInterpolate(
-        lowerHeel.value, parseFloat(lowerUllageRow[lowerHeel.column]) || 0,
-        upperHeel.value, parseFloat(lowerUllageRow[upperHeel.column]) || 0,
-        parseFloat(targetHeel)
-    );
-
-    const correctionAtUpperUllage = linearInterpolate(
-        lowerHeel.value, parseFloat(upperUllageRow[lowerHeel.column]) || 0,
-        upperHeel.value, parseFloat(upperUllageRow[upperHeel.column]) || 0,
-        parseFloat(targetHeel)
-    );
-
-    const finalCorrection = linearInterpolate(
-        lowerUllage, correctionAtLowerUllage,
-        upperUllage, correctionAtUpperUllage,
-        parseFloat(targetUllage)
-    );
-
-    return {
-        heel_correction: finalCorrection,
-        interpolation_used: 'bilinear',
-        interpolation_bounds: {
-            ullage: { lower: lowerUllage, upper: upperUllage },
-            heel: { lower: lowerHeel.value, upper: upperHeel.value }
-        }
-    };
-};
-
-const getHeelCorrectionWithUllageInterpolation = async (compartmentId, targetUllage, heelColumn, targetHeel) => {
-    const ullageBounds = await getHeelUllageBounds(compartmentId, targetUllage);
-    
-    if (ullageBounds.outOfRange) {
-        throw new Error(ullageBounds.message);
-    }
-
-    if (ullageBounds.exact) {
-        const query = `
-            SELECT ${heelColumn} as heel_correction
-            FROM heel_correction_data 
-            WHERE compartment_id = $1 AND ullage = $2
-            LIMIT 1
-        `;
+        const insertedIds = [];
         
-        const result = await pool.query(query, [compartmentId, ullageBounds.ullage]);
-        if (result.rows.length === 0) {
-            throw new Error('No heel correction data found for exact match');
-        }
-
-        const row = result.rows[0];
-        return {
-            heel_correction: parseFloat(row.heel_correction) || 0,
-            interpolation_used: 'none'
-        };
-    }
-
-    const { lowerUllage, upperUllage } = ullageBounds;
-    const query = `
-        SELECT ${heelColumn} as heel_correction, ullage
-        FROM heel_correction_data 
-        WHERE compartment_id = $1 AND ullage IN ($2, $3)
-        ORDER BY ullage
-    `;
-    
-    const result = await pool.query(query, [compartmentId, lowerUllage, upperUllage]);
-    if (result.rows.length !== 2) {
-        throw new Error('Insufficient heel correction data for ullage interpolation');
-    }
-
-    const lowerRow = result.rows[0];
-    const upperRow = result.rows[1];
-
-    const interpolatedCorrection = linearInterpolate(
-        lowerUllage, parseFloat(lowerRow.heel_correction) || 0, 
-        upperUllage, parseFloat(upperRow.heel_correction) || 0, 
-        parseFloat(targetUllage)
-    );
-
-    return {
-        heel_correction: interpolatedCorrection,
-        interpolation_used: 'ullage_only',
-        interpolation_bounds: {
-            ullage: { lower: lowerUllage, upper: upperUllage }
+        for (const transfer of transfers) {
+            // Check for duplicate (a retried upload)
+            const existing = await client.query(
+                'SELECT transfer_id FROM transfer_operations WHERE client_id = $1',
+                [transfer.client_id]
+            );
+            
+            if (existing.rows.length > 0) {
+                continue;
+            }
+            
+            const source = transfer.source || {};
+            const destination = transfer.destination || {};
+            const insertQuery = `
+                INSERT INTO transfer_operations (
+                    vessel_id, source_compartment_id, destination_compartment_id,
+                    fuel_grade, source_grade, density, temperature, mass_basis,
+                    trim, heel,
+                    source_before_ullage, source_after_ullage,
+                    destination_before_ullage, destination_after_ullage,
+                    source_quantity_mt, destination_quantity_mt, imbalance_mt, readings,
+                    entered_units, entered_values,
+                    transferred_at, remark, user_name, client_id,
+                    sync_status, synced_at
+                ) VALUES (
+                    $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+                    $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22,
+                    $23, $24, 'synced', CURRENT_TIMESTAMP
+                )
+                RETURNING transfer_id
+            `;
+            
+            const result = await client.query(insertQuery, [
+                vesselId,
+                source.compartment_id,
+                destination.compartment_id,
+                transfer.fuel_grade || null,
+                source.fuel_grade || null,
+                transfer.density ?? null,
+                transfer.temperature ?? null,
+                transfer.mass_basis || null,
+                transfer.trim ?? null,
+                transfer.heel ?? null,
+                source.before_ullage ?? null,
+                source.after_ullage ?? null,
+                destination.before_ullage ?? null,
+                destination.after_ullage ?? null,
+                source.quantity_mt ?? null,
+                destination.quantity_mt ?? null,
+                transfer.imbalance_mt ?? null,
+                JSON.stringify({ source, destination }),
+                transfer.entered_units ? JSON.stringify(transfer.entered_units) : null,
+                transfer.entered_values ? JSON.stringify(transfer.entered_values) : null,
+                transfer.transferred_at,
+                transfer.remark || null,
+                transfer.user_name || null,
+                transfer.client_id
+            ]);
+            
+            insertedIds.push(result.rows[0].transfer_id);
         }
-    };
-};
-
-const getSoundingWithUllageInterpolation = async (compartmentId, targetUllage, trimColumn, targetTrim) => {
-    const ullageBounds = await getUllageBounds(compartmentId, targetUllage);
-    
-    if (ullageBounds.outOfRange) {
-        throw new Error(ullageBounds.message);
-    }
-
-    if (ullageBounds.exact) {
-        const query = `
-            SELECT ${trimColumn} as volume, sound, ullage, lcg, tcg, vcg, iy
-            FROM main_sounding_trim_data 
-            WHERE compartment_id = $1 AND ullage = $2
-            LIMIT 1
-        `;
         
-        const result = await pool.query(query, [compartmentId, ullageBounds.ullage]);
-        if (result.rows.length === 0) {
-            throw new Error('No data found for exact match');
-        }
-
-        const row = result.rows[0];
+        await client.query('COMMIT');
+        
         return {
-            volume: parseFloat(row.volume) || 0,
-            sound: parseFloat(row.sound) || null,
-            ullage: parseFloat(row.ullage),
-            lcg: parseFloat(row.lcg) || 0,
-            tcg: parseFloat(row.tcg) || 0,
-            vcg: parseFloat(row.vcg) || 0,
-            iy: parseFloat(row.iy) || 0,
-            interpolation_used: 'none'
+            success: true,
+            inserted: insertedIds.length,
+            inserted_ids: insertedIds
         };
+        
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error syncing transfers:', error);
+        throw error;
+    } finally {
+        client.release();
     }
-
-    const { lowerUllage, upperUllage } = ullageBounds;
-    const query = `
-        SELECT ${trimColumn} as volume, sound, ullage, lcg, tcg, vcg, iy
-        FROM main_sounding_trim_data 
-        WHERE compartment_id = $1 AND ullage IN ($2, $3)
-        ORDER BY ullage
-    `;
-    
-    const result = await pool.query(query, [compartmentId, lowerUllage, upperUllage]);
-    if (result.rows.length !== 2) {
-        throw new Error('Insufficient data for ullage interpolation');
-    }
-
-    const lowerRow = result.rows[0];
-    const upperRow = result.rows[1];
-
-    const interpolateValue = (prop) => {
-        return linearInterpolate(
-            lowerUllage, parseFloat(lowerRow[prop]) || 0, 
-            upperUllage, parseFloat(upperRow[prop]) || 0, 
-            parseFloat(targetUllage)
-        );
-    };
-
-    return {
-        volume: interpolateValue('volume'),
-        sound: Math.round(interpolateValue('sound')) || null,
-        ullage: parseFloat(targetUllage),
-        lcg: interpolateValue('lcg'),
-        tcg: interpolateValue('tcg'),
-        vcg: interpolateValue('vcg'),
-        iy: interpolateValue('iy'),
-        interpolation_used: 'ullage_only',
-        interpolation_bounds: {
-            ullage: { lower: lowerUllage, upper: upperUllage }
-        }
-    };
 };
 
-const getSoundingDataWithInterpolation = async (compartmentId, targetUllage, targetTrim) => {
-    const trimBounds = getTrimBounds(targetTrim);
-    
-    if (trimBounds.outOfRange) {
-        throw new Error(trimBounds.message);
-    }
-
-    if (trimBounds.exact) {
-        return await getSoundingWithUllageInterpolation(compartmentId, targetUllage, trimBounds.column, targetTrim);
-    }
-
-    const { lowerTrim, upperTrim } = trimBounds;
-    
-    const ullageBounds = await getUllageBounds(compartmentId, targetUllage);
-    if (ullageBounds.outOfRange) {
-        throw new Error(ullageBounds.message);
-    }
+// =====================================================
+// Interpolation and Sounding Functions
+// Bilinear maths lives in the shared interpolation core (src/shared/interpolationCore.js),
+// the same code the PWA runs offline; this is the pg adapter for it.
+// =====================================================
 
-    if (ullageBounds.exact) {
-        const exactUllage = ullageBounds.ullage;
-        const query = `
-            SELECT ullage, ${lowerTrim.column}, ${upperTrim.column}, lcg, tcg, vcg, iy, sound
-            FROM main_sounding_trim_data 
-            WHERE compartment_id = $1 AND ullage = $2
-            LIMIT 1
-        `;
-        
-        const result = await pool.query(query, [compartmentId, exactUllage]);
-        if (result.rows.length === 0) {
-            throw new Error('No data found for exact ullage match');
+/**
+ * pg adapter for the shared interpolation core
+ * Loads each table once per request (full compartment table, sorted by ullage).
+ */
+const createPgCalibrationProvider = () => {
+    const axesByCompartment = new Map();
+    const mainTables = new Map();
+    const heelTables = new Map();
+
+    const getAxesFor = async (compartmentId) => {
+        if (!axesByCompartment.has(compartmentId)) {
+            const result = await pool.query(`
+                SELECT v.trim_axis, v.heel_axis, v.particulars,
+                       c.ullage_reference_offset, c.sounding_datum_offset
+                FROM compartments c
+                LEFT JOIN vessels v ON v.vessel_id = c.vessel_id
+                WHERE c.compartment_id = $1
+            `, [compartmentId]);
+            const row = result.rows[0] || {};
+            axesByCompartment.set(compartmentId, {
+                trimAxis: normalizeAxis(row.trim_axis, DEFAULT_TRIM_AXIS, 'trim'),
+                heelAxis: normalizeAxis(row.heel_axis, DEFAULT_HEEL_AXIS, 'heel'),
+                // Tables published in mm are converted to cm on load
+                lengthUnit: row.particulars ? row.particulars.table_length_unit : null,
+                readingOffsets: { ullage: row.ullage_reference_offset, sounding: row.sounding_datum_offset }
+            });
         }
-
-        const row = result.rows[0];
-        const interpolatedVolume = linearInterpolate(
-            lowerTrim.value, parseFloat(row[lowerTrim.column]) || 0,
-            upperTrim.value, parseFloat(row[upperTrim.column]) || 0,
-            parseFloat(targetTrim)
-        );
-
-        return {
-            volume: interpolatedVolume,
-            sound: parseFloat(row.sound) || null,
-            ullage: parseFloat(targetUllage),
-            lcg: parseFloat(row.lcg) || 0,
-            tcg: parseFloat(row.tcg) || 0,
-            vcg: parseFloat(row.vcg) || 0,
-            iy: parseFloat(row.iy) || 0,
-            interpolation_used: 'trim_only'
-        };
-    }
-
-    const { lowerUllage, upperUllage } = ullageBounds;
-    
-    const query = `
-        SELECT ullage, ${lowerTrim.column}, ${upperTrim.column}, lcg, tcg, vcg, iy, sound
-        FROM main_sounding_trim_data 
-        WHERE compartment_id = $1 AND ullage IN ($2, $3)
-        ORDER BY ullage
-    `;
-    
-    const result = await pool.query(query, [compartmentId, lowerUllage, upperUllage]);
-    if (result.rows.length !== 2) {
-        throw new Error('Insufficient data for bilinear interpolation');
-    }
-
-    const lowerUllageRow = result.rows[0];
-    const upperUllageRow = result.rows[1];
-
-    const volumeAtLowerUllage = linearInterpolate(
-        lowerTrim.value, parseFloat(lowerUllageRow[lowerTrim.column]) || 0,
-        upperTrim.value, parseFloat(lowerUllageRow[upperTrim.column]) || 0,
-        parseFloat(targetTrim)
-    );
-
-    const volumeAtUpperUllage = linearInterpolate(
-        lowerTrim.value, parseFloat(upperUllageRow[lowerTrim.column]) || 0,
-        upperTrim.value, parseFloat(upperUllageRow[upperTrim.column]) || 0,
-        parseFloat(targetTrim)
-    );
-
-    const finalVolume = linearInterpolate(
-        lowerUllage, volumeAtLowerUllage,
-        upperUllage, volumeAtUpperUllage,
-        parseFloat(targetUllage)
-    );
-
-    const interpolateProperty = (prop) => {
-        const lowerUllageProp = parseFloat(lowerUllageRow[prop]) || 0;
-        const upperUllageProp = parseFloat(upperUllageRow[prop]) || 0;
-        return linearInterpolate(lowerUllage, lowerUllageProp, upperUllage, upperUllageProp, parseFloat(targetUllage));
+        return axesByCompartment.get(compartmentId);
     };
 
     return {
-        volume: finalVolume,
-        sound: Math.round(linearInterpolate(
-            lowerUllage, parseFloat(lowerUllageRow.sound) || 0, 
-            upperUllage, parseFloat(upperUllageRow.sound) || 0, 
-            parseFloat(targetUllage)
-        )) || null,
-        ullage: parseFloat(targetUllage),
-        lcg: interpolateProperty('lcg'),
-        tcg: interpolateProperty('tcg'),
-        vcg: interpolateProperty('vcg'),
-        iy: interpolateProperty('iy'),
-        interpolation_used: 'bilinear',
-        interpolation_bounds: {
-            ullage: { lower: lowerUllage, upper: upperUllage },
-            trim: { lower: lowerTrim.value, upper: upperTrim.value }
+        async getAxes(compartmentId) {
+            const { trimAxis, heelAxis } = await getAxesFor(parseInt(compartmentId));
+            return { trimAxis, heelAxis };
+        },
+        async getMainTable(compartmentId) {
+            const id = parseInt(compartmentId);
+            if (!mainTables.has(id)) {
+                const { trimAxis, lengthUnit } = await getAxesFor(id);
+                const columns = [...trimAxis.map(t => t.column), ...interpolationCore.MAIN_EXTRA_COLUMNS];
+                const result = await pool.query(`
+                    SELECT ullage, ${columns.join(', ')}
+                    FROM main_sounding_trim_data
+                    WHERE compartment_id = $1
+                    ORDER BY ullage
+                `, [id]);
+                mainTables.set(id, interpolationCore.scaleTableLengths(
+                    interpolationCore.buildTable(result.rows, columns), lengthUnit
+                ));
+            }
+            return mainTables.get(id);
+        },
+        async getHeelTable(compartmentId) {
+            const id = parseInt(compartmentId);
+            if (!heelTables.has(id)) {
+                const { heelAxis, lengthUnit } = await getAxesFor(id);
+                const columns = heelAxis.map(h => h.column);
+                const result = await pool.query(`
+                    SELECT ullage, ${columns.join(', ')}
+                    FROM heel_correction_data
+                    WHERE compartment_id = $1
+                    ORDER BY ullage
+                `, [id]);
+                heelTables.set(id, interpolationCore.scaleTableLengths(
+                    interpolationCore.buildTable(result.rows, columns), lengthUnit
+                ));
+            }
+            return heelTables.get(id);
+        },
+        async getReadingOffsets(compartmentId) {
+            const { readingOffsets } = await getAxesFor(parseInt(compartmentId));
+            return readingOffsets;
         }
     };
 };
 
-const getCompleteSoundingData = async (compartmentId, targetUllage, targetTrim, targetHeel) => {
-    const baseSoundingData = await getSoundingDataWithInterpolation(compartmentId, targetUllage, targetTrim);
-    
-    let heelCorrectionData = null;
-    let finalVolume = baseSoundingData.volume;
-    
-    if (targetHeel !== undefined && targetHeel !== null && targetHeel !== 0) {
-        try {
-            heelCorrectionData = await getHeelCorrectionWithInterpolation(compartmentId, targetUllage, targetHeel);
-            finalVolume = baseSoundingData.volume + heelCorrectionData.heel_correction;
-        } catch (heelError) {
-            heelCorrectionData = {
-                error: heelError.message,
-                heel_correction: 0
-            };
-        }
-    }
+const getCompleteSoundingData = async (compartmentId, targetUllage, targetTrim, targetHeel, options = {}) => {
+    const provider = createPgCalibrationProvider();
+    // targetUllage is the tape reading; refer it to the calibration table
+    const reading = await interpolationCore.correctReading(provider, compartmentId, targetUllage, 'ullage');
+    const result = await interpolationCore.calculateSounding(
+        provider, compartmentId, reading.corrected, targetTrim, targetHeel,
+        { outOfRangePolicy: options.outOfRangePolicy, trace: options.trace }
+    );
 
     return {
-        base_volume: baseSoundingData.volume,
-        heel_correction: heelCorrectionData ? heelCorrectionData.heel_correction : 0,
-        final_volume: finalVolume,
-        sound: baseSoundingData.sound,
-        ullage: baseSoundingData.ullage,
-        lcg: baseSoundingData.lcg,
-        tcg: baseSoundingData.tcg,
-        vcg: baseSoundingData.vcg,
-        iy: baseSoundingData.iy,
-        main_interpolation: {
-            type: baseSoundingData.interpolation_used,
-            bounds: baseSoundingData.interpolation_bounds || null
-        },
-        heel_interpolation: heelCorrectionData ? {
-            type: heelCorrectionData.interpolation_used || 'error',
-            bounds: heelCorrectionData.interpolation_bounds || null,
-            error: heelCorrectionData.error || null
-        } : null
+        base_volume: result.base_volume,
+        heel_correction: result.heel_correction,
+        final_volume: result.final_volume,
+        sound: result.sound,
+        ullage: result.ullage,
+        raw_reading: reading.raw,
+        reading_offset: reading.offset,
+        lcg: result.lcg,
+        tcg: result.tcg,
+        vcg: result.vcg,
+        iy: result.iy,
+        out_of_range: result.out_of_range,
+        range_flags: result.range_flags,
+        status: result.status,
+        warnings: result.warnings,
+        heel_status: result.heel_status,
+        main_interpolation: result.main_interpolation,
+        heel_interpolation: result.heel_interpolation || (result.heel_error ? {
+            type: 'error',
+            bounds: null,
+            error: result.heel_error
+        } : null),
+        trace: result.trace
     };
 };
 
@@ -1289,6 +1010,20 @@ exports.handler = async (event) => {
             };
         }
         
+        // POST /vessel/{vessel_id}/sync-transfers
+        if (method === 'POST' && path.match(/^\/vessel\/[^/]+\/sync-transfers$/)) {
+            const vesselId = pathParams.vessel_id || path.split('/')[2];
+            const body = JSON.parse(event.body || '{}');
+            const transfers = body.transfer_operations || [];
+            
+            const result = await syncTransfers(vesselId, transfers);
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify(result)
+            };
+        }
+        
         // ===== EXISTING ROUTES (Keep for backward compatibility) =====
         
         // GET /compartments
@@ -1311,7 +1046,7 @@ exports.handler = async (event) => {
         // POST /sounding
         if (method === 'POST' && (path === '/sounding' || path === '//sounding' || path.includes('sounding'))) {
             const body = JSON.parse(event.body || '{}');
-            const { compartment_id, ullage, trim, heel } = body;
+            const { compartment_id, ullage, trim, heel, out_of_range_policy, trace } = body;
             
             if (!compartment_id || ullage === undefined || trim === undefined) {
                 return {
@@ -1325,7 +1060,10 @@ exports.handler = async (event) => {
             }
             
             try {
-                const soundingData = await getCompleteSoundingData(compartment_id, ullage, trim, heel);
+                const soundingData = await getCompleteSoundingData(compartment_id, ullage, trim, heel, {
+                    outOfRangePolicy: out_of_range_policy,
+                    trace: !!trace
+                });
                 
                 return {
                     statusCode: 200,
@@ -1367,6 +1105,7 @@ exports.handler = async (event) => {
                     'GET  /vessel/{id}/compartments',
                     'POST /vessel/{id}/sync-soundings',
                     'POST /vessel/{id}/sync-bunkering',
+                    'POST /vessel/{id}/sync-transfers',
                     'GET  /compartments (legacy)',
                     'POST /sounding (legacy)'
                 ]
@@ -0,0 +1,25 @@
+-- =====================================================
+-- Migration: Add Volume Correction to Sounding Logs
+-- Purpose: Store ASTM Table 54B VCF and Gross Standard Volume per sounding
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS vcf NUMERIC(6, 4);
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS gross_standard_volume NUMERIC(12, 3);
+
+COMMENT ON COLUMN sounding_logs.vcf IS 'Volume correction factor to 15°C (ASTM Table 54B) from density at 15°C and observed temperature';
+COMMENT ON COLUMN sounding_logs.gross_standard_volume IS 'Gross Standard Volume (m³ at 15°C) = final_volume × vcf';
+COMMENT ON COLUMN sounding_logs.calculated_mt IS 'Mass (mT) = gross_standard_volume × density at 15°C';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'sounding_logs'
+  AND column_name IN ('vcf', 'gross_standard_volume');
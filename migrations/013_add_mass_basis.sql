@@ -0,0 +1,29 @@
+-- =====================================================
+-- Migration: Add Mass Basis (Vacuum / Air)
+-- Purpose: Record the weight correction factor and whether reported
+--          metric tonnes are in vacuum or in air
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS wcf NUMERIC(6, 4);
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS mass_basis VARCHAR(10);
+
+ALTER TABLE sounding_reports
+ADD COLUMN IF NOT EXISTS mass_basis VARCHAR(10);
+
+COMMENT ON COLUMN sounding_logs.wcf IS 'Weight correction factor (t/m³): density @15°C in vacuum, or density @15°C - 0.0011 in air';
+COMMENT ON COLUMN sounding_logs.mass_basis IS 'Basis of calculated_mt: vacuum or air';
+COMMENT ON COLUMN sounding_reports.mass_basis IS 'Basis of grand_total_mt and summary_data totals: vacuum or air';
+
+COMMIT;
+
+-- Verify
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE (table_name = 'sounding_logs' AND column_name IN ('wcf', 'mass_basis'))
+   OR (table_name = 'sounding_reports' AND column_name = 'mass_basis');
@@ -0,0 +1,24 @@
+-- =====================================================
+-- Migration: Add Sounding (Innage) Input Mode
+-- Purpose: Store both sounding and ullage, and which one the officer entered
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS sounding DECIMAL(10, 2);
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS input_mode VARCHAR(10) DEFAULT 'ullage';
+
+COMMENT ON COLUMN sounding_logs.sounding IS 'Sounding / innage (cm): entered value, or interpolated from calibration table when ullage was entered';
+COMMENT ON COLUMN sounding_logs.input_mode IS 'Which reading the officer entered: ullage or sounding';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'sounding_logs'
+  AND column_name IN ('sounding', 'input_mode');
@@ -0,0 +1,42 @@
+-- =====================================================
+-- Migration: Add Vessel-Specific Calibration Axes
+-- Purpose: Describe each vessel's trim/heel grid so tank tables with
+--          other trim steps (e.g. 0.25 m, ±5 m) can be carried in the
+--          data package
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+-- Each axis is a JSON array of { "value": <number>, "column": "<column name>" }
+-- NULL means the standard grid (trim -4..+4 m, heel -3..+3°)
+ALTER TABLE vessels
+ADD COLUMN IF NOT EXISTS trim_axis JSONB;
+
+ALTER TABLE vessels
+ADD COLUMN IF NOT EXISTS heel_axis JSONB;
+
+COMMENT ON COLUMN vessels.trim_axis IS 'Trim grid of main_sounding_trim_data for this vessel: [{"value": -5.0, "column": "trim_minus_5_0"}, ...]. NULL = standard grid';
+COMMENT ON COLUMN vessels.heel_axis IS 'Heel grid of heel_correction_data for this vessel: [{"value": -3.0, "column": "heel_minus_3_0"}, ...]. NULL = standard grid';
+
+COMMIT;
+
+/*
+-- Example: vessel whose tables run to ±5 m trim
+-- 1. Add the extra columns to the calibration table
+ALTER TABLE main_sounding_trim_data ADD COLUMN IF NOT EXISTS trim_minus_5_0 NUMERIC;
+ALTER TABLE main_sounding_trim_data ADD COLUMN IF NOT EXISTS trim_minus_2_5 NUMERIC;
+ALTER TABLE main_sounding_trim_data ADD COLUMN IF NOT EXISTS trim_plus_2_5 NUMERIC;
+ALTER TABLE main_sounding_trim_data ADD COLUMN IF NOT EXISTS trim_plus_5_0 NUMERIC;
+
+-- 2. Describe the vessel's grid (column names must start with trim_ / heel_)
+UPDATE vessels
+SET trim_axis = '[
+    {"value": -5.0, "column": "trim_minus_5_0"},
+    {"value": -2.5, "column": "trim_minus_2_5"},
+    {"value":  0.0, "column": "trim_0_0"},
+    {"value":  2.5, "column": "trim_plus_2_5"},
+    {"value":  5.0, "column": "trim_plus_5_0"}
+]'::jsonb
+WHERE vessel_id = '12345678-1234-1234-1234-123456789012';
+*/
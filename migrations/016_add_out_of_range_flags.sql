@@ -0,0 +1,24 @@
+-- =====================================================
+-- Migration: Add Out-of-Range Flags to Sounding Logs
+-- Purpose: Record figures clamped or extrapolated beyond the calibration table
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS out_of_range BOOLEAN DEFAULT false;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS range_flags JSONB;
+
+COMMENT ON COLUMN sounding_logs.out_of_range IS 'True when ullage/sounding/trim/heel fell outside the calibration table and the vessel policy clamped or extrapolated';
+COMMENT ON COLUMN sounding_logs.range_flags IS 'Out-of-range details: [{ axis, value, limit, action: clamped|extrapolated }]';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'sounding_logs'
+  AND column_name IN ('out_of_range', 'range_flags');
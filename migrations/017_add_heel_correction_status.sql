@@ -0,0 +1,28 @@
+-- =====================================================
+-- Migration: Add Heel Correction Status to Sounding Logs
+-- Purpose: Record when a heel was entered but its correction could not be applied
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS heel_status VARCHAR(20);
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS calculation_warnings JSONB;
+
+COMMENT ON COLUMN sounding_logs.heel_status IS 'applied, not_required (no heel / heel 0) or not_applied (heel entered, correction failed; final_volume excludes it)';
+COMMENT ON COLUMN sounding_logs.calculation_warnings IS 'Calculation warnings: [{ code: HEEL_DATA_MISSING|HEEL_OUT_OF_RANGE|HEEL_CORRECTION_FAILED, message }]';
+
+CREATE INDEX IF NOT EXISTS idx_sounding_logs_heel_not_applied
+ON sounding_logs(vessel_id, recorded_at)
+WHERE heel_status = 'not_applied';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'sounding_logs'
+  AND column_name IN ('heel_status', 'calculation_warnings');
@@ -0,0 +1,36 @@
+-- =====================================================
+-- Migration: Add Vessel Particulars and Session Drafts
+-- Purpose: Carry LBP/draft mark positions/sign conventions in the data
+--          package so trim and heel can be computed from drafts, and
+--          record which drafts a sounding session used
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+-- JSON object, e.g.
+-- {
+--   "lbp": 179.0,                        -- length between perpendiculars (m)
+--   "forward_mark_aft_of_fp": 2.35,      -- forward draft marks, distance aft of FP (m)
+--   "aft_mark_forward_of_ap": 4.10,      -- aft draft marks, distance forward of AP (m)
+--   "midship_marks_breadth": 32.2,       -- distance between port/stbd midship marks (m)
+--   "trim_sign": "by_stern_positive",    -- or "by_head_positive"
+--   "heel_sign": "starboard_positive"    -- or "port_positive"
+-- }
+-- NULL: drafts are taken at the perpendiculars, trim + by stern, heel + to starboard
+ALTER TABLE vessels
+ADD COLUMN IF NOT EXISTS particulars JSONB;
+
+ALTER TABLE sounding_reports
+ADD COLUMN IF NOT EXISTS drafts JSONB;
+
+COMMENT ON COLUMN vessels.particulars IS 'Vessel particulars for draft calculations: lbp, forward_mark_aft_of_fp, aft_mark_forward_of_ap, midship_marks_breadth, trim_sign, heel_sign';
+COMMENT ON COLUMN sounding_reports.drafts IS 'Drafts the session trim/heel were computed from: { forward, aft, port, starboard, trim_at_marks, trim, heel, trim_sign, computed_at }. NULL = entered by hand';
+
+COMMIT;
+
+-- Verify
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE (table_name = 'vessels' AND column_name = 'particulars')
+   OR (table_name = 'sounding_reports' AND column_name = 'drafts');
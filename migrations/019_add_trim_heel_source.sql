@@ -0,0 +1,25 @@
+-- =====================================================
+-- Migration: Add Trim/Heel Source to Sounding Logs
+-- Purpose: Tag whether trim and heel were typed in, computed from drafts,
+--          or read from the device's inclinometer
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS trim_source VARCHAR(10);
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS heel_source VARCHAR(10);
+
+COMMENT ON COLUMN sounding_logs.trim_source IS 'manual, drafts or sensor (device inclinometer). NULL for rows synced before this migration';
+COMMENT ON COLUMN sounding_logs.heel_source IS 'manual, drafts or sensor (device inclinometer). NULL when no heel was entered';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'sounding_logs'
+  AND column_name IN ('trim_source', 'heel_source');
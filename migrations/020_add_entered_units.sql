@@ -0,0 +1,29 @@
+-- =====================================================
+-- Migration: Add Entered Units to Sounding Logs
+-- Purpose: Record the units an officer entered readings in (mm, in, °F, °API,
+--          bbl, ...). Numeric columns stay canonical: cm, m³, t/m³ @15°C, °C.
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS entered_units JSONB;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS entered_values JSONB;
+
+COMMENT ON COLUMN sounding_logs.entered_units IS 'Units in effect on the device: { length: cm|mm|m|in, volume: m3|bbl|usgal|l, density: t_m3|kg_m3|api, temperature: c|f }';
+-- Vessels whose calibration tables are published in mm set
+-- particulars.table_length_unit = 'mm'; ullage/sound are converted to cm on load
+COMMENT ON COLUMN vessels.particulars IS 'Vessel particulars: lbp, forward_mark_aft_of_fp, aft_mark_forward_of_ap, midship_marks_breadth, trim_sign, heel_sign, table_length_unit (cm|mm, default cm)';
+
+COMMENT ON COLUMN sounding_logs.entered_values IS 'Readings as typed, in entered_units: { ullage|sounding, density, temperature }';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'sounding_logs'
+  AND column_name IN ('entered_units', 'entered_values');
@@ -0,0 +1,30 @@
+-- =====================================================
+-- Migration: Add Free Water to Sounding Logs
+-- Purpose: Store the free-water dip under the fuel and its volume from the
+--          tank's calibration table, so net standard volume can be audited.
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS free_water_sounding DECIMAL(10,2);
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS free_water_volume DECIMAL(12,3);
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS net_standard_volume DECIMAL(12,3);
+
+COMMENT ON COLUMN sounding_logs.free_water_sounding IS 'Water-finding paste dip (innage) in cm; NULL when not taken';
+COMMENT ON COLUMN sounding_logs.free_water_volume IS 'Free water volume in m³ from the same calibration table at the logged trim/heel';
+COMMENT ON COLUMN sounding_logs.net_standard_volume IS 'NSV in m³ @15°C: (final_volume - free_water_volume) × vcf; no S&W deduction';
+COMMENT ON COLUMN sounding_logs.calculated_mt IS 'Mass (mT) = net_standard_volume × WCF on mass_basis (vacuum: density at 15°C; air: density at 15°C − 0.0011). Without a temperature (vcf NULL) the net observed volume is used uncorrected';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'sounding_logs'
+  AND column_name IN ('free_water_sounding', 'free_water_volume', 'net_standard_volume');
@@ -0,0 +1,35 @@
+-- =====================================================
+-- Migration: Add Compartment Reading Offsets
+-- Purpose: Tanks calibrated from a different reference than the crew dips
+--          from (raised sounding pipes, tapes read from a deck stool). The
+--          app applies the offsets so officers always enter the raw tape
+--          reading; sounding_logs keeps the raw reading and offset applied.
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE compartments
+ADD COLUMN IF NOT EXISTS ullage_reference_offset DECIMAL(8,2) DEFAULT 0;
+
+ALTER TABLE compartments
+ADD COLUMN IF NOT EXISTS sounding_datum_offset DECIMAL(8,2) DEFAULT 0;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS raw_reading DECIMAL(10,2);
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS reading_offset DECIMAL(8,2);
+
+COMMENT ON COLUMN compartments.ullage_reference_offset IS 'cm the point the crew dips ullage from sits above the calibration table reference point; subtracted from raw ullages';
+COMMENT ON COLUMN compartments.sounding_datum_offset IS 'cm the tape zero (striker plate / pipe end) sits above the calibration table datum; added to raw soundings';
+COMMENT ON COLUMN sounding_logs.raw_reading IS 'Tape reading in cm as entered (ullage or sounding per input_mode), before the compartment offset';
+COMMENT ON COLUMN sounding_logs.reading_offset IS 'Signed cm added to raw_reading to refer it to the calibration table; ullage/sounding columns are table-referenced';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE (table_name = 'compartments' AND column_name IN ('ullage_reference_offset', 'sounding_datum_offset'))
+   OR (table_name = 'sounding_logs' AND column_name IN ('raw_reading', 'reading_offset'));
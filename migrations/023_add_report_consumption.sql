@@ -0,0 +1,22 @@
+-- =====================================================
+-- Migration: Add Consumption to Sounding Reports
+-- Purpose: Store the consumption per fuel grade the app derived for each
+--          noon report (previous report date's ROB + bunkers received
+--          ± transfers − this ROB).
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE sounding_reports
+ADD COLUMN IF NOT EXISTS consumption JSONB;
+
+COMMENT ON COLUMN sounding_reports.consumption IS 'Since previous ROB: { from: { report_date, recorded_at }, to: {...}, by_grade: { grade: { opening, received, transferred, closing, consumed } }, total_consumed } in mT; NULL when no earlier ROB was on the device';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'sounding_reports'
+  AND column_name = 'consumption';
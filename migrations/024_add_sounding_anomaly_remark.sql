@@ -0,0 +1,24 @@
+-- =====================================================
+-- Migration: Add Anomaly Flags and Remarks to Sounding Logs
+-- Purpose: Keep the unexpected-change alert the app raised for a tank
+--          (rise with no bunkering/transfer, or a fall much faster than
+--          usual) together with the officer's explanation.
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE sounding_logs
+ADD COLUMN IF NOT EXISTS anomaly_flags JSONB,
+ADD COLUMN IF NOT EXISTS remark TEXT;
+
+COMMENT ON COLUMN sounding_logs.anomaly_flags IS 'Alert raised against the tank''s previous session: { code: UNEXPECTED_RISE|FAST_FALL, message, change_mt, previous: { recorded_at, report_date, mt }, usual_rate }; NULL when not flagged';
+COMMENT ON COLUMN sounding_logs.remark IS 'Officer''s remark; required by the app when anomaly_flags is set';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'sounding_logs'
+  AND column_name IN ('anomaly_flags', 'remark');
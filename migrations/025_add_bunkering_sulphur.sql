@@ -0,0 +1,23 @@
+-- =====================================================
+-- Migration: Add Sulphur to Bunkering Operations
+-- Purpose: Record the BDN sulphur content with each bunkering so the
+--          app can track what each tank holds (grade, BDN references,
+--          density @15°C and sulphur, blended onto existing ROB).
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE bunkering_operations
+ADD COLUMN IF NOT EXISTS sulphur DECIMAL(6,3);
+
+COMMENT ON COLUMN bunkering_operations.sulphur IS 'Sulphur content from the BDN (% m/m); NULL when not entered';
+COMMENT ON COLUMN bunkering_operations.bdn_number IS 'Bunker delivery note reference, kept as the lineage of the tanks bunkered into';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'bunkering_operations'
+  AND column_name IN ('bdn_number', 'sulphur');
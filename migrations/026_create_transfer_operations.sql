@@ -0,0 +1,69 @@
+-- =====================================================
+-- Migration: Create Transfer Operations
+-- Purpose: Store internal fuel transfers between tanks (storage →
+--          settling → service) synced from the app: before/after
+--          readings of the source and destination, the quantity moved
+--          on each side and the imbalance between them.
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS transfer_operations (
+    -- Primary Key
+    transfer_id SERIAL PRIMARY KEY,
+    
+    -- Foreign Keys
+    vessel_id UUID NOT NULL REFERENCES vessels(vessel_id) ON DELETE CASCADE,
+    source_compartment_id INT NOT NULL,
+    destination_compartment_id INT NOT NULL,
+    
+    -- Fuel moved
+    fuel_grade VARCHAR(50),
+    source_grade VARCHAR(50),          -- Grade the source tank held
+    density DECIMAL(6,4),              -- t/m³ @15°C
+    temperature DECIMAL(6,2),
+    mass_basis VARCHAR(10),
+    
+    -- Ship condition
+    trim DECIMAL(5,2),
+    heel DECIMAL(5,2),
+    
+    -- Readings (table-referenced ullage in cm) and quantities
+    source_before_ullage DECIMAL(10,2),
+    source_after_ullage DECIMAL(10,2),
+    destination_before_ullage DECIMAL(10,2),
+    destination_after_ullage DECIMAL(10,2),
+    source_quantity_mt DECIMAL(12,3),      -- Left the source (before − after)
+    destination_quantity_mt DECIMAL(12,3), -- Arrived in the destination (after − before)
+    imbalance_mt DECIMAL(12,3),            -- source − destination
+    readings JSONB,                        -- Full per-side detail as recorded
+    
+    -- Metadata
+    transferred_at TIMESTAMP NOT NULL,
+    remark TEXT,
+    user_name VARCHAR(100),
+    
+    -- Sync
+    client_id VARCHAR(100) UNIQUE,
+    sync_status VARCHAR(20) DEFAULT 'synced',
+    synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Audit
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfer_operations_vessel
+ON transfer_operations(vessel_id, transferred_at DESC);
+
+COMMENT ON TABLE transfer_operations IS 'Internal fuel transfers between tanks, recorded on board and synced from the app';
+COMMENT ON COLUMN transfer_operations.imbalance_mt IS 'Quantity out of the source less quantity into the destination (mT); non-zero from measurement error or leakage';
+COMMENT ON COLUMN transfer_operations.readings IS '{ source: {...}, destination: {...} } with compartment_id, input_mode, before/after reading, ullage, volume and mT per side';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'transfer_operations'
+ORDER BY ordinal_position;
@@ -0,0 +1,30 @@
+-- =====================================================
+-- Migration: Add Trim/Heel Source and Drafts to Bunkering Operations
+-- Purpose: Record, as soundings do, whether a bunkering's trim and heel
+--          were typed in, computed from drafts, or read from the device's
+--          inclinometer, and which drafts were used
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE bunkering_operations
+ADD COLUMN IF NOT EXISTS trim_source VARCHAR(10);
+
+ALTER TABLE bunkering_operations
+ADD COLUMN IF NOT EXISTS heel_source VARCHAR(10);
+
+ALTER TABLE bunkering_operations
+ADD COLUMN IF NOT EXISTS drafts JSONB;
+
+COMMENT ON COLUMN bunkering_operations.trim_source IS 'manual, drafts or sensor (device inclinometer). NULL when no trim was entered or for rows synced before this migration';
+COMMENT ON COLUMN bunkering_operations.heel_source IS 'manual, drafts or sensor (device inclinometer). NULL when no heel was entered';
+COMMENT ON COLUMN bunkering_operations.drafts IS 'Drafts the trim/heel were computed from: { forward, aft, port, starboard, trim_at_marks, trim, heel, trim_sign, computed_at }. NULL = entered by hand';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'bunkering_operations'
+  AND column_name IN ('trim_source', 'heel_source', 'drafts');
@@ -0,0 +1,26 @@
+-- =====================================================
+-- Migration: Add Entered Units to Transfer Operations
+-- Purpose: Record the units a transfer's readings, density and temperature
+--          were entered in, as sounding_logs does (migration 020).
+--          Numeric columns stay canonical: cm, m³, t/m³ @15°C, °C.
+-- Created: 2026-10-19
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE transfer_operations
+ADD COLUMN IF NOT EXISTS entered_units JSONB;
+
+ALTER TABLE transfer_operations
+ADD COLUMN IF NOT EXISTS entered_values JSONB;
+
+COMMENT ON COLUMN transfer_operations.entered_units IS 'Units in effect on the device: { length: cm|mm|m|in, volume: m3|bbl|usgal|l, density: t_m3|kg_m3|api, temperature: c|f }';
+COMMENT ON COLUMN transfer_operations.entered_values IS 'Density and temperature as typed, in entered_units: { density, temperature }. Each side''s before/after readings as typed are in readings.<side>.entered_values';
+
+COMMIT;
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'transfer_operations'
+  AND column_name IN ('entered_units', 'entered_values');
@@ -1,16 +1,137 @@
-import React, { useState, useMemo, useEffect, useRef } from "react";
+import React, { useState, useMemo, useEffect, useRef, useCallback } from "react";
 import "./App.css";
 import VesselSelection from "./components/VesselSelection";
 import SyncStatus from "./components/SyncStatus";
 import Settings from "./components/Settings";
-import { getCompartments, hasVesselData, getVesselInfo } from "./db/database";
-import { calculateSounding } from "./utils/interpolation";
+import {
+  getCompartments,
+  hasVesselData,
+  getVesselInfo,
+  getVesselSettings,
+  getVesselAxes,
+  getDrafts,
+  saveDraft,
+  deleteDraft,
+  queueSoundingSession,
+  recordBunkeringOperation,
+  getTankContents,
+} from "./db/database";
+import { syncAllPendingData } from "./db/syncService";
+import {
+  calculateSounding,
+  calculateSoundingFromSound,
+  calculateUllageForTarget,
+} from "./utils/interpolation";
+import {
+  calculateStandardQuantities,
+  calculateMassBand,
+  sumBands,
+  netObservedVolume,
+  netVolumeBand,
+} from "./utils/volumeCorrection";
+import { localDateTimeInput, dateTimeInputToIso } from "./utils/dateTime";
+import {
+  UNIT_LABELS,
+  toCanonical,
+  enteredToCanonical,
+  formatInUnit,
+  formatDeltaInUnit,
+  resolveUnits,
+  getUserUnits,
+} from "./utils/units";
 import { useOnlineStatus } from "./hooks/useOnlineStatus";
 import { v4 as uuidv4 } from "uuid";
 import { getLambdaUrl, saveLambdaUrl, logConfig } from "./config";
 import { requestPersistentStorage, estimateStorage, formatBytes } from "./utils/storage";
 import { usePackageUpdateChecker } from "./hooks/usePackageUpdateChecker";
 import AdminPanel from "./components/AdminPanel";
+import CalculationTrace from "./components/CalculationTrace";
+import StabilitySummary from "./components/StabilitySummary";
+import DraftCalculator from "./components/DraftCalculator";
+import SensorCapture from "./components/SensorCapture";
+import SoundingHistory from "./components/SoundingHistory";
+import ConsumptionReport from "./components/ConsumptionReport";
+import FuelTransfer, { createTransfer } from "./components/FuelTransfer";
+import { loadConsumptionInputs, consumptionSinceLastRob } from "./utils/consumption";
+import { loadAnomalyHistory, detectTankAnomaly } from "./utils/anomalies";
+import { contentsAfterBunker, contentsAfterSounding, gradeMismatch } from "./utils/tankContents";
+import {
+  DEFAULT_VESSEL_SETTINGS,
+  MASS_BASIS,
+  INPUT_MODES,
+  QUANTITY_WARNINGS,
+  TARGET_TYPES,
+  HEEL_STATUS,
+  INPUT_SOURCES,
+  UNITS,
+  DRAFT_TABS,
+  DRAFT_AUTOSAVE_MS,
+} from "./utils/constants";
+
+// Blank row for the sounding table
+const createTankEntry = (id = Date.now()) => ({
+  id,
+  compartment_id: "",
+  fuel_grade: "",
+  input_mode: INPUT_MODES.ULLAGE,
+  ullage: "",
+  sounding: "",
+  water_sounding: "",
+  density: "",
+  temp: "",
+  remark: "",
+  anomaly: null, // As logged; only set on rows of a reopened session
+  result: null,
+  showTrace: false,
+  loading: false,
+  error: "",
+});
+
+// Blank reading row for a bunker panel
+const createBunkeringEntry = (id = Date.now()) => ({
+  id,
+  timestamp: localDateTimeInput(),
+  compartment_id: "",
+  input_mode: INPUT_MODES.ULLAGE,
+  ullage: "",
+  sounding: "",
+  result: null,
+  showTrace: false,
+  loading: false,
+  error: "",
+});
+
+// Blank bunker panel (index from 0)
+const createBunker = (index, entryId = Date.now()) => ({
+  id: index + 1,
+  name: `Bunker ${index + 1}`,
+  fuelGrade: "",
+  bdnNumber: "",
+  sulphur: "",
+  density: "",
+  temp: "",
+  totalQtyMT: "",
+  heel: "",
+  trim: "",
+  stopTargetType: TARGET_TYPES.PERCENT,
+  stopTargetValue: "90",
+  drafts: null,
+  trimSource: INPUT_SOURCES.MANUAL,
+  heelSource: INPUT_SOURCES.MANUAL,
+  recordedAt: null,
+  recordError: "",
+  entries: [createBunkeringEntry(entryId)],
+});
+
+// Value typed in the row's active input mode (ullage or sounding)
+const getEntryReading = (entry) =>
+  entry.input_mode === INPUT_MODES.SOUNDING ? entry.sounding : entry.ullage;
+
+// Row has nothing typed into it yet
+const isBlankEntry = (entry) => !entry.compartment_id && getEntryReading(entry) === "";
+
+// Rows are saved as shown; a calculation in flight when the app died is just not finished
+const toDraftEntries = (entries) => entries.map((entry) => ({ ...entry, loading: false }));
 
 function App() {
   // Connection and compartments
@@ -33,6 +154,8 @@ function App() {
   const [showSettings, setShowSettings] = useState(false);
   const [installingUpdate, setInstallingUpdate] = useState(false);
   const [showAdmin, setShowAdmin] = useState(false);
+  const [vesselSettings, setVesselSettings] = useState(DEFAULT_VESSEL_SETTINGS);
+  const [userUnits, setUserUnits] = useState({});
 
   const isOnline = useOnlineStatus();
   const fuelGrades = ["HSFO", "VLSFO", "ULSFO", "LSMGO", "MGO", "BIOFUEL"];
@@ -47,44 +170,33 @@ function App() {
   );
   const [globalTrim, setGlobalTrim] = useState("");
   const [globalHeel, setGlobalHeel] = useState("");
-  const [tankEntries, setTankEntries] = useState([
-    {
-      id: Date.now(),
-      compartment_id: "",
-      fuel_grade: "",
-      ullage: "",
-      density: "",
-      temp: "",
-      result: null,
-      loading: false,
-      error: "",
-    },
-  ]);
+  const [globalDrafts, setGlobalDrafts] = useState(null);
+  const [globalSources, setGlobalSources] = useState({
+    trim: INPUT_SOURCES.MANUAL,
+    heel: INPUT_SOURCES.MANUAL,
+  });
+  const [tankEntries, setTankEntries] = useState([createTankEntry()]);
 
   // Bunkering tab state
   const [numBunkers, setNumBunkers] = useState(1);
-  const [bunkeringData, setBunkeringData] = useState([
-    {
-      id: 1,
-      name: "Bunker 1",
-      density: "",
-      temp: "",
-      totalQtyMT: "",
-      heel: "",
-      trim: "",
-      entries: [
-        {
-          id: Date.now(),
-          timestamp: new Date().toISOString().slice(0, 16),
-          compartment_id: "",
-          ullage: "",
-          result: null,
-          loading: false,
-          error: "",
-        },
-      ],
-    },
-  ]);
+  const [bunkeringData, setBunkeringData] = useState([createBunker(0)]);
+  const [transfer, setTransfer] = useState(createTransfer());
+
+  // Autosaved form drafts: vessel they're loaded for, and drafts awaiting resume/discard
+  const [draftVesselId, setDraftVesselId] = useState(null);
+  const [pendingFormDrafts, setPendingFormDrafts] = useState([]);
+
+  // Noon ROBs and bunker receipts on this device, reloaded after each submission/record
+  const [consumptionInputs, setConsumptionInputs] = useState(null);
+  const [consumptionVersion, setConsumptionVersion] = useState(0);
+  // Previous sessions and tank events the anomaly checks compare against (same reloads)
+  const [anomalyHistory, setAnomalyHistory] = useState(null);
+  // What each tank holds (compartment_id -> contents), refreshed with the consumption data
+  const [tankContents, setTankContents] = useState(new Map());
+
+  // Submitted session shown read-only in the sounding table; the working form waits in the stash
+  const [reopenedSession, setReopenedSession] = useState(null);
+  const stashedSoundingForm = useRef(null);
 
   // Check for vessel data on mount and log configuration
   useEffect(() => {
@@ -122,6 +234,52 @@ function App() {
     })();
   }, []);
 
+  // Load per-vessel calculation settings
+  useEffect(() => {
+    if (!currentVessel) return;
+    getVesselSettings(currentVessel.vessel_id).then(setVesselSettings);
+  }, [currentVessel]);
+
+  const massBasisLabel = vesselSettings.massBasis === MASS_BASIS.AIR ? "in air" : "in vacuum";
+
+  // This device's unit overrides (per user); the vessel settings supply the rest
+  useEffect(() => {
+    getUserUnits().then(setUserUnits);
+  }, []);
+
+  const units = useMemo(
+    () => resolveUnits(vesselSettings.units, userUnits),
+    [vesselSettings, userUnits]
+  );
+  const unitLabel = (kind) => UNIT_LABELS[units[kind]];
+
+  // Entered values -> canonical units (cm, t/m³ @15°C, °C) for every calculation
+  // Stable per unit setting, so memoised figures recompute when (and only when) it changes
+  const canonicalReading = useCallback(
+    (value) => enteredToCanonical("length", value, units.length),
+    [units.length]
+  );
+  const canonicalDensity = useCallback(
+    (value) => enteredToCanonical("density", value, units.density),
+    [units.density]
+  );
+  const canonicalTemp = useCallback(
+    (value) => enteredToCanonical("temperature", value, units.temperature),
+    [units.temperature]
+  );
+  const formatVolume = (value) => formatInUnit("volume", value, units.volume);
+  const formatLength = (value) => formatInUnit("length", value, units.length);
+  const densityStep = units.density === UNITS.DENSITY.T_M3 ? "0.001" : "0.1";
+
+  // Drafts stop describing trim/heel once the value they produced is typed over
+  const draftsAfterEdit = (drafts, field) =>
+    drafts && (field === "trim" || drafts.heel !== null) ? null : drafts;
+
+  // Trim/heel input limits follow the vessel's calibration grid
+  const { trimAxis, heelAxis } = getVesselAxes(currentVessel);
+  const trimLimits = { min: trimAxis[0].value, max: trimAxis[trimAxis.length - 1].value };
+  const heelLimits = { min: heelAxis[0].value, max: heelAxis[heelAxis.length - 1].value };
+
   // Background package update checker
   const { updateInfo, dismiss } = usePackageUpdateChecker({
     lambdaUrl,
@@ -195,6 +353,10 @@ function App() {
   };
 
   const handleVesselSelected = async (vessel) => {
+    // Another vessel's tanks: start from blank forms (its own drafts are offered instead)
+    if (currentVessel && vessel && currentVessel.vessel_id !== vessel.vessel_id) {
+      resetWorkingState();
+    }
     setCurrentVessel(vessel);
     setVesselSelected(true);
     await loadCompartmentsFromDB();
@@ -205,35 +367,266 @@ function App() {
     console.log("✓ Lambda URL updated from settings:", newUrl);
   };
 
+  // Blank both tabs' forms (drafts are kept per vessel)
+  const resetWorkingState = () => {
+    setReopenedSession(null);
+    stashedSoundingForm.current = null;
+    setGlobalTrim("");
+    setGlobalHeel("");
+    setGlobalDrafts(null);
+    setGlobalSources({ trim: INPUT_SOURCES.MANUAL, heel: INPUT_SOURCES.MANUAL });
+    setTankEntries([createTankEntry()]);
+    setNumBunkers(1);
+    setBunkeringData([createBunker(0)]);
+    setTransfer(createTransfer());
+  };
+
   const resetConnection = () => {
     // Go back to vessel selection screen
     setVesselSelected(false);
     setCurrentVessel(null);
     setCompartments([]);
-    setTankEntries([{
-      id: Date.now(),
-      compartment_id: "",
-      fuel_grade: "",
-      ullage: "",
-      density: "",
-      temp: "",
-      result: null,
-      loading: false,
-      error: "",
-    }]);
+    resetWorkingState();
   };
 
-  // Submit soundings to cloud (with summary data)
-  const submitSoundingsToCloud = async () => {
-    if (!isOnline) {
-      setSubmitStatus({
-        message: "Cannot submit: You are offline",
-        type: "error",
-      });
-      setTimeout(() => setSubmitStatus({ message: "", type: "" }), 3000);
+  // Load this vessel's form drafts; autosave starts once they're loaded
+  const currentVesselId = currentVessel ? currentVessel.vessel_id : null;
+  useEffect(() => {
+    setDraftVesselId(null);
+    setPendingFormDrafts([]);
+    if (!currentVesselId) return;
+    let cancelled = false;
+    getDrafts(currentVesselId)
+      .then((drafts) => {
+        if (cancelled) return;
+        if (drafts.length > 0) {
+          console.log(`📝 Found ${drafts.length} unsaved form draft(s) for vessel ${currentVesselId}`);
+        }
+        setPendingFormDrafts(drafts);
+        setDraftVesselId(currentVesselId);
+      })
+      .catch((err) => console.error("Error loading form drafts:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [currentVesselId]);
+
+  useEffect(() => {
+    if (!currentVesselId) {
+      setConsumptionInputs(null);
+      return;
+    }
+    loadConsumptionInputs(currentVesselId)
+      .then(setConsumptionInputs)
+      .catch((err) => console.error("Error loading consumption data:", err));
+  }, [currentVesselId, consumptionVersion]);
+
+  useEffect(() => {
+    if (!currentVesselId) {
+      setTankContents(new Map());
       return;
     }
+    getTankContents(currentVesselId)
+      .then(setTankContents)
+      .catch((err) => console.error("Error loading tank contents:", err));
+  }, [currentVesselId, consumptionVersion]);
 
+  useEffect(() => {
+    if (!currentVesselId) {
+      setAnomalyHistory(null);
+      return;
+    }
+    loadAnomalyHistory(currentVesselId)
+      .then(setAnomalyHistory)
+      .catch((err) => console.error("Error loading anomaly history:", err));
+  }, [currentVesselId, consumptionVersion]);
+
+  // A tab is autosaved unless its saved draft is still waiting to be resumed or discarded,
+  // or (sounding) a submitted session is being viewed in place of the form
+  const autosaveTab = useCallback(
+    (tab) =>
+      draftVesselId !== null &&
+      !pendingFormDrafts.some((d) => d.tab === tab) &&
+      !(tab === DRAFT_TABS.SOUNDING && reopenedSession),
+    [draftVesselId, pendingFormDrafts, reopenedSession]
+  );
+
+  const getSoundingForm = useCallback(
+    () => ({
+      reportDate,
+      globalTrim,
+      globalHeel,
+      globalDrafts,
+      globalSources,
+      tankEntries: toDraftEntries(tankEntries),
+    }),
+    [reportDate, globalTrim, globalHeel, globalDrafts, globalSources, tankEntries]
+  );
+
+  const setSoundingForm = (form) => {
+    setReportDate(form.reportDate);
+    setGlobalTrim(form.globalTrim);
+    setGlobalHeel(form.globalHeel);
+    setGlobalDrafts(form.globalDrafts);
+    setGlobalSources(form.globalSources);
+    setTankEntries(form.tankEntries);
+  };
+
+  const writeFormDraft = useCallback(
+    (tab, state, isBlank) => {
+      const write = isBlank
+        ? deleteDraft(draftVesselId, tab)
+        : saveDraft(draftVesselId, tab, state);
+      write.catch((err) => console.error(`Error autosaving ${tab} draft:`, err));
+    },
+    [draftVesselId]
+  );
+
+  useEffect(() => {
+    if (!autosaveTab(DRAFT_TABS.SOUNDING)) return;
+    const timer = setTimeout(() => {
+      const isBlank = globalTrim === "" && globalHeel === "" && tankEntries.every(isBlankEntry);
+      writeFormDraft(DRAFT_TABS.SOUNDING, getSoundingForm(), isBlank);
+    }, DRAFT_AUTOSAVE_MS);
+    return () => clearTimeout(timer);
+  }, [autosaveTab, writeFormDraft, getSoundingForm, globalTrim, globalHeel, tankEntries]);
+
+  useEffect(() => {
+    if (!autosaveTab(DRAFT_TABS.BUNKERING)) return;
+    const timer = setTimeout(() => {
+      const isBlank = bunkeringData.every(
+        (b) =>
+          b.density === "" && b.temp === "" && b.totalQtyMT === "" &&
+          b.trim === "" && b.heel === "" && b.entries.every(isBlankEntry)
+      );
+      writeFormDraft(
+        DRAFT_TABS.BUNKERING,
+        {
+          numBunkers,
+          bunkeringData: bunkeringData.map((b) => ({ ...b, entries: toDraftEntries(b.entries) })),
+        },
+        isBlank
+      );
+    }, DRAFT_AUTOSAVE_MS);
+    return () => clearTimeout(timer);
+  }, [autosaveTab, writeFormDraft, numBunkers, bunkeringData]);
+
+  const resumeFormDraft = (draft) => {
+    const { state } = draft;
+    // Drafts saved by an older version lack fields added since; fill them with defaults
+    if (draft.tab === DRAFT_TABS.SOUNDING) {
+      setReopenedSession(null);
+      stashedSoundingForm.current = null;
+      setSoundingForm({
+        ...state,
+        tankEntries: state.tankEntries.map((entry) => ({ ...createTankEntry(entry.id), ...entry })),
+      });
+    } else {
+      setNumBunkers(state.numBunkers);
+      setBunkeringData(state.bunkeringData.map((bunker, i) => ({ ...createBunker(i), ...bunker })));
+    }
+    setActiveTab(draft.tab);
+    setPendingFormDrafts((prev) => prev.filter((d) => d.tab !== draft.tab));
+    console.log(`📝 Resumed ${draft.tab} draft from ${draft.updated_at}`);
+  };
+
+  // Submitted sounding back into table rows (readings shown in the current units)
+  const logToTankEntry = (log) => {
+    const display = (kind, value) =>
+      value === null || value === undefined ? "" : formatInUnit(kind, value, units[kind]);
+    const inputMode = log.input_mode || INPUT_MODES.ULLAGE;
+    const reading =
+      log.raw_reading ?? (inputMode === INPUT_MODES.SOUNDING ? log.sounding : log.ullage);
+    return {
+      ...createTankEntry(log.client_id),
+      compartment_id: String(log.compartment_id),
+      fuel_grade: log.fuel_grade || "",
+      input_mode: inputMode,
+      [inputMode]: display("length", reading),
+      water_sounding: display("length", log.free_water_sounding),
+      density: display("density", log.density),
+      temp: display("temperature", log.temperature),
+      remark: log.remark || "",
+      anomaly: log.anomaly || null,
+      result: {
+        success: true,
+        input_mode: inputMode,
+        ullage: log.ullage,
+        sound: log.sounding,
+        raw_reading: log.raw_reading,
+        reading_offset: log.reading_offset,
+        base_volume: log.base_volume,
+        heel_correction: log.heel_correction,
+        final_volume: log.final_volume,
+        volume: log.final_volume,
+        free_water:
+          log.free_water_volume !== null && log.free_water_volume !== undefined
+            ? { sounding: log.free_water_sounding, volume: log.free_water_volume }
+            : null,
+        heel_status: log.heel_status,
+        warnings: log.calculation_warnings || [],
+        out_of_range: log.out_of_range,
+        range_flags: log.range_flags || [],
+        volume_band: null,
+        trace: null,
+      },
+    };
+  };
+
+  const reopenSession = (session) => {
+    if (!reopenedSession) {
+      stashedSoundingForm.current = getSoundingForm();
+    }
+    const first = session.logs[0];
+    const summary = session.summary || {};
+    setSoundingForm({
+      reportDate: session.report_date,
+      globalTrim: String(summary.trim ?? first.trim ?? ""),
+      globalHeel: String(summary.heel ?? first.heel ?? ""),
+      globalDrafts: summary.drafts || null,
+      globalSources: {
+        trim: first.trim_source || INPUT_SOURCES.MANUAL,
+        heel: first.heel_source || INPUT_SOURCES.MANUAL,
+      },
+      tankEntries: session.logs.map(logToTankEntry),
+    });
+    setReopenedSession(session);
+    setActiveTab("sounding");
+    console.log(`📜 Reopened session ${session.session_id} (${session.logs.length} tanks)`);
+  };
+
+  const closeReopenedSession = () => {
+    if (stashedSoundingForm.current) {
+      setSoundingForm(stashedSoundingForm.current);
+    }
+    stashedSoundingForm.current = null;
+    setReopenedSession(null);
+  };
+
+  const discardFormDraft = async (draft) => {
+    try {
+      await deleteDraft(draft.vessel_id, draft.tab);
+    } catch (err) {
+      console.error("Error discarding form draft:", err);
+    }
+    setPendingFormDrafts((prev) => prev.filter((d) => d.tab !== draft.tab));
+  };
+
+  const describeFormDraft = (draft) => {
+    const { state } = draft;
+    const rows =
+      draft.tab === DRAFT_TABS.SOUNDING
+        ? state.tankEntries.filter((e) => !isBlankEntry(e)).length
+        : state.bunkeringData
+            .slice(0, state.numBunkers)
+            .reduce((sum, b) => sum + b.entries.filter((e) => !isBlankEntry(e)).length, 0);
+    const label = draft.tab === DRAFT_TABS.SOUNDING ? "Tank sounding" : "Bunkering log";
+    return `${label} draft from ${new Date(draft.updated_at).toLocaleString()} (${rows} row${rows === 1 ? "" : "s"})`;
+  };
+
+  // Submit soundings (with summary data): committed to the local queue first,
+  // then uploaded now if online, otherwise by SyncStatus when connectivity returns
+  const submitSoundings = async () => {
     // Filter tank entries that have results
     const completedSoundings = tankEntries.filter(
       (entry) => entry.result && entry.result.success && entry.compartment_id && entry.fuel_grade
@@ -248,8 +641,24 @@ function App() {
       return;
     }
 
+    // Flagged figures go out with the officer's explanation
+    const unexplained = completedSoundings.filter(
+      (entry) => anomalyByEntry[entry.id] && !entry.remark.trim()
+    );
+    if (unexplained.length > 0) {
+      const names = unexplained
+        .map((entry) => compartments.find((c) => c.compartment_id === parseInt(entry.compartment_id))?.compartment_name)
+        .join(", ");
+      setSubmitStatus({
+        message: `Add a remark for flagged tank(s) before submitting: ${names}`,
+        type: "error",
+      });
+      setTimeout(() => setSubmitStatus({ message: "", type: "" }), 5000);
+      return;
+    }
+
     try {
-      setSubmitStatus({ message: "Submitting...", type: "loading" });
+      setSubmitStatus({ message: "Saving...", type: "loading" });
 
       // Generate a session ID to group all soundings together
       const sessionId = uuidv4();
@@ -260,6 +669,7 @@ function App() {
         const compartmentName = compartments.find(
           (c) => c.compartment_id === parseInt(entry.compartment_id)
         )?.compartment_name || "Unknown";
+        const quantities = calculateQuantities(entry.result, entry.density, entry.temp);
 
         return {
           client_id: uuidv4(),
@@ -268,18 +678,59 @@ function App() {
           compartment_name: compartmentName,
           recorded_at: systemTimestamp, // System date/time
           report_date: reportDate, // User-selected date
-          ullage: parseFloat(entry.ullage),
+          ullage: parseFloat(entry.result.ullage),
+          sounding: entry.result.sound !== null && entry.result.sound !== undefined
+            ? parseFloat(entry.result.sound)
+            : null,
+          input_mode: entry.input_mode,
+          raw_reading: entry.result.raw_reading ?? null,
+          reading_offset: entry.result.reading_offset ?? null,
           trim: parseFloat(globalTrim),
           heel: globalHeel !== "" ? parseFloat(globalHeel) : null,
+          trim_source: globalSources.trim,
+          entered_units: units,
+          entered_values: {
+            [entry.input_mode]: getEntryReading(entry),
+            free_water: entry.water_sounding,
+            density: entry.density,
+            temperature: entry.temp,
+          },
+          heel_source: globalHeel !== "" ? globalSources.heel : null,
           fuel_grade: entry.fuel_grade,
-          density: entry.density ? parseFloat(entry.density) : null,
-          temperature: entry.temp ? parseFloat(entry.temp) : null,
+          density: entry.density ? canonicalDensity(entry.density) : null,
+          temperature: entry.temp ? canonicalTemp(entry.temp) : null,
           base_volume: parseFloat(entry.result.base_volume || entry.result.volume),
           heel_correction: parseFloat(entry.result.heel_correction || 0),
           final_volume: parseFloat(entry.result.final_volume || entry.result.volume),
-          calculated_mt: entry.density
-            ? parseFloat(entry.result.final_volume || entry.result.volume) * parseFloat(entry.density)
-            : null,
+          free_water_sounding: entry.result.free_water ? entry.result.free_water.sounding : null,
+          free_water_volume: entry.result.free_water ? entry.result.free_water.volume : null,
+          // NSV: fuel net of free water × VCF; GSV: total liquid (final_volume) × VCF
+          net_standard_volume: quantities ? quantities.gsv : null,
+          vcf: quantities ? quantities.vcf : null,
+          gross_standard_volume:
+            quantities && !quantities.uncorrected
+              ? parseFloat(entry.result.final_volume || entry.result.volume) * quantities.vcf
+              : null,
+          wcf: quantities ? quantities.wcf : null,
+          calculated_mt: quantities ? quantities.mt : null,
+          mass_basis: vesselSettings.massBasis,
+          out_of_range: !!entry.result.out_of_range,
+          range_flags: entry.result.out_of_range ? entry.result.range_flags : null,
+          heel_status: entry.result.heel_status,
+          calculation_warnings: (() => {
+            const warnings = quantities && quantities.uncorrected
+              ? [
+                  ...entry.result.warnings,
+                  {
+                    code: QUANTITY_WARNINGS.VCF_NOT_APPLIED,
+                    message: "No temperature: mT is observed volume × density, not corrected to 15°C",
+                  },
+                ]
+              : entry.result.warnings;
+            return warnings.length > 0 ? warnings : null;
+          })(),
+          anomaly: anomalyByEntry[entry.id] || null,
+          remark: entry.remark.trim() || null,
           user_name: null,
           device_info: navigator.userAgent,
           app_version: "1.0.0",
@@ -294,40 +745,50 @@ function App() {
         total_tanks: completedSoundings.length,
         total_mass_by_fuel_grade: totalMtByFuelGrade,
         grand_total_mt: Object.values(totalMtByFuelGrade).reduce((sum, mt) => sum + mt, 0),
+        volume_correction_table: "ASTM 54B",
+        mass_basis: vesselSettings.massBasis,
         trim: parseFloat(globalTrim),
         heel: globalHeel !== "" ? parseFloat(globalHeel) : null,
+        drafts: globalDrafts,
+        consumption: consumptionSinceLast,
       };
 
-      const payload = {
-        soundings: soundingsPayload,
-        summary: summaryData,
-      };
+      const contents = soundingsPayload
+        .filter((log) => log.calculated_mt !== null)
+        .map((log) => contentsAfterSounding(tankContents.get(log.compartment_id), log));
 
-      const normalizedUrl = lambdaUrl.replace(/\/+$/, "");
-      const response = await fetch(
-        `${normalizedUrl}/vessel/${currentVessel.vessel_id}/sync-soundings`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        }
+      await queueSoundingSession(currentVessel.vessel_id, soundingsPayload, summaryData, contents);
+      setConsumptionVersion((v) => v + 1);
+      console.log(`💾 Queued ${soundingsPayload.length} sounding(s) locally, session ${sessionId}`);
+      console.log("✓ Summary:", summaryData);
+
+      // Submitted work needs no resume prompt; the next edit starts a new draft
+      deleteDraft(currentVessel.vessel_id, DRAFT_TABS.SOUNDING).catch((err) =>
+        console.error("Error clearing sounding draft:", err)
       );
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const savedAt = new Date(systemTimestamp).toLocaleString();
+      if (!isOnline || !lambdaUrl) {
+        setSubmitStatus({
+          message: `💾 Saved ${soundingsPayload.length} tank(s) + summary on this device at ${savedAt} - will upload when online`,
+          type: "success",
+        });
+      } else {
+        setSubmitStatus({ message: "Uploading...", type: "loading" });
+        const results = await syncAllPendingData(lambdaUrl, currentVessel.vessel_id);
+        setSubmitStatus(
+          results.soundings.failed > 0
+            ? {
+                message: `💾 Saved ${soundingsPayload.length} tank(s) + summary on this device at ${savedAt} - upload failed, will retry`,
+                type: "error",
+              }
+            : {
+                message: `✅ Saved ${soundingsPayload.length} tank(s) + summary to cloud at ${savedAt}`,
+                type: "success",
+              }
+        );
       }
 
-      const result = await response.json();
-
-      setSubmitStatus({
-        message: `✅ Saved ${result.inserted} tank(s) + summary to cloud at ${new Date(systemTimestamp).toLocaleString()}`,
-        type: "success",
-      });
-
-      console.log("✓ Soundings submitted:", result);
-      console.log("✓ Session ID:", sessionId);
-      console.log("✓ Summary:", summaryData);
-
       // Keep form data - DO NOT clear or refresh
       setTimeout(() => setSubmitStatus({ message: "", type: "" }), 5000);
     } catch (err) {
@@ -347,21 +808,21 @@ function App() {
     );
   };
 
+  // Tank picked for a row: grade and density come from what the tank holds
+  const selectTankCompartment = (index, compartmentId) => {
+    const contents = tankContents.get(parseInt(compartmentId));
+    const updates = { compartment_id: compartmentId };
+    if (contents && contents.fuel_grade) {
+      updates.fuel_grade = contents.fuel_grade;
+    }
+    if (contents && contents.density !== null && contents.density !== undefined) {
+      updates.density = formatInUnit("density", contents.density, units.density);
+    }
+    updateTankEntry(index, updates);
+  };
+
   const addTankRow = () => {
-    setTankEntries((prev) => [
-      ...prev,
-      {
-        id: Date.now() + Math.random(),
-        compartment_id: "",
-        fuel_grade: "",
-        ullage: "",
-        density: "",
-        temp: "",
-        result: null,
-        loading: false,
-        error: "",
-      },
-    ]);
+    setTankEntries((prev) => [...prev, createTankEntry(Date.now() + Math.random())]);
   };
 
   const removeTankRow = (idToRemove) => {
@@ -370,9 +831,10 @@ function App() {
 
   const fetchSoundingData = async (index) => {
     const entry = tankEntries[index];
-    if (!entry.compartment_id || entry.ullage === "" || globalTrim === "") {
+    const reading = getEntryReading(entry);
+    if (!entry.compartment_id || reading === "" || globalTrim === "") {
       updateTankEntry(index, {
-        error: "Please select tank, enter ullage, and set global trim",
+        error: `Please select tank, enter ${entry.input_mode}, and set global trim`,
       });
       return;
     }
@@ -380,22 +842,35 @@ function App() {
     updateTankEntry(index, { loading: true, error: "", result: null });
     
     try {
-      // Use offline interpolation
-      const result = await calculateSounding(
+      // Use offline interpolation (sounding is converted to ullage first)
+      const calculate =
+        entry.input_mode === INPUT_MODES.SOUNDING ? calculateSoundingFromSound : calculateSounding;
+      const result = await calculate(
         parseInt(entry.compartment_id),
-        parseFloat(entry.ullage),
+        canonicalReading(reading),
         parseFloat(globalTrim),
-        globalHeel !== "" ? parseFloat(globalHeel) : null
+        globalHeel !== "" ? parseFloat(globalHeel) : null,
+        {
+          outOfRangePolicy: vesselSettings.outOfRangePolicy,
+          tolerances: vesselSettings.tolerances,
+          trace: true,
+        }
       );
       
-      if (result.success) {
-        updateTankEntry(index, { result: result, error: "" });
-      } else {
+      if (!result.success) {
         updateTankEntry(index, {
           error: result.error || "Calculation failed",
           result: null,
         });
+        return;
+      }
+
+      const freeWater = await calculateFreeWater(entry, result);
+      if (freeWater && freeWater.error) {
+        updateTankEntry(index, { error: freeWater.error, result: null });
+        return;
       }
+      updateTankEntry(index, { result: { ...result, free_water: freeWater }, error: "" });
     } catch (err) {
       updateTankEntry(index, {
         error: "Calculation error: " + err.message,
@@ -406,6 +881,29 @@ function App() {
     }
   };
 
+  // Free water under the fuel: its dip is a sounding in the same calibration table
+  const calculateFreeWater = async (entry, result) => {
+    if (entry.water_sounding === "") return null;
+    const waterSounding = canonicalReading(entry.water_sounding);
+    if (waterSounding === 0) {
+      return { sounding: 0, volume: 0 };
+    }
+    const water = await calculateSoundingFromSound(
+      parseInt(entry.compartment_id),
+      waterSounding,
+      parseFloat(globalTrim),
+      globalHeel !== "" ? parseFloat(globalHeel) : null,
+      { outOfRangePolicy: vesselSettings.outOfRangePolicy }
+    );
+    if (!water.success) {
+      return { error: `Free water: ${water.error}` };
+    }
+    if (water.final_volume > result.final_volume) {
+      return { error: "Free water dip is above the total liquid level" };
+    }
+    return { sounding: waterSounding, volume: water.final_volume };
+  };
+
   const formatVolumeDisplay = (result) => {
     if (!result) return "N/A";
     const displayVolume =
@@ -414,41 +912,240 @@ function App() {
       return (
         <div className="volume-with-heel">
           <div className="base-volume">
-            Base: {parseFloat(result.base_volume).toFixed(2)}
+            Base: {formatVolume(result.base_volume)}
           </div>
           <div className="heel-correction">
             Heel: {result.heel_correction > 0 ? "+" : ""}
-            {parseFloat(result.heel_correction).toFixed(2)}
+            {formatVolume(result.heel_correction)}
           </div>
           <div className="final-volume">
-            <strong>Final: {parseFloat(displayVolume).toFixed(2)}</strong>
+            <strong>Final: {formatVolume(displayVolume)}</strong>
           </div>
         </div>
       );
     }
-    return parseFloat(displayVolume).toFixed(2);
+    return formatVolume(displayVolume);
   };
 
-  const calculateMT = (result, density) => {
-    if (!result || !density || isNaN(parseFloat(density))) return "N/A";
-    const volume =
-      result.final_volume !== undefined ? result.final_volume : result.volume;
-    if (isNaN(parseFloat(volume))) return "N/A";
-    return (parseFloat(volume) * parseFloat(density)).toFixed(2);
+  // Warning badge for figures produced outside the calibration table
+  const renderRangeWarning = (result) => {
+    if (!result || !result.out_of_range) return null;
+    const extrapolated = result.range_flags.some((f) => f.action === "extrapolated");
+    const details = result.range_flags
+      .map((f) => `${f.axis} ${f.value} ${f.action} (table limit ${f.limit})`)
+      .join("\n");
+    return (
+      <span className="range-warning-badge" title={details}>
+        ⚠ {extrapolated ? "Extrapolated" : "Clamped"}
+      </span>
+    );
   };
 
+  // Warning badge when a heel was entered but its correction is not in the figure
+  const renderHeelWarning = (result) => {
+    if (!result || result.heel_status !== HEEL_STATUS.NOT_APPLIED) return null;
+    const details = result.warnings.map((w) => `${w.code}: ${w.message}`).join("\n");
+    return (
+      <span className="heel-warning-badge" title={details}>
+        ⚠ Heel not applied
+      </span>
+    );
+  };
+
+  // Raw tape reading referred to the calibration table (tanks dipped from a raised pipe or stool)
+  const renderReadingOffset = (result) => {
+    if (!result || !result.reading_offset) return null;
+    const corrected = result.input_mode === INPUT_MODES.SOUNDING ? result.sound : result.ullage;
+    return (
+      <div className="derived-reading" title="Tank reference offset applied to the tape reading">
+        Table ref: {formatLength(corrected)} ({result.reading_offset > 0 ? "+" : "−"}
+        {formatLength(Math.abs(result.reading_offset))})
+      </div>
+    );
+  };
+
+  // BDN lineage and sulphur of the row's tank; flagged when the row's grade or density
+  // disagrees with what the tank holds
+  const renderTankContents = (entry) => {
+    const contents = tankContents.get(parseInt(entry.compartment_id));
+    if (!contents || reopenedSession) return null;
+    const hasDensity = contents.density !== null && contents.density !== undefined;
+    const density = canonicalDensity(entry.density);
+    const differs =
+      (contents.fuel_grade && entry.fuel_grade && entry.fuel_grade !== contents.fuel_grade) ||
+      (hasDensity && !isNaN(density) && Math.abs(density - contents.density) > 0.0005);
+    const details = [
+      contents.mixed_grades ? `Mixed ${contents.mixed_grades.join(" + ")}` : null,
+      contents.bdn_refs.length > 0 ? `BDN ${contents.bdn_refs.join(", ")}` : null,
+      contents.sulphur !== null && contents.sulphur !== undefined ? `S ${contents.sulphur.toFixed(2)}%` : null,
+    ].filter(Boolean);
+    return (
+      <div className={`tank-contents-note${differs ? " tank-contents-mismatch" : ""}`}>
+        {differs
+          ? `⚠ Tank holds ${contents.fuel_grade || "—"}${
+              hasDensity ? ` @ ${formatInUnit("density", contents.density, units.density)}` : ""
+            }`
+          : details.join(" • ") || "Tank contents"}
+      </div>
+    );
+  };
+
+  // Observed volume -> VCF (Table 54B) -> GSV -> WCF -> mT on the vessel's mass basis
+  // Free water is deducted before VCF, so GSV here is the NSV of the fuel (no S&W deduction)
+  // Returns { error } when the correction failed; see calculateQuantities for usable figures
+  const standardQuantities = useCallback(
+    (result, density, temp) => {
+      if (!result) return null;
+      return calculateStandardQuantities(
+        netObservedVolume(result),
+        canonicalDensity(density),
+        canonicalTemp(temp),
+        vesselSettings.massBasis
+      );
+    },
+    [canonicalDensity, canonicalTemp, vesselSettings.massBasis]
+  );
+
+  // Quantities with a mass (possibly uncorrected, when no temperature), else null
+  const calculateQuantities = useCallback(
+    (result, density, temp) => {
+      const quantities = standardQuantities(result, density, temp);
+      return quantities && !quantities.error ? quantities : null;
+    },
+    [standardQuantities]
+  );
+
   const totalMtByFuelGrade = useMemo(() => {
     const totals = {};
     tankEntries.forEach((entry) => {
       if (entry.fuel_grade && entry.result && entry.density) {
-        const mt = parseFloat(calculateMT(entry.result, entry.density));
-        if (!isNaN(mt)) {
-          totals[entry.fuel_grade] = (totals[entry.fuel_grade] || 0) + mt;
+        const quantities = calculateQuantities(entry.result, entry.density, entry.temp);
+        if (quantities) {
+          totals[entry.fuel_grade] = (totals[entry.fuel_grade] || 0) + quantities.mt;
         }
       }
     });
     return totals;
-  }, [tankEntries]);
+  }, [tankEntries, calculateQuantities]);
+
+  // Tanks whose mass is uncorrected (no temperature) or missing from the totals (failed correction)
+  const quantityIssues = useMemo(() => {
+    const issues = [];
+    tankEntries.forEach((entry) => {
+      if (!entry.fuel_grade || !entry.result || !entry.density) return;
+      const quantities = standardQuantities(entry.result, entry.density, entry.temp);
+      if (!quantities || (!quantities.error && !quantities.uncorrected)) return;
+      const name =
+        compartments.find((c) => c.compartment_id === parseInt(entry.compartment_id))?.compartment_name ||
+        `Tank ${entry.compartment_id}`;
+      issues.push(
+        quantities.error
+          ? { id: entry.id, excluded: true, message: `${name}: not in totals — ${quantities.error}` }
+          : { id: entry.id, excluded: false, message: `${name}: no temperature, mass not corrected to 15°C` }
+      );
+    });
+    return issues;
+  }, [tankEntries, compartments, standardQuantities]);
+
+  // Tanks whose figure moved unexpectedly since their previous session (by entry id)
+  const anomalyByEntry = useMemo(() => {
+    const flags = {};
+    if (!anomalyHistory || reopenedSession) return flags;
+    tankEntries.forEach((entry) => {
+      if (!entry.compartment_id || !entry.result || !entry.density) return;
+      const quantities = calculateQuantities(entry.result, entry.density, entry.temp);
+      const anomaly = quantities
+        ? detectTankAnomaly(
+            anomalyHistory,
+            entry.compartment_id,
+            quantities.mt,
+            vesselSettings.anomalyThresholds
+          )
+        : null;
+      if (anomaly) flags[entry.id] = anomaly;
+    });
+    return flags;
+  }, [anomalyHistory, reopenedSession, tankEntries, calculateQuantities, vesselSettings.anomalyThresholds]);
+
+  const entryAnomaly = (entry) => (reopenedSession ? entry.anomaly : anomalyByEntry[entry.id]) || null;
+
+  // Previous report date's noon ROB to the figures in the table
+  const consumptionSinceLast = useMemo(
+    () =>
+      consumptionInputs
+        ? consumptionSinceLastRob(consumptionInputs.robs, consumptionInputs.movements, {
+            report_date: reportDate,
+            rob: totalMtByFuelGrade,
+          })
+        : null,
+    [consumptionInputs, reportDate, totalMtByFuelGrade]
+  );
+
+  // mT band per grade from the vessel's measurement tolerances (null if any tank lacks one)
+  const mtBandByFuelGrade = useMemo(() => {
+    const bands = {};
+    tankEntries.forEach((entry) => {
+      if (entry.fuel_grade && entry.result && entry.density) {
+        bands[entry.fuel_grade] = [
+          ...(bands[entry.fuel_grade] || []),
+          calculateMassBand(
+            netVolumeBand(entry.result),
+            canonicalDensity(entry.density),
+            canonicalTemp(entry.temp),
+            vesselSettings.massBasis,
+            vesselSettings.tolerances
+          ),
+        ];
+      }
+    });
+    return Object.fromEntries(
+      Object.entries(bands).map(([grade, gradeBands]) => [grade, sumBands(gradeBands)])
+    );
+  }, [tankEntries, canonicalDensity, canonicalTemp, vesselSettings.massBasis, vesselSettings.tolerances]);
+
+  // Tanks with a mass, for the stability summary (cg/iy come from the calibration table)
+  const stabilityTanks = useMemo(() => {
+    const tanks = [];
+    tankEntries.forEach((entry) => {
+      if (!entry.result || !entry.density) return;
+      const quantities = calculateQuantities(entry.result, entry.density, entry.temp);
+      if (!quantities) return;
+      const compartment = compartments.find(
+        (comp) => comp.compartment_id === parseInt(entry.compartment_id)
+      );
+      tanks.push({
+        id: entry.id,
+        name: compartment?.compartment_name || `Tank ${entry.compartment_id}`,
+        fuel_grade: entry.fuel_grade,
+        weight: quantities.mt,
+        volume: netObservedVolume(entry.result),
+        lcg: entry.result.lcg,
+        tcg: entry.result.tcg,
+        vcg: entry.result.vcg,
+        iy: entry.result.iy,
+      });
+    });
+    return tanks;
+  }, [tankEntries, compartments, calculateQuantities]);
+
+  const formatBand = (band, unit) =>
+    band ? `${band.min.toFixed(2)} – ${band.max.toFixed(2)} ${unit}` : "—";
+
+  const formatVolumeBand = (band) =>
+    band ? `${formatVolume(band.min)} – ${formatVolume(band.max)} ${unitLabel("volume")}` : "—";
+
+  const tolerancesLabel = (() => {
+    const t = vesselSettings.tolerances;
+    // Ullage, temperature and density in the display units, like the figures they bound
+    const delta = (kind, value) => `±${formatDeltaInUnit(kind, value, units[kind])} ${unitLabel(kind)}`;
+    return [
+      `Ullage ${delta("length", t.ullage)}`,
+      `trim ±${t.trim} m`,
+      `heel ±${t.heel}°`,
+      `temp ${delta("temperature", t.temperature)}`,
+      `density ${delta("density", t.density)}`,
+    ].join(", ");
+  })();
 
   // BUNKERING TAB LOGIC
   const updateBunkerData = (bunkerIndex, updates) => {
@@ -460,15 +1157,7 @@ function App() {
   };
 
   const addBunkeringEntry = (bunkerIndex) => {
-    const newEntry = {
-      id: Date.now() + Math.random(),
-      timestamp: new Date().toISOString().slice(0, 16),
-      compartment_id: "",
-      ullage: "",
-      result: null,
-      loading: false,
-      error: "",
-    };
+    const newEntry = createBunkeringEntry(Date.now() + Math.random());
     const currentBunker = bunkeringData[bunkerIndex];
     updateBunkerData(bunkerIndex, {
       entries: [...currentBunker.entries, newEntry],
@@ -502,13 +1191,14 @@ function App() {
     const bunker = bunkeringData[bunkerIndex];
     const entry = bunker.entries[entryIndex];
     
+    const reading = getEntryReading(entry);
     const isValidCompartment =
       entry.compartment_id && entry.compartment_id.toString().trim() !== "";
     const isValidUllage =
-      entry.ullage !== "" &&
-      entry.ullage !== null &&
-      entry.ullage !== undefined &&
-      entry.ullage.toString().trim() !== "";
+      reading !== "" &&
+      reading !== null &&
+      reading !== undefined &&
+      reading.toString().trim() !== "";
     const isValidTrim =
       bunker.trim !== "" &&
       bunker.trim !== null &&
@@ -518,7 +1208,7 @@ function App() {
     if (!isValidCompartment || !isValidUllage || !isValidTrim) {
       const missingFields = [];
       if (!isValidCompartment) missingFields.push("tank");
-      if (!isValidUllage) missingFields.push("ullage");
+      if (!isValidUllage) missingFields.push(entry.input_mode);
       if (!isValidTrim) missingFields.push("trim");
       updateBunkeringEntry(bunkerIndex, entryIndex, {
         error: `Please provide: ${missingFields.join(", ")}`,
@@ -533,12 +1223,19 @@ function App() {
     });
     
     try {
-      // Use offline interpolation
-      const result = await calculateSounding(
+      // Use offline interpolation (sounding is converted to ullage first)
+      const calculate =
+        entry.input_mode === INPUT_MODES.SOUNDING ? calculateSoundingFromSound : calculateSounding;
+      const result = await calculate(
         parseInt(entry.compartment_id),
-        parseFloat(entry.ullage),
+        canonicalReading(reading),
         parseFloat(bunker.trim),
-        bunker.heel && bunker.heel.toString().trim() !== "" ? parseFloat(bunker.heel) : null
+        bunker.heel && bunker.heel.toString().trim() !== "" ? parseFloat(bunker.heel) : null,
+        {
+          outOfRangePolicy: vesselSettings.outOfRangePolicy,
+          tolerances: vesselSettings.tolerances,
+          trace: true,
+        }
       );
       
       if (result.success) {
@@ -569,17 +1266,21 @@ function App() {
         entry.result.final_volume !== undefined
           ? parseFloat(entry.result.final_volume)
           : parseFloat(entry.result.volume);
-      const density = parseFloat(bunker.density);
+      const density = canonicalDensity(bunker.density);
       if (isNaN(volume) || isNaN(density)) return null;
-      const mt = volume * density;
+      const quantities = calculateQuantities(entry.result, bunker.density, bunker.temp);
       const selectedTank = compartments.find(
         (comp) => comp.compartment_id === parseInt(entry.compartment_id)
       );
       const tankCapacity = selectedTank?.capacity || 1000;
       const percentFull = (volume / tankCapacity) * 100;
       return {
-        volume: volume.toFixed(2),
-        mt: mt.toFixed(2),
+        volume: formatVolume(volume),
+        vcf: quantities && !quantities.uncorrected ? quantities.vcf.toFixed(4) : null,
+        gsv: quantities && !quantities.uncorrected ? formatVolume(quantities.gsv) : null,
+        wcf: quantities ? quantities.wcf.toFixed(4) : null,
+        mt: quantities ? quantities.mt.toFixed(2) : null,
+        uncorrected: quantities ? quantities.uncorrected : false,
         percentFull: Math.min(percentFull, 100).toFixed(1),
       };
     } catch {
@@ -587,6 +1288,225 @@ function App() {
     }
   };
 
+  // Completed bunkering into the local sync queue; its BDN quantity feeds consumption
+  const recordBunker = async (bunkerIndex) => {
+    const bunker = bunkeringData[bunkerIndex];
+    const readings = bunker.entries.filter((entry) => entry.compartment_id && entry.result);
+    const bdnMt = parseFloat(bunker.totalQtyMT);
+    if (!bunker.fuelGrade || isNaN(bdnMt) || readings.length === 0) {
+      updateBunkerData(bunkerIndex, {
+        recordError: "Fuel grade, BDN quantity and at least one calculated reading are required",
+      });
+      return;
+    }
+
+    // Reading times bound the delivery (consumption periods, anomaly windows,
+    // contents' updated_at), not the moment it is recorded
+    const readingTimes = readings.map((entry) => dateTimeInputToIso(entry.timestamp));
+    if (readingTimes.some((at) => !at)) {
+      updateBunkerData(bunkerIndex, { recordError: "Every reading needs a valid date/time" });
+      return;
+    }
+
+    const clientId = uuidv4();
+    const timestamps = [...readingTimes].sort();
+    const completedAt = timestamps[timestamps.length - 1];
+    const operation = {
+      client_id: clientId,
+      bunker_name: bunker.name,
+      fuel_grade: bunker.fuelGrade,
+      bdn_number: (bunker.bdnNumber || "").trim() || null,
+      sulphur: isNaN(parseFloat(bunker.sulphur)) ? null : parseFloat(bunker.sulphur),
+      density: canonicalDensity(bunker.density) || null,
+      temperature: bunker.temp !== "" ? canonicalTemp(bunker.temp) : null,
+      total_quantity_mt: bdnMt,
+      trim: bunker.trim !== "" ? parseFloat(bunker.trim) : null,
+      heel: bunker.heel !== "" ? parseFloat(bunker.heel) : null,
+      trim_source: bunker.trim !== "" ? bunker.trimSource : null,
+      heel_source: bunker.heel !== "" ? bunker.heelSource : null,
+      drafts: bunker.drafts || null,
+      started_at: timestamps[0],
+      completed_at: completedAt,
+    };
+    const readingRecords = readings.map((entry, index) => {
+      const quantities = calculateQuantities(entry.result, bunker.density, bunker.temp);
+      const capacity = parseFloat(
+        compartments.find((c) => c.compartment_id === parseInt(entry.compartment_id))?.capacity
+      );
+      return {
+        client_id: uuidv4(),
+        bunkering_client_id: clientId,
+        compartment_id: parseInt(entry.compartment_id),
+        timestamp: readingTimes[index],
+        ullage: entry.result.ullage,
+        calculated_volume: entry.result.final_volume,
+        calculated_mt: quantities ? quantities.mt : null,
+        percent_full: capacity ? (entry.result.final_volume / capacity) * 100 : null,
+      };
+    });
+
+    // Each tank's last reading is what it holds after the delivery
+    const finalByTank = {};
+    readingRecords.forEach((record) => {
+      const latest = finalByTank[record.compartment_id];
+      if (!latest || record.timestamp > latest.timestamp) {
+        finalByTank[record.compartment_id] = record;
+      }
+    });
+    const contents = Object.values(finalByTank).map((record) =>
+      contentsAfterBunker(tankContents.get(record.compartment_id), {
+        compartment_id: record.compartment_id,
+        fuel_grade: operation.fuel_grade,
+        bdn_number: operation.bdn_number,
+        density: operation.density,
+        sulphur: operation.sulphur,
+        final_mt: record.calculated_mt,
+        at: completedAt,
+      })
+    );
+
+    try {
+      await recordBunkeringOperation(currentVessel.vessel_id, operation, readingRecords, contents);
+      console.log(`💾 Recorded ${bunker.name}: ${bdnMt} mT ${bunker.fuelGrade}, ${readingRecords.length} reading(s)`);
+      updateBunkerData(bunkerIndex, { recordedAt: new Date().toISOString(), recordError: "" });
+      setConsumptionVersion((v) => v + 1);
+    } catch (err) {
+      console.error("Error recording bunkering:", err);
+      updateBunkerData(bunkerIndex, { recordError: `Failed to record: ${err.message}` });
+    }
+  };
+
+  // Tanks where the bunker's grade would land on another grade's ROB (recorded as a blend)
+  const bunkerGradeMismatches = (bunker) => {
+    const tankIds = new Set(
+      bunker.entries.filter((entry) => entry.compartment_id).map((entry) => parseInt(entry.compartment_id))
+    );
+    return [...tankIds]
+      .map((compartmentId) => ({
+        compartmentId,
+        name: compartments.find((c) => c.compartment_id === compartmentId)?.compartment_name || compartmentId,
+        mismatch: gradeMismatch(tankContents.get(compartmentId), bunker.fuelGrade),
+      }))
+      .filter((tank) => tank.mismatch);
+  };
+
+  // Bunker totals from the latest reading of each tank, with measurement bands
+  const calculateBunkerTotals = (bunker) => {
+    const latestByTank = {};
+    bunker.entries.forEach((entry) => {
+      if (!entry.compartment_id || !entry.result) return;
+      const latest = latestByTank[entry.compartment_id];
+      if (!latest || entry.timestamp > latest.timestamp) {
+        latestByTank[entry.compartment_id] = entry;
+      }
+    });
+    const latest = Object.values(latestByTank);
+    if (latest.length === 0) return null;
+
+    const volume = latest.reduce((sum, entry) => sum + parseFloat(entry.result.final_volume), 0);
+    const volumeBand = sumBands(latest.map((entry) => entry.result.volume_band));
+    const quantities = latest.map((entry) =>
+      calculateQuantities(entry.result, bunker.density, bunker.temp)
+    );
+    const complete = quantities.every(Boolean);
+    const mtBand = complete
+      ? sumBands(
+          latest.map((entry) =>
+            calculateMassBand(
+              entry.result.volume_band,
+              canonicalDensity(bunker.density),
+              canonicalTemp(bunker.temp),
+              vesselSettings.massBasis,
+              vesselSettings.tolerances
+            )
+          )
+        )
+      : null;
+
+    const bdnMt = parseFloat(bunker.totalQtyMT);
+    return {
+      tanks: latest.length,
+      volume,
+      volumeBand,
+      mt: complete ? quantities.reduce((sum, q) => sum + q.mt, 0) : null,
+      uncorrected: complete && quantities.some((q) => q.uncorrected),
+      mtBand,
+      bdnMt: isNaN(bdnMt) ? null : bdnMt,
+      // Is the delivered figure inside what the tanks can resolve?
+      bdnWithinBand: mtBand && !isNaN(bdnMt) ? bdnMt >= mtBand.min && bdnMt <= mtBand.max : null,
+    };
+  };
+
+  // Stop ullage per tank: recomputed whenever the tank, trim/heel, density or target changes
+  useEffect(() => {
+    bunkeringData.forEach((bunker, bunkerIndex) => {
+      bunker.entries.forEach((entry, entryIndex) => {
+        if (!entry.compartment_id || bunker.trim === "" || bunker.stopTargetValue === "") {
+          if (entry.stopKey) {
+            updateBunkeringEntry(bunkerIndex, entryIndex, {
+              stopKey: null,
+              stopUllage: null,
+              stopError: "",
+            });
+          }
+          return;
+        }
+        const stopKey = [
+          entry.compartment_id,
+          bunker.trim,
+          bunker.heel,
+          bunker.density,
+          bunker.temp,
+          bunker.stopTargetType,
+          bunker.stopTargetValue,
+          vesselSettings.massBasis,
+          vesselSettings.outOfRangePolicy,
+          units.length,
+          units.volume,
+          units.density,
+          units.temperature,
+        ].join("|");
+        if (entry.stopKey === stopKey) return;
+
+        updateBunkeringEntry(bunkerIndex, entryIndex, { stopKey });
+        calculateUllageForTarget(
+          parseInt(entry.compartment_id),
+          parseFloat(bunker.trim),
+          bunker.heel && bunker.heel.toString().trim() !== "" ? parseFloat(bunker.heel) : null,
+          bunker.density !== "" ? canonicalDensity(bunker.density) : null,
+          {
+            type: bunker.stopTargetType,
+            value:
+              bunker.stopTargetType === TARGET_TYPES.VOLUME
+                ? toCanonical("volume", bunker.stopTargetValue, units.volume)
+                : bunker.stopTargetValue,
+          },
+          {
+            temperature: canonicalTemp(bunker.temp),
+            massBasis: vesselSettings.massBasis,
+            outOfRangePolicy: vesselSettings.outOfRangePolicy,
+          }
+        ).then((result) => {
+          // Ignore results superseded by a newer input while this one was solving
+          setBunkeringData((prev) =>
+            prev.map((b) => ({
+              ...b,
+              entries: b.entries.map((e) =>
+                e.id === entry.id && e.stopKey === stopKey
+                  ? {
+                      ...e,
+                      stopUllage: result.success ? result.ullage : null,
+                      stopError: result.success ? "" : result.error,
+                    }
+                  : e
+              ),
+            }))
+          );
+        });
+      });
+    });
+  }, [bunkeringData, vesselSettings, units, canonicalDensity, canonicalTemp]);
+
   const updateNumBunkers = (num) => {
     setNumBunkers(num);
     const newBunkeringData = [];
@@ -594,26 +1514,7 @@ function App() {
       if (bunkeringData[i]) {
         newBunkeringData.push(bunkeringData[i]);
       } else {
-        newBunkeringData.push({
-          id: i + 1,
-          name: `Bunker ${i + 1}`,
-          density: "",
-          temp: "",
-          totalQtyMT: "",
-          heel: "",
-          trim: "",
-          entries: [
-            {
-              id: Date.now() + i,
-              timestamp: new Date().toISOString().slice(0, 16),
-              compartment_id: "",
-              ullage: "",
-              result: null,
-              loading: false,
-              error: "",
-            },
-          ],
-        });
+        newBunkeringData.push(createBunker(i, Date.now() + i));
       }
     }
     setBunkeringData(newBunkeringData);
@@ -622,11 +1523,12 @@ function App() {
   const isCalculationEnabled = (bunker, entry) => {
     const hasCompartment =
       entry.compartment_id && entry.compartment_id.toString().trim() !== "";
+    const reading = getEntryReading(entry);
     const hasUllage =
-      entry.ullage !== "" &&
-      entry.ullage !== null &&
-      entry.ullage !== undefined &&
-      entry.ullage.toString().trim() !== "";
+      reading !== "" &&
+      reading !== null &&
+      reading !== undefined &&
+      reading.toString().trim() !== "";
     const hasTrim =
       bunker.trim !== "" &&
       bunker.trim !== null &&
@@ -677,6 +1579,28 @@ function App() {
             </div>
           </div>
         )}
+        {pendingFormDrafts.map((draft) => (
+          <div key={draft.tab} className="sync-status-bar" style={{ marginBottom: 8 }}>
+            <div className="sync-status-left">
+              <div className="pending-count">
+                <span className="pending-icon">📝</span>
+                <span>Unsaved {describeFormDraft(draft)}</span>
+              </div>
+            </div>
+            <div className="sync-status-right">
+              <button onClick={() => resumeFormDraft(draft)} className="sync-btn">
+                Resume Draft
+              </button>
+              <button
+                onClick={() => discardFormDraft(draft)}
+                className="btn-secondary"
+                style={{ marginLeft: 8 }}
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        ))}
         <div className="header">
           <div className="app-logo-small">
             <button onClick={resetConnection} className="back-to-main-btn" title="Back to Main">
@@ -702,6 +1626,7 @@ function App() {
               <span className="error-message" style={{ marginLeft: 8 }}>Lambda URL not configured</span>
             )}
             <button onClick={() => setShowAdmin(true)} className="btn-secondary" style={{ marginLeft: 8 }}>Admin</button>
+            <button onClick={() => setShowSettings(true)} className="settings-gear-btn" title="Settings">⚙️</button>
           </div>
         </div>
 
@@ -733,11 +1658,44 @@ function App() {
             <span className="tab-icon">⛽</span>
             Bunkering Monitor
           </button>
+          <button
+            className={`tab-btn ${activeTab === "transfer" ? "active" : ""}`}
+            onClick={() => setActiveTab("transfer")}
+          >
+            <span className="tab-icon">🔁</span>
+            Fuel Transfer
+          </button>
+          <button
+            className={`tab-btn ${activeTab === "history" ? "active" : ""}`}
+            onClick={() => setActiveTab("history")}
+          >
+            <span className="tab-icon">📜</span>
+            History
+          </button>
         </div>
 
-        {/* Sounding Tab Content */}
+        {activeTab === "sounding" && reopenedSession && (
+          <div className="sync-status-bar reopened-session-bar">
+            <div className="sync-status-left">
+              <div className="pending-count">
+                <span className="pending-icon">📜</span>
+                <span>
+                  Viewing submitted session {reopenedSession.report_date}{" "}
+                  {new Date(reopenedSession.recorded_at).toLocaleTimeString()} (read-only)
+                </span>
+              </div>
+            </div>
+            <div className="sync-status-right">
+              <button onClick={closeReopenedSession} className="sync-btn">
+                Back to Current Sounding
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Sounding Tab Content (a fieldset so a reopened session is read-only) */}
         {activeTab === "sounding" && (
-          <div className="tab-content">
+          <fieldset className="tab-content session-fieldset" disabled={!!reopenedSession}>
             <div className="global-inputs">
               <div className="form-group compact">
                 <label htmlFor="reportDate">Date</label>
@@ -749,31 +1707,68 @@ function App() {
                 />
               </div>
               <div className="form-group compact">
-                <label htmlFor="globalTrim">Trim (m)</label>
+                <label htmlFor="globalTrim">
+                  Trim (m) [{trimLimits.min}…{trimLimits.max}]
+                </label>
                 <input
                   type="number"
                   id="globalTrim"
                   value={globalTrim}
-                  onChange={(e) => setGlobalTrim(e.target.value)}
+                  onChange={(e) => {
+                    setGlobalTrim(e.target.value);
+                    setGlobalDrafts((prev) => draftsAfterEdit(prev, "trim"));
+                    setGlobalSources((prev) => ({ ...prev, trim: INPUT_SOURCES.MANUAL }));
+                  }}
                   placeholder="0.5"
                   step="0.1"
-                  min="-4.0"
-                  max="4.0"
+                  min={trimLimits.min}
+                  max={trimLimits.max}
                 />
               </div>
               <div className="form-group compact">
-                <label htmlFor="globalHeel">Heel (°)</label>
+                <label htmlFor="globalHeel">
+                  Heel (°) [{heelLimits.min}…{heelLimits.max}]
+                </label>
                 <input
                   type="number"
                   id="globalHeel"
                   value={globalHeel}
-                  onChange={(e) => setGlobalHeel(e.target.value)}
+                  onChange={(e) => {
+                    setGlobalHeel(e.target.value);
+                    setGlobalDrafts((prev) => draftsAfterEdit(prev, "heel"));
+                    setGlobalSources((prev) => ({ ...prev, heel: INPUT_SOURCES.MANUAL }));
+                  }}
                   placeholder="1.0"
                   step="0.1"
-                  min="-3.0"
-                  max="3.0"
+                  min={heelLimits.min}
+                  max={heelLimits.max}
                 />
               </div>
+              <DraftCalculator
+                particulars={currentVessel?.particulars}
+                drafts={globalDrafts}
+                onApply={({ trim, heel, drafts }) => {
+                  setGlobalTrim(String(trim));
+                  if (heel !== null) setGlobalHeel(String(heel));
+                  setGlobalDrafts(drafts);
+                  setGlobalSources((prev) => ({
+                    trim: INPUT_SOURCES.DRAFTS,
+                    heel: heel !== null ? INPUT_SOURCES.DRAFTS : prev.heel,
+                  }));
+                }}
+              />
+              <SensorCapture
+                particulars={currentVessel?.particulars}
+                onApply={({ trim, heel }) => {
+                  setGlobalHeel(String(heel));
+                  if (trim !== null) setGlobalTrim(String(trim));
+                  setGlobalDrafts((prev) => draftsAfterEdit(prev, trim !== null ? "trim" : "heel"));
+                  setGlobalSources((prev) => ({
+                    trim: trim !== null ? INPUT_SOURCES.SENSOR : prev.trim,
+                    heel: INPUT_SOURCES.SENSOR,
+                  }));
+                }}
+              />
             </div>
             <div className="content-grid">
               <div className="input-section">
@@ -783,25 +1778,29 @@ function App() {
                     <tr>
                       <th>Tank Name</th>
                       <th>Fuel Grade</th>
-                      <th>Ullage (cm)</th>
-                      <th>Density</th>
-                      <th>Temp</th>
-                      <th>Volume (m³)</th>
-                      <th>mT</th>
+                      <th>Ullage / Sounding ({unitLabel("length")})</th>
+                      <th title="Water-finding paste dip (innage); optional">
+                        Free Water ({unitLabel("length")})
+                      </th>
+                      <th>Density ({unitLabel("density")})</th>
+                      <th>Temp ({unitLabel("temperature")})</th>
+                      <th>Volume ({unitLabel("volume")})</th>
+                      <th>VCF</th>
+                      <th title="(Total observed volume − free water) × VCF; no S&W deduction">
+                        NSV ({unitLabel("volume")})
+                      </th>
+                      <th>mT ({massBasisLabel})</th>
                       <th>Actions</th>
                     </tr>
                   </thead>
                   <tbody>
                     {tankEntries.map((entry, index) => (
-                      <tr key={entry.id}>
+                      <React.Fragment key={entry.id}>
+                      <tr>
                         <td>
                           <select
                             value={entry.compartment_id}
-                            onChange={(e) =>
-                              updateTankEntry(index, {
-                                compartment_id: e.target.value,
-                              })
-                            }
+                            onChange={(e) => selectTankCompartment(index, e.target.value)}
                           >
                             <option value="">Select Tank</option>
                             {compartments.map((comp) => (
@@ -830,16 +1829,52 @@ function App() {
                               </option>
                             ))}
                           </select>
+                          {renderTankContents(entry)}
+                        </td>
+                        <td>
+                          <select
+                            value={entry.input_mode}
+                            onChange={(e) =>
+                              updateTankEntry(index, {
+                                input_mode: e.target.value,
+                                result: null,
+                              })
+                            }
+                            className="input-mode-select"
+                          >
+                            <option value={INPUT_MODES.ULLAGE}>Ullage</option>
+                            <option value={INPUT_MODES.SOUNDING}>Sounding</option>
+                          </select>
+                          <input
+                            type="number"
+                            value={getEntryReading(entry)}
+                            onChange={(e) =>
+                              updateTankEntry(index, {
+                                [entry.input_mode]: e.target.value,
+                              })
+                            }
+                            placeholder={
+                              entry.input_mode === INPUT_MODES.SOUNDING ? "Sounding" : "Ullage"
+                            }
+                            step="0.1"
+                          />
+                          {entry.result && entry.input_mode === INPUT_MODES.SOUNDING && (
+                            <div className="derived-reading">
+                              Ullage: {formatLength(entry.result.ullage)}
+                            </div>
+                          )}
+                          {renderReadingOffset(entry.result)}
                         </td>
                         <td>
                           <input
                             type="number"
-                            value={entry.ullage}
+                            value={entry.water_sounding}
                             onChange={(e) =>
-                              updateTankEntry(index, { ullage: e.target.value })
+                              updateTankEntry(index, { water_sounding: e.target.value })
                             }
-                            placeholder="Ullage"
+                            placeholder="Water"
                             step="0.1"
+                            min="0"
                           />
                         </td>
                         <td>
@@ -852,7 +1887,7 @@ function App() {
                               })
                             }
                             placeholder="Density"
-                            step="0.001"
+                            step={densityStep}
                           />
                         </td>
                         <td>
@@ -868,8 +1903,59 @@ function App() {
                         </td>
                         <td className="volume-cell">
                           {formatVolumeDisplay(entry.result)}
+                          {entry.result?.free_water && entry.result.free_water.volume > 0 && (
+                            <div className="free-water">
+                              <div>Water: −{formatVolume(entry.result.free_water.volume)}</div>
+                              <div>
+                                <strong>Net: {formatVolume(netObservedVolume(entry.result))}</strong>
+                              </div>
+                            </div>
+                          )}
+                          {renderRangeWarning(entry.result)}
+                          {renderHeelWarning(entry.result)}
                         </td>
-                        <td>{calculateMT(entry.result, entry.density)}</td>
+                        {(() => {
+                          const quantities = standardQuantities(
+                            entry.result,
+                            entry.density,
+                            entry.temp
+                          );
+                          if (!quantities || quantities.error) {
+                            const title = quantities ? quantities.error : undefined;
+                            return (
+                              <>
+                                <td title={title}>N/A</td>
+                                <td title={title}>N/A</td>
+                                <td title={title} className={quantities ? "uncorrected-value" : ""}>
+                                  {quantities ? "⚠ N/A" : "N/A"}
+                                </td>
+                              </>
+                            );
+                          }
+                          return (
+                            <>
+                              <td>{quantities.uncorrected ? "—" : quantities.vcf.toFixed(4)}</td>
+                              <td>{quantities.uncorrected ? "—" : formatVolume(quantities.gsv)}</td>
+                              <td
+                                className={
+                                  entryAnomaly(entry)
+                                    ? "anomaly-value"
+                                    : quantities.uncorrected
+                                    ? "uncorrected-value"
+                                    : ""
+                                }
+                                title={
+                                  quantities.uncorrected
+                                    ? "No temperature: volume × density, not corrected to 15°C"
+                                    : undefined
+                                }
+                              >
+                                {quantities.mt.toFixed(2)}
+                                {quantities.uncorrected && " (uncorr.)"}
+                              </td>
+                            </>
+                          );
+                        })()}
                         <td>
                           <button
                             onClick={() => fetchSoundingData(index)}
@@ -878,6 +1964,14 @@ function App() {
                           >
                             {entry.loading ? "..." : "Calc"}
                           </button>
+                          <button
+                            onClick={() => updateTankEntry(index, { showTrace: !entry.showTrace })}
+                            disabled={!entry.result}
+                            className="trace-toggle-btn"
+                            title="How was this calculated?"
+                          >
+                            ?
+                          </button>
                           {tankEntries.length > 1 && (
                             <button
                               onClick={() => removeTankRow(entry.id)}
@@ -888,6 +1982,46 @@ function App() {
                           )}
                         </td>
                       </tr>
+                      {(entryAnomaly(entry) || entry.remark) && (
+                        <tr className="anomaly-row">
+                          <td colSpan="11">
+                            {entryAnomaly(entry) && (
+                              <span className="anomaly-message">⚠ {entryAnomaly(entry).message}</span>
+                            )}
+                            <label className="anomaly-remark">
+                              Remark{entryAnomaly(entry) && !reopenedSession ? " (required)" : ""}:
+                              <input
+                                type="text"
+                                value={entry.remark}
+                                onChange={(e) => updateTankEntry(index, { remark: e.target.value })}
+                                placeholder="e.g. re-dipped, transfer from settling tank not logged"
+                              />
+                            </label>
+                          </td>
+                        </tr>
+                      )}
+                      {entry.showTrace && entry.result && (
+                        <tr className="trace-row">
+                          <td colSpan="11">
+                            <CalculationTrace
+                              result={entry.result}
+                              title={`How was this calculated? — ${
+                                compartments.find(
+                                  (c) => c.compartment_id === parseInt(entry.compartment_id)
+                                )?.compartment_name || "Tank"
+                              } (${reportDate})`}
+                              inputs={{
+                                trim: globalTrim,
+                                heel: globalHeel,
+                                density: canonicalDensity(entry.density),
+                                temp: canonicalTemp(entry.temp),
+                              }}
+                              quantities={calculateQuantities(entry.result, entry.density, entry.temp)}
+                            />
+                          </td>
+                        </tr>
+                      )}
+                      </React.Fragment>
                     ))}
                   </tbody>
                 </table>
@@ -907,14 +2041,24 @@ function App() {
               </div>
             </div>
             {/* Total mT by Fuel Grade Summary */}
-            {Object.keys(totalMtByFuelGrade).length > 0 && (
+            {(Object.keys(totalMtByFuelGrade).length > 0 || quantityIssues.length > 0) && (
               <div className="summary-section">
                 <h3>Total Mass by Fuel Grade</h3>
+                {quantityIssues.length > 0 && (
+                  <ul className="quantity-issues">
+                    {quantityIssues.map((issue) => (
+                      <li key={issue.id} className={issue.excluded ? "quantity-excluded" : ""}>
+                        ⚠ {issue.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
                 <table className="summary-table">
                   <thead>
                     <tr>
                       <th>Fuel Grade</th>
-                      <th>Total mT</th>
+                      <th>Total mT ({massBasisLabel})</th>
+                      <th title={tolerancesLabel}>Measurement Range</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -923,18 +2067,30 @@ function App() {
                         <tr key={grade}>
                           <td>{grade}</td>
                           <td>{total.toFixed(2)} mT</td>
+                          <td className="band-value">
+                            {formatBand(mtBandByFuelGrade[grade], "mT")}
+                          </td>
                         </tr>
                       )
                     )}
                   </tbody>
                 </table>
+                <small className="help-text">Range from tolerances: {tolerancesLabel}</small>
+
+                {!reopenedSession && (
+                  <ConsumptionReport
+                    inputs={consumptionInputs}
+                    sinceLast={consumptionSinceLast}
+                    reportDate={reportDate}
+                    massBasisLabel={massBasisLabel}
+                  />
+                )}
 
-                {/* Submit to Cloud Button */}
+                {/* Submit Button (queued locally when offline) */}
                 <div className="submit-container">
                   <button
-                    onClick={submitSoundingsToCloud}
+                    onClick={submitSoundings}
                     disabled={
-                      !isOnline ||
                       tankEntries.filter(
                         (e) =>
                           e.result &&
@@ -947,7 +2103,7 @@ function App() {
                   >
                     {isOnline
                       ? "💾 Submit to Cloud"
-                      : "📵 Offline - Cannot Submit"}
+                      : "💾 Save Offline - Sync Later"}
                   </button>
                   {submitStatus.message && (
                     <div className={`submit-status ${submitStatus.type}`}>
@@ -957,7 +2113,13 @@ function App() {
                 </div>
               </div>
             )}
-          </div>
+            <StabilitySummary
+              tanks={stabilityTanks}
+              vesselName={currentVessel?.vessel_name}
+              reportDate={reportDate}
+              massBasisLabel={massBasisLabel}
+            />
+          </fieldset>
         )}
 
         {/* Bunkering Tab Content */}
@@ -983,14 +2145,62 @@ function App() {
                   <div className="bunker-header">
                     <h4>{bunker.name}</h4>
                     <div className="bunker-status">
-                      <span className="status-indicator active"></span>
-                      Active
+                      <span className={`status-indicator ${bunker.recordedAt ? "" : "active"}`}></span>
+                      {bunker.recordedAt
+                        ? `Recorded ${new Date(bunker.recordedAt).toLocaleTimeString()}`
+                        : "Active"}
                     </div>
                   </div>
                   <div className="bunker-inputs">
                     <div className="input-row">
                       <div className="form-group">
-                        <label>Density:</label>
+                        <label>Fuel Grade:</label>
+                        <select
+                          value={bunker.fuelGrade}
+                          onChange={(e) =>
+                            updateBunkerData(bunkerIndex, {
+                              fuelGrade: e.target.value,
+                            })
+                          }
+                        >
+                          <option value="">Select</option>
+                          {fuelGrades.map((grade) => (
+                            <option key={grade} value={grade}>
+                              {grade}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="form-group">
+                        <label>BDN No.:</label>
+                        <input
+                          type="text"
+                          value={bunker.bdnNumber}
+                          onChange={(e) =>
+                            updateBunkerData(bunkerIndex, {
+                              bdnNumber: e.target.value,
+                            })
+                          }
+                          placeholder="BDN reference"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Sulphur (% m/m):</label>
+                        <input
+                          type="number"
+                          value={bunker.sulphur}
+                          onChange={(e) =>
+                            updateBunkerData(bunkerIndex, {
+                              sulphur: e.target.value,
+                            })
+                          }
+                          placeholder="0.50"
+                          step="0.01"
+                          min="0"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Density ({unitLabel("density")}):</label>
                         <input
                           type="number"
                           value={bunker.density}
@@ -1000,11 +2210,11 @@ function App() {
                             })
                           }
                           placeholder="0.950"
-                          step="0.001"
+                          step={densityStep}
                         />
                       </div>
                       <div className="form-group">
-                        <label>Temp (°C):</label>
+                        <label>Temp ({unitLabel("temperature")}):</label>
                         <input
                           type="number"
                           value={bunker.temp}
@@ -1041,10 +2251,14 @@ function App() {
                           onChange={(e) =>
                             updateBunkerData(bunkerIndex, {
                               heel: e.target.value,
+                              heelSource: INPUT_SOURCES.MANUAL,
+                              drafts: draftsAfterEdit(bunker.drafts, "heel"),
                             })
                           }
                           placeholder="0.0"
                           step="0.1"
+                          min={heelLimits.min}
+                          max={heelLimits.max}
                         />
                       </div>
                       <div className="form-group">
@@ -1055,10 +2269,72 @@ function App() {
                           onChange={(e) =>
                             updateBunkerData(bunkerIndex, {
                               trim: e.target.value,
+                              trimSource: INPUT_SOURCES.MANUAL,
+                              drafts: draftsAfterEdit(bunker.drafts, "trim"),
                             })
                           }
                           placeholder="0.5"
                           step="0.1"
+                          min={trimLimits.min}
+                          max={trimLimits.max}
+                        />
+                      </div>
+                    </div>
+                    <DraftCalculator
+                      particulars={currentVessel?.particulars}
+                      drafts={bunker.drafts}
+                      onApply={({ trim, heel, drafts }) =>
+                        updateBunkerData(bunkerIndex, {
+                          trim: String(trim),
+                          trimSource: INPUT_SOURCES.DRAFTS,
+                          ...(heel !== null
+                            ? { heel: String(heel), heelSource: INPUT_SOURCES.DRAFTS }
+                            : {}),
+                          drafts,
+                        })
+                      }
+                    />
+                    <SensorCapture
+                      particulars={currentVessel?.particulars}
+                      onApply={({ trim, heel }) =>
+                        updateBunkerData(bunkerIndex, {
+                          heel: String(heel),
+                          heelSource: INPUT_SOURCES.SENSOR,
+                          ...(trim !== null
+                            ? { trim: String(trim), trimSource: INPUT_SOURCES.SENSOR }
+                            : {}),
+                          drafts: draftsAfterEdit(bunker.drafts, trim !== null ? "trim" : "heel"),
+                        })
+                      }
+                    />
+                    <div className="input-row">
+                      <div className="form-group">
+                        <label>Stop At:</label>
+                        <select
+                          value={bunker.stopTargetType}
+                          onChange={(e) =>
+                            updateBunkerData(bunkerIndex, {
+                              stopTargetType: e.target.value,
+                            })
+                          }
+                        >
+                          <option value={TARGET_TYPES.PERCENT}>% Full</option>
+                          <option value={TARGET_TYPES.VOLUME}>Volume ({unitLabel("volume")})</option>
+                          <option value={TARGET_TYPES.MASS}>Mass (mT {massBasisLabel})</option>
+                        </select>
+                      </div>
+                      <div className="form-group">
+                        <label>Target:</label>
+                        <input
+                          type="number"
+                          value={bunker.stopTargetValue}
+                          onChange={(e) =>
+                            updateBunkerData(bunkerIndex, {
+                              stopTargetValue: e.target.value,
+                            })
+                          }
+                          placeholder="90"
+                          step="0.1"
                         />
                       </div>
                     </div>
@@ -1069,10 +2345,14 @@ function App() {
                         <tr>
                           <th>Date/Time</th>
                           <th>Tank</th>
-                          <th>Ullage (cm)</th>
-                          <th>Volume (m³)</th>
-                          <th>mT</th>
+                          <th>Ullage / Sounding ({unitLabel("length")})</th>
+                          <th>Volume ({unitLabel("volume")})</th>
+                          <th>VCF</th>
+                          <th>GSV ({unitLabel("volume")})</th>
+                          <th>WCF</th>
+                          <th>mT ({massBasisLabel})</th>
                           <th>% Full</th>
+                          <th>Stop Ullage ({unitLabel("length")})</th>
                           <th>Actions</th>
                         </tr>
                       </thead>
@@ -1083,7 +2363,8 @@ function App() {
                               ? calculateBunkeringMetrics(bunker, entry)
                               : null;
                           return (
-                            <tr key={entry.id}>
+                            <React.Fragment key={entry.id}>
+                            <tr>
                               <td>
                                 <input
                                   type="datetime-local"
@@ -1125,21 +2406,49 @@ function App() {
                                 </select>
                               </td>
                               <td>
+                                <select
+                                  value={entry.input_mode}
+                                  onChange={(e) =>
+                                    updateBunkeringEntry(
+                                      bunkerIndex,
+                                      entryIndex,
+                                      {
+                                        input_mode: e.target.value,
+                                        result: null,
+                                      }
+                                    )
+                                  }
+                                  className="input-mode-select"
+                                >
+                                  <option value={INPUT_MODES.ULLAGE}>Ullage</option>
+                                  <option value={INPUT_MODES.SOUNDING}>Sounding</option>
+                                </select>
                                 <input
                                   type="number"
-                                  value={entry.ullage}
+                                  value={getEntryReading(entry)}
                                   onChange={(e) =>
                                     updateBunkeringEntry(
                                       bunkerIndex,
                                       entryIndex,
                                       {
-                                        ullage: e.target.value,
+                                        [entry.input_mode]: e.target.value,
                                       }
                                     )
                                   }
-                                  placeholder="Ullage"
+                                  placeholder={
+                                    entry.input_mode === INPUT_MODES.SOUNDING
+                                      ? "Sounding"
+                                      : "Ullage"
+                                  }
                                   step="0.1"
                                 />
+                                {entry.result &&
+                                  entry.input_mode === INPUT_MODES.SOUNDING && (
+                                    <div className="derived-reading">
+                                      Ullage: {formatLength(entry.result.ullage)}
+                                    </div>
+                                  )}
+                                {renderReadingOffset(entry.result)}
                               </td>
                               <td className="metric-cell">
                                 {entry.result ? (
@@ -1149,16 +2458,45 @@ function App() {
                                         entry.result.final_volume !== undefined
                                           ? entry.result.final_volume
                                           : entry.result.volume;
-                                      return parseFloat(volume).toFixed(2);
+                                      return formatVolume(volume);
                                     })()}
+                                    {renderRangeWarning(entry.result)}
+                          {renderHeelWarning(entry.result)}
                                   </span>
                                 ) : (
                                   <span className="no-data">-</span>
                                 )}
                               </td>
                               <td className="metric-cell">
-                                {metrics ? (
-                                  <span className="mt-value">{metrics.mt}</span>
+                                {metrics && metrics.vcf ? (
+                                  <span>{metrics.vcf}</span>
+                                ) : (
+                                  <span className="no-data">-</span>
+                                )}
+                              </td>
+                              <td className="metric-cell">
+                                {metrics && metrics.gsv ? (
+                                  <span className="volume-value">{metrics.gsv}</span>
+                                ) : (
+                                  <span className="no-data">-</span>
+                                )}
+                              </td>
+                              <td className="metric-cell">
+                                {metrics && metrics.wcf ? (
+                                  <span>{metrics.wcf}</span>
+                                ) : (
+                                  <span className="no-data">-</span>
+                                )}
+                              </td>
+                              <td className="metric-cell">
+                                {metrics && metrics.mt ? (
+                                  <span
+                                    className={metrics.uncorrected ? "mt-value uncorrected-value" : "mt-value"}
+                                    title={metrics.uncorrected ? "No temperature: not corrected to 15°C" : undefined}
+                                  >
+                                    {metrics.mt}
+                                    {metrics.uncorrected && " (uncorr.)"}
+                                  </span>
                                 ) : (
                                   <span className="no-data">-</span>
                                 )}
@@ -1183,6 +2521,19 @@ function App() {
                                   <span className="no-data">-</span>
                                 )}
                               </td>
+                              <td className="metric-cell">
+                                {entry.stopUllage !== null && entry.stopUllage !== undefined ? (
+                                  <span className="stop-ullage-value">
+                                    {formatLength(entry.stopUllage)}
+                                  </span>
+                                ) : entry.stopError ? (
+                                  <span className="no-data" title={entry.stopError}>
+                                    n/a
+                                  </span>
+                                ) : (
+                                  <span className="no-data">-</span>
+                                )}
+                              </td>
                               <td>
                                 <button
                                   onClick={() =>
@@ -1195,6 +2546,18 @@ function App() {
                                 >
                                   {entry.loading ? "..." : "Calc"}
                                 </button>
+                                <button
+                                  onClick={() =>
+                                    updateBunkeringEntry(bunkerIndex, entryIndex, {
+                                      showTrace: !entry.showTrace,
+                                    })
+                                  }
+                                  disabled={!entry.result}
+                                  className="trace-toggle-btn"
+                                  title="How was this calculated?"
+                                >
+                                  ?
+                                </button>
                                 {bunker.entries.length > 1 && (
                                   <button
                                     onClick={() =>
@@ -1210,10 +2573,82 @@ function App() {
                                 )}
                               </td>
                             </tr>
+                            {entry.showTrace && entry.result && (
+                              <tr className="trace-row">
+                                <td colSpan="11">
+                                  <CalculationTrace
+                                    result={entry.result}
+                                    title={`How was this calculated? — Bunker #${bunkerIndex + 1}, ${
+                                      compartments.find(
+                                        (c) => c.compartment_id === parseInt(entry.compartment_id)
+                                      )?.compartment_name || "Tank"
+                                    } (${entry.timestamp.replace("T", " ")})`}
+                                    inputs={{
+                                      trim: bunker.trim,
+                                      heel: bunker.heel,
+                                      density: canonicalDensity(bunker.density),
+                                      temp: canonicalTemp(bunker.temp),
+                                    }}
+                                    quantities={calculateQuantities(entry.result, bunker.density, bunker.temp)}
+                                  />
+                                </td>
+                              </tr>
+                            )}
+                            </React.Fragment>
                           );
                         })}
                       </tbody>
                     </table>
+                    {(() => {
+                      const totals = calculateBunkerTotals(bunker);
+                      if (!totals) return null;
+                      return (
+                        <div className="bunker-totals" title={tolerancesLabel}>
+                          <div>
+                            Latest reading of {totals.tanks} tank(s):{" "}
+                            <strong>
+                              {formatVolume(totals.volume)} {unitLabel("volume")}
+                            </strong>{" "}
+                            <span className="band-value">({formatVolumeBand(totals.volumeBand)})</span>
+                          </div>
+                          {totals.mt !== null && (
+                            <div>
+                              Measured: <strong>{totals.mt.toFixed(2)} mT</strong> {massBasisLabel}{" "}
+                              {totals.uncorrected ? (
+                                <span className="uncorrected-value">(no temperature, not corrected to 15°C)</span>
+                              ) : (
+                                <span className="band-value">({formatBand(totals.mtBand, "mT")})</span>
+                              )}
+                            </div>
+                          )}
+                          {totals.mt !== null && totals.bdnMt !== null && (
+                            <div
+                              className={
+                                totals.bdnWithinBand === false ? "bunker-totals-outside" : "bunker-totals-within"
+                              }
+                            >
+                              BDN {totals.bdnMt.toFixed(2)} mT, difference{" "}
+                              {(totals.mt - totals.bdnMt).toFixed(2)} mT —{" "}
+                              {totals.bdnWithinBand === null
+                                ? "no measurement range"
+                                : totals.bdnWithinBand
+                                ? "within measurement tolerance"
+                                : "outside measurement tolerance"}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })()}
+                    {!bunker.recordedAt && bunkerGradeMismatches(bunker).length > 0 && (
+                      <ul className="quantity-issues">
+                        {bunkerGradeMismatches(bunker).map(({ compartmentId, name, mismatch }) => (
+                          <li key={compartmentId}>
+                            ⚠ {name}: {mismatch.received} onto {mismatch.rob_mt.toFixed(2)} mT {mismatch.held} — will be
+                            recorded as a blend of both grades
+                          </li>
+                        ))}
+                      </ul>
+                    )}
                     <div className="add-row-container">
                       <button
                         onClick={() => addBunkeringEntry(bunkerIndex)}
@@ -1221,7 +2656,18 @@ function App() {
                       >
                         + Add Reading
                       </button>
+                      <button
+                        onClick={() => recordBunker(bunkerIndex)}
+                        disabled={!!bunker.recordedAt}
+                        className="btn-secondary"
+                        title="Save this bunkering to the device log (synced with pending data)"
+                      >
+                        {bunker.recordedAt ? "✓ Recorded" : "💾 Record Bunker"}
+                      </button>
                     </div>
+                    {bunker.recordError && (
+                      <div className="error-message">{bunker.recordError}</div>
+                    )}
                     {bunker.entries.some((entry) => entry.error) && (
                       <div className="error-message">
                         {bunker.entries
@@ -1236,6 +2682,39 @@ function App() {
             </div>
           </div>
         )}
+
+        {/* Transfer Tab Content */}
+        {activeTab === "transfer" && (
+          <FuelTransfer
+            transfer={transfer}
+            setTransfer={setTransfer}
+            vesselId={currentVessel?.vessel_id}
+            compartments={compartments}
+            tankContents={tankContents}
+            fuelGrades={fuelGrades}
+            units={units}
+            vesselSettings={vesselSettings}
+            trimLimits={trimLimits}
+            heelLimits={heelLimits}
+            massBasisLabel={massBasisLabel}
+            renderTankContents={renderTankContents}
+            renderReadingOffset={renderReadingOffset}
+            onRecorded={() => setConsumptionVersion((v) => v + 1)}
+          />
+        )}
+
+        {/* History Tab Content */}
+        {activeTab === "history" && (
+          <div className="tab-content">
+            <SoundingHistory
+              vesselId={currentVessel?.vessel_id}
+              compartments={compartments}
+              units={units}
+              massBasisLabel={massBasisLabel}
+              onReopen={reopenSession}
+            />
+          </div>
+        )}
       </div>
       
       {/* Settings Modal */}
@@ -1243,6 +2722,9 @@ function App() {
         <Settings
           onClose={() => setShowSettings(false)}
           onLambdaUrlUpdated={handleLambdaUrlUpdated}
+          vessel={currentVessel}
+          onVesselSettingsUpdated={setVesselSettings}
+          onUserUnitsUpdated={setUserUnits}
         />
       )}
       {showAdmin && (
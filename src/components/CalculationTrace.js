@@ -0,0 +1,182 @@
+// BunkerWatch Calculation Trace Component
+// "How was this calculated?" breakdown of one tank figure, printable for surveyors
+import React, { useRef } from 'react';
+import { MASS_BASIS } from '../utils/constants';
+
+const fmt = (value, decimals = 3) =>
+  value === null || value === undefined || value === '' || isNaN(value) ? '—' : Number(value).toFixed(decimals);
+
+/**
+ * One bilinear step: the four table cells, interpolated across the axis, then along ullage
+ */
+function BilinearStep({ trace, axisName, axisUnit, lowerKey, upperKey, resultLabel, resultValue }) {
+  const axis = trace[axisName];
+  return (
+    <>
+      <table className="trace-table">
+        <thead>
+          <tr>
+            <th>Ullage (cm)</th>
+            <th>{axis.lower.column} ({axis.lower.value}{axisUnit})</th>
+            <th>{axis.upper.column} ({axis.upper.value}{axisUnit})</th>
+            <th>At {axisName} {axis.target}{axisUnit}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {trace.rows.map((row, i) => (
+            <tr key={i}>
+              <td>{row.ullage}</td>
+              <td>{fmt(row.lower_cell)}</td>
+              <td>{fmt(row.upper_cell)}</td>
+              <td>
+                <strong>{fmt(i === 0 ? trace[lowerKey] : trace[upperKey])}</strong>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="trace-line">
+        {axisName} weight {fmt(axis.weight, 4)} between {axis.lower.value}{axisUnit} and {axis.upper.value}{axisUnit};
+        ullage weight {fmt(trace.ullage.weight, 4)} between {trace.ullage.lower} and {trace.ullage.upper} cm
+      </div>
+      <div className="trace-line">
+        {resultLabel} = {fmt(trace[lowerKey])} + {fmt(trace.ullage.weight, 4)} × ({fmt(trace[upperKey])} − {fmt(trace[lowerKey])}) ={' '}
+        <strong>{fmt(resultValue)}</strong>
+      </div>
+    </>
+  );
+}
+
+function CalculationTrace({ result, title, inputs = {}, quantities }) {
+  const panelRef = useRef(null);
+
+  if (!result || !result.trace) {
+    return <div className="calculation-trace">No calculation trace available — recalculate this row.</div>;
+  }
+
+  const { trace } = result;
+  const netVolume = result.final_volume - (result.free_water ? result.free_water.volume : 0);
+
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank', 'width=800,height=900');
+    if (!printWindow) return;
+    printWindow.document.write(`<!DOCTYPE html><html><head><title>${title}</title>
+      <style>
+        body { font-family: sans-serif; font-size: 12px; padding: 16px; }
+        h3, h4 { margin: 12px 0 6px; }
+        table { border-collapse: collapse; margin: 6px 0; }
+        th, td { border: 1px solid #999; padding: 4px 8px; text-align: right; }
+        th { background: #eee; }
+        .trace-print-btn { display: none; }
+        .trace-line { margin: 4px 0; font-family: monospace; }
+      </style></head><body>
+      <p>Printed ${new Date().toLocaleString()}</p>
+      ${panelRef.current.innerHTML}
+      </body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  return (
+    <div className="calculation-trace" ref={panelRef}>
+      <div className="trace-header">
+        <h4>{title}</h4>
+        <button onClick={handlePrint} className="trace-print-btn">🖨 Print</button>
+      </div>
+
+      <div className="trace-line">
+        Trim {inputs.trim ?? '—'} m • Heel {inputs.heel ?? '—'}° • Density @15°C {fmt(inputs.density, 4)} t/m³ •
+        Temp {fmt(inputs.temp, 1)} °C • Out-of-range policy: {result.range_policy}
+      </div>
+
+      {result.reading_offset ? (
+        <div className="trace-line">
+          Tape reading {fmt(result.raw_reading, 1)} cm {result.reading_offset > 0 ? '+' : '−'}{' '}
+          {fmt(Math.abs(result.reading_offset), 1)} cm tank reference offset →{' '}
+          <strong>{fmt(result.raw_reading + result.reading_offset, 1)} cm</strong> against the table
+        </div>
+      ) : null}
+
+      {trace.sounding && (
+        <>
+          <h4>1. Sounding → ullage</h4>
+          <div className="trace-line">
+            Sounding {trace.sounding.sound} cm between table soundings {trace.sounding.lower.sound} (ullage{' '}
+            {trace.sounding.lower.ullage}) and {trace.sounding.upper.sound} (ullage {trace.sounding.upper.ullage}),
+            weight {fmt(trace.sounding.weight, 4)} → ullage <strong>{fmt(trace.sounding.ullage)} cm</strong>
+          </div>
+        </>
+      )}
+
+      <h4>{trace.sounding ? '2' : '1'}. Base volume (trim table)</h4>
+      <BilinearStep
+        trace={trace.main}
+        axisName="trim"
+        axisUnit=" m"
+        lowerKey="volume_at_lower_ullage"
+        upperKey="volume_at_upper_ullage"
+        resultLabel="Base volume"
+        resultValue={trace.main.volume}
+      />
+
+      <h4>{trace.sounding ? '3' : '2'}. Heel correction</h4>
+      {trace.heel ? (
+        <BilinearStep
+          trace={trace.heel}
+          axisName="heel"
+          axisUnit="°"
+          lowerKey="correction_at_lower_ullage"
+          upperKey="correction_at_upper_ullage"
+          resultLabel="Heel correction"
+          resultValue={trace.heel.heel_correction}
+        />
+      ) : (
+        <div className="trace-line">
+          {trace.heel_error ? `Not applied: ${trace.heel_error}` : 'Not applied (no heel entered)'}
+        </div>
+      )}
+
+      <h4>{trace.sounding ? '4' : '3'}. Result</h4>
+      <div className="trace-line">
+        Observed volume = {fmt(result.base_volume)} + {fmt(result.heel_correction)} ={' '}
+        <strong>{fmt(result.final_volume)} m³</strong>
+      </div>
+      {result.free_water && (
+        <div className="trace-line">
+          Free water dip {fmt(result.free_water.sounding, 1)} cm → {fmt(result.free_water.volume)} m³; net observed ={' '}
+          {fmt(result.final_volume)} − {fmt(result.free_water.volume)} = <strong>{fmt(netVolume)} m³</strong>
+        </div>
+      )}
+      {quantities && quantities.uncorrected && (
+        <div className="trace-line trace-warning">
+          ⚠ No temperature: VCF not applied. mT ({quantities.mass_basis === MASS_BASIS.AIR ? 'in air' : 'in vacuum'}) ={' '}
+          {fmt(netVolume)} × {fmt(quantities.wcf, 4)} = <strong>{fmt(quantities.mt)} t</strong> (uncorrected)
+        </div>
+      )}
+      {quantities && !quantities.uncorrected && (
+        <>
+          <div className="trace-line">
+            VCF (ASTM Table 54B, {fmt(inputs.density, 4)} t/m³ @ {fmt(inputs.temp, 1)} °C) = {fmt(quantities.vcf, 4)}
+          </div>
+          <div className="trace-line">
+            {result.free_water ? 'NSV' : 'GSV'} = {fmt(netVolume)} × {fmt(quantities.vcf, 4)} = <strong>{fmt(quantities.gsv)} m³</strong>
+          </div>
+          <div className="trace-line">
+            mT ({quantities.mass_basis === MASS_BASIS.AIR ? 'in air' : 'in vacuum'}) = {fmt(quantities.gsv)} ×{' '}
+            {fmt(quantities.wcf, 4)} = <strong>{fmt(quantities.mt)} t</strong>
+          </div>
+        </>
+      )}
+
+      {result.range_flags && result.range_flags.length > 0 && (
+        <div className="trace-line trace-warning">
+          ⚠ Outside calibration table:{' '}
+          {result.range_flags.map((f) => `${f.axis} ${f.value} ${f.action} at ${f.limit}`).join('; ')}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CalculationTrace;
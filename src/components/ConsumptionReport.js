@@ -0,0 +1,121 @@
+// BunkerWatch Consumption Report Component
+// Consumption since the last noon ROB, and per grade over any range of report dates
+import React, { useState, useMemo } from 'react';
+import { calculateConsumption } from '../utils/consumption';
+
+const fmt = (value) =>
+  value === null || value === undefined || isNaN(value) ? '—' : Number(value).toFixed(2);
+
+// Report date n days before a YYYY-MM-DD date
+const daysBefore = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+};
+
+function ConsumptionReport({ inputs, sinceLast, reportDate, massBasisLabel }) {
+  const [range, setRange] = useState({ from: daysBefore(reportDate, 6), to: reportDate });
+
+  const rangeReport = useMemo(
+    () => (inputs ? calculateConsumption(inputs.robs, inputs.movements, range.from, range.to) : null),
+    [inputs, range]
+  );
+
+  return (
+    <div className="summary-section consumption-report">
+      <h3>Consumption</h3>
+      {sinceLast ? (
+        <>
+          <div className="help-text">
+            Since noon ROB of {sinceLast.from.report_date} (mT {massBasisLabel})
+          </div>
+          <table className="summary-table consumption-table">
+            <thead>
+              <tr>
+                <th>Fuel Grade</th>
+                <th>Previous ROB</th>
+                <th>Received</th>
+                <th>Transfers</th>
+                <th>ROB Now</th>
+                <th>Consumed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(sinceLast.by_grade).map(([grade, row]) => (
+                <tr key={grade} className={row.consumed < 0 ? 'consumption-negative' : ''}>
+                  <td>{grade}</td>
+                  <td>{fmt(row.opening)}</td>
+                  <td>{fmt(row.received)}</td>
+                  <td>{fmt(row.transferred)}</td>
+                  <td>{fmt(row.closing)}</td>
+                  <td>
+                    <strong>{fmt(row.consumed)}</strong>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ) : (
+        <div className="help-text">No earlier noon ROB on this device to measure consumption from.</div>
+      )}
+
+      <div className="consumption-range">
+        <div className="form-group compact">
+          <label htmlFor="consumptionFrom">From</label>
+          <input
+            id="consumptionFrom"
+            type="date"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+          />
+        </div>
+        <div className="form-group compact">
+          <label htmlFor="consumptionTo">To</label>
+          <input
+            id="consumptionTo"
+            type="date"
+            value={range.to}
+            min={range.from}
+            onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+          />
+        </div>
+      </div>
+      {rangeReport && rangeReport.periods.length > 0 ? (
+        <>
+          <table className="summary-table consumption-table">
+            <thead>
+              <tr>
+                <th>Fuel Grade</th>
+                <th>Received</th>
+                <th>Transfers</th>
+                <th>Consumed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(rangeReport.by_grade).map(([grade, row]) => (
+                <tr key={grade}>
+                  <td>{grade}</td>
+                  <td>{fmt(row.received)}</td>
+                  <td>{fmt(row.transferred)}</td>
+                  <td>
+                    <strong>{fmt(row.consumed)}</strong>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <small className="help-text">
+            {rangeReport.periods.length} noon-to-noon period(s):{' '}
+            {rangeReport.periods.map(p => `${p.to.report_date} ${fmt(p.total_consumed)}`).join(' • ')}
+          </small>
+        </>
+      ) : (
+        <div className="help-text">No consecutive submitted ROBs in this range.</div>
+      )}
+    </div>
+  );
+}
+
+export default ConsumptionReport;
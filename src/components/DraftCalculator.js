@@ -0,0 +1,124 @@
+// BunkerWatch Draft Calculator Component
+// "Compute from drafts" helper for the trim/heel inputs
+import React, { useState } from 'react';
+import { calculateTrimHeelFromDrafts } from '../utils/drafts';
+import { TRIM_SIGN } from '../utils/constants';
+
+const EMPTY_DRAFTS = { forward: '', aft: '', port: '', starboard: '' };
+
+const DRAFT_FIELDS = [
+  { key: 'forward', label: 'Fwd (m)' },
+  { key: 'aft', label: 'Aft (m)' },
+  { key: 'port', label: 'Mid P (m)' },
+  { key: 'starboard', label: 'Mid S (m)' }
+];
+
+/**
+ * @param {object} props - { particulars (from the data package), drafts (last applied, or null),
+ *   onApply({ trim, heel, drafts }) }
+ */
+function DraftCalculator({ particulars, drafts, onApply }) {
+  const [open, setOpen] = useState(false);
+  const [readings, setReadings] = useState(EMPTY_DRAFTS);
+
+  const hasInput = readings.forward !== '' || readings.aft !== '';
+  const result = hasInput ? calculateTrimHeelFromDrafts(readings, particulars) : null;
+  const trimSignLabel =
+    (particulars?.trim_sign || TRIM_SIGN.BY_STERN_POSITIVE) === TRIM_SIGN.BY_HEAD_POSITIVE
+      ? '+ by head'
+      : '+ by stern';
+
+  const handleOpen = () => {
+    // Start from the drafts behind the current trim/heel, if any
+    setReadings(
+      drafts
+        ? {
+            forward: drafts.forward ?? '',
+            aft: drafts.aft ?? '',
+            port: drafts.port ?? '',
+            starboard: drafts.starboard ?? ''
+          }
+        : EMPTY_DRAFTS
+    );
+    setOpen(true);
+  };
+
+  const handleApply = () => {
+    if (!result || !result.success) return;
+    onApply({
+      trim: result.trim,
+      heel: result.heel,
+      drafts: {
+        forward: parseFloat(readings.forward),
+        aft: parseFloat(readings.aft),
+        port: readings.port !== '' ? parseFloat(readings.port) : null,
+        starboard: readings.starboard !== '' ? parseFloat(readings.starboard) : null,
+        trim_at_marks: result.trim_at_marks,
+        trim: result.trim,
+        heel: result.heel,
+        trim_sign: result.trim_sign,
+        computed_at: new Date().toISOString()
+      }
+    });
+    setOpen(false);
+  };
+
+  if (!open) {
+    return (
+      <div className="draft-calculator">
+        <button type="button" onClick={handleOpen} className="draft-toggle-btn">
+          📐 Compute from drafts
+        </button>
+        {drafts && (
+          <span className="draft-applied">
+            From drafts F {drafts.forward} / A {drafts.aft}
+            {drafts.port !== null && ` / P ${drafts.port} / S ${drafts.starboard}`} m
+          </span>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="draft-calculator open">
+      <div className="draft-inputs">
+        {DRAFT_FIELDS.map(({ key, label }) => (
+          <label key={key} className="draft-field">
+            <span>{label}</span>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={readings[key]}
+              onChange={(e) => setReadings(prev => ({ ...prev, [key]: e.target.value }))}
+            />
+          </label>
+        ))}
+      </div>
+      {result && !result.success && <div className="draft-error">{result.error}</div>}
+      {result && result.success && (
+        <div className="draft-result">
+          Trim <strong>{result.trim.toFixed(2)} m</strong> ({trimSignLabel}; {result.trim_at_marks.toFixed(2)} m at marks)
+          {result.heel !== null && (
+            <>
+              {' '}• Heel <strong>{result.heel.toFixed(2)}°</strong>
+            </>
+          )}
+          {result.warnings.map((warning) => (
+            <div key={warning} className="draft-warning">⚠ {warning}</div>
+          ))}
+        </div>
+      )}
+      <div className="draft-actions">
+        <button type="button" onClick={handleApply} disabled={!result || !result.success} className="btn-primary">
+          Apply
+        </button>
+        <button type="button" onClick={() => setOpen(false)} className="btn-secondary">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DraftCalculator;
@@ -0,0 +1,457 @@
+// BunkerWatch Fuel Transfer Component
+// Internal transfer between two tanks: before/after readings on each side, the quantity
+// moved out and in, the imbalance, and the record in the local sync queue
+import React from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { recordTransferOperation } from '../db/database';
+import { calculateSounding, calculateSoundingFromSound } from '../utils/interpolation';
+import { UNIT_LABELS, enteredToCanonical, formatInUnit } from '../utils/units';
+import { calculateTransferTotals, contentsAfterTransferRecord } from '../utils/transfer';
+import { localDateTimeInput, dateTimeInputToIso } from '../utils/dateTime';
+import { INPUT_MODES, UNITS } from '../utils/constants';
+
+// One tank of an internal transfer: tape readings before and after it
+const createTransferSide = () => ({
+  compartment_id: '',
+  input_mode: INPUT_MODES.ULLAGE,
+  before: '',
+  after: '',
+  beforeResult: null,
+  afterResult: null
+});
+
+/**
+ * Blank internal transfer form
+ */
+export const createTransfer = () => ({
+  transferredAt: localDateTimeInput(),
+  fuelGrade: '',
+  density: '',
+  temp: '',
+  trim: '',
+  heel: '',
+  remark: '',
+  source: createTransferSide(),
+  destination: createTransferSide(),
+  loading: false,
+  recordedAt: null,
+  error: ''
+});
+
+const TRANSFER_SIDES = [
+  { key: 'source', label: 'From' },
+  { key: 'destination', label: 'To' }
+];
+
+// Readings changed: the side's calculated volumes no longer apply
+const withoutResults = (side) => ({ ...side, beforeResult: null, afterResult: null });
+
+const hasDensity = (contents) => !!contents && contents.density !== null && contents.density !== undefined;
+
+function FuelTransfer({
+  transfer,
+  setTransfer,
+  vesselId,
+  compartments,
+  tankContents,
+  fuelGrades,
+  units,
+  vesselSettings,
+  trimLimits,
+  heelLimits,
+  massBasisLabel,
+  renderTankContents,
+  renderReadingOffset,
+  onRecorded
+}) {
+  const canonicalReading = (value) => enteredToCanonical('length', value, units.length);
+  const canonicalDensity = (value) => enteredToCanonical('density', value, units.density);
+  const canonicalTemp = (value) => enteredToCanonical('temperature', value, units.temperature);
+  const formatVolume = (value) => formatInUnit('volume', value, units.volume);
+  const unitLabel = (kind) => UNIT_LABELS[units[kind]];
+  const densityStep = units.density === UNITS.DENSITY.T_M3 ? '0.001' : '0.1';
+
+  const updateTransfer = (updates) => {
+    setTransfer(prev => ({ ...prev, ...updates }));
+  };
+
+  const updateTransferSide = (key, updates) => {
+    setTransfer(prev => ({ ...prev, [key]: withoutResults({ ...prev[key], ...updates }) }));
+  };
+
+  // Trim/heel apply to every reading on both sides
+  const updateTransferCondition = (updates) => {
+    setTransfer(prev => ({
+      ...prev,
+      ...updates,
+      source: withoutResults(prev.source),
+      destination: withoutResults(prev.destination)
+    }));
+  };
+
+  // The fuel moved is what the source tank holds
+  const selectTransferTank = (key, compartmentId) => {
+    const contents = key === 'source' ? tankContents.get(parseInt(compartmentId)) : null;
+    setTransfer(prev => ({
+      ...prev,
+      ...(contents && contents.fuel_grade ? { fuelGrade: contents.fuel_grade } : {}),
+      ...(hasDensity(contents) ? { density: formatInUnit('density', contents.density, units.density) } : {}),
+      [key]: withoutResults({ ...prev[key], compartment_id: compartmentId })
+    }));
+  };
+
+  // Before and after readings of both tanks through the same interpolation as soundings
+  const calculateTransfer = async () => {
+    const incomplete = TRANSFER_SIDES.some(
+      ({ key }) => !transfer[key].compartment_id || transfer[key].before === '' || transfer[key].after === ''
+    );
+    if (incomplete || transfer.trim === '') {
+      updateTransfer({ error: 'Please select both tanks, enter before and after readings, and set trim' });
+      return;
+    }
+    if (transfer.source.compartment_id === transfer.destination.compartment_id) {
+      updateTransfer({ error: 'Source and destination must be different tanks' });
+      return;
+    }
+
+    updateTransfer({ loading: true, error: '' });
+    try {
+      const results = {};
+      for (const { key, label } of TRANSFER_SIDES) {
+        const tank = transfer[key];
+        const calculate =
+          tank.input_mode === INPUT_MODES.SOUNDING ? calculateSoundingFromSound : calculateSounding;
+        const calculateReading = (reading) =>
+          calculate(
+            parseInt(tank.compartment_id),
+            canonicalReading(reading),
+            parseFloat(transfer.trim),
+            transfer.heel !== '' ? parseFloat(transfer.heel) : null,
+            { outOfRangePolicy: vesselSettings.outOfRangePolicy }
+          );
+        const beforeResult = await calculateReading(tank.before);
+        const afterResult = await calculateReading(tank.after);
+        const failed = [beforeResult, afterResult].find(result => !result.success);
+        if (failed) {
+          updateTransfer({ error: `${label}: ${failed.error || 'Calculation failed'}` });
+          return;
+        }
+        results[key] = { beforeResult, afterResult };
+      }
+      setTransfer(prev => ({
+        ...prev,
+        source: { ...prev.source, ...results.source },
+        destination: { ...prev.destination, ...results.destination }
+      }));
+    } catch (err) {
+      updateTransfer({ error: 'Calculation error: ' + err.message });
+    } finally {
+      updateTransfer({ loading: false });
+    }
+  };
+
+  // The destination's opening ROB is weighed at the density it already holds
+  const transferTotals = () => {
+    const destinationContents = tankContents.get(parseInt(transfer.destination.compartment_id));
+    return calculateTransferTotals(transfer.source, transfer.destination, {
+      density: canonicalDensity(transfer.density),
+      destinationDensity: hasDensity(destinationContents) ? destinationContents.density : null,
+      temperature: canonicalTemp(transfer.temp),
+      massBasis: vesselSettings.massBasis
+    });
+  };
+
+  // Completed transfer into the local sync queue; moves the source's contents into the destination
+  const recordTransfer = async () => {
+    const totals = transferTotals();
+    if (!transfer.fuelGrade || totals.imbalance === null) {
+      updateTransfer({ error: 'Fuel grade, density and calculated readings for both tanks are required' });
+      return;
+    }
+
+    try {
+      const transferredAt = dateTimeInputToIso(transfer.transferredAt);
+      if (!transferredAt) {
+        updateTransfer({ error: 'A valid transfer date/time is required' });
+        return;
+      }
+      const sourceContents = tankContents.get(parseInt(transfer.source.compartment_id));
+      const destinationContents = tankContents.get(parseInt(transfer.destination.compartment_id));
+      const sideRecord = (key, sideTotals, fuelGrade) => {
+        const tank = transfer[key];
+        return {
+          compartment_id: parseInt(tank.compartment_id),
+          fuel_grade: fuelGrade,
+          input_mode: tank.input_mode,
+          before_reading: canonicalReading(tank.before),
+          after_reading: canonicalReading(tank.after),
+          entered_values: { before: tank.before, after: tank.after },
+          before_ullage: tank.beforeResult.ullage,
+          after_ullage: tank.afterResult.ullage,
+          before_volume: tank.beforeResult.final_volume,
+          after_volume: tank.afterResult.final_volume,
+          before_mt: sideTotals.beforeMt,
+          after_mt: sideTotals.afterMt,
+          quantity_mt: sideTotals.mt
+        };
+      };
+      const record = {
+        client_id: uuidv4(),
+        transferred_at: transferredAt,
+        fuel_grade: transfer.fuelGrade,
+        density: canonicalDensity(transfer.density),
+        temperature: transfer.temp !== '' ? canonicalTemp(transfer.temp) : null,
+        mass_basis: vesselSettings.massBasis,
+        trim: parseFloat(transfer.trim),
+        heel: transfer.heel !== '' ? parseFloat(transfer.heel) : null,
+        entered_units: units,
+        entered_values: { density: transfer.density, temperature: transfer.temp },
+        source: sideRecord('source', totals.source, sourceContents?.fuel_grade || transfer.fuelGrade),
+        destination: sideRecord('destination', totals.destination, transfer.fuelGrade),
+        imbalance_mt: totals.imbalance,
+        remark: transfer.remark.trim() || null,
+        user_name: null
+      };
+      const contents = contentsAfterTransferRecord(record, sourceContents, destinationContents);
+
+      await recordTransferOperation(vesselId, record, contents);
+      console.log(
+        `💾 Recorded transfer: ${record.source.quantity_mt.toFixed(2)} mT ${record.fuel_grade}, imbalance ${record.imbalance_mt.toFixed(2)} mT`
+      );
+      updateTransfer({ recordedAt: new Date().toISOString(), error: '' });
+      onRecorded();
+    } catch (err) {
+      console.error('Error recording transfer:', err);
+      updateTransfer({ error: `Failed to record: ${err.message}` });
+    }
+  };
+
+  const totals = transferTotals();
+
+  return (
+    <div className="tab-content">
+      <div className="bunkering-header">
+        <h3>Internal Fuel Transfer</h3>
+      </div>
+      <div className="bunker-panel transfer-panel">
+        <div className="bunker-header">
+          <h4>Transfer</h4>
+          <div className="bunker-status">
+            <span className={`status-indicator ${transfer.recordedAt ? '' : 'active'}`}></span>
+            {transfer.recordedAt
+              ? `Recorded ${new Date(transfer.recordedAt).toLocaleTimeString()}`
+              : 'Active'}
+          </div>
+        </div>
+        <div className="bunker-inputs">
+          <div className="input-row">
+            <div className="form-group">
+              <label>Time:</label>
+              <input
+                type="datetime-local"
+                value={transfer.transferredAt}
+                onChange={(e) => updateTransfer({ transferredAt: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Fuel Grade:</label>
+              <select
+                value={transfer.fuelGrade}
+                onChange={(e) => updateTransfer({ fuelGrade: e.target.value })}
+              >
+                <option value="">Select</option>
+                {fuelGrades.map(grade => (
+                  <option key={grade} value={grade}>
+                    {grade}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Density ({unitLabel('density')}):</label>
+              <input
+                type="number"
+                value={transfer.density}
+                onChange={(e) => updateTransfer({ density: e.target.value })}
+                placeholder="0.950"
+                step={densityStep}
+              />
+            </div>
+            <div className="form-group">
+              <label>Temp ({unitLabel('temperature')}):</label>
+              <input
+                type="number"
+                value={transfer.temp}
+                onChange={(e) => updateTransfer({ temp: e.target.value })}
+                placeholder="15.0"
+                step="0.1"
+              />
+            </div>
+          </div>
+          <div className="input-row">
+            <div className="form-group">
+              <label>Trim (m):</label>
+              <input
+                type="number"
+                value={transfer.trim}
+                onChange={(e) => updateTransferCondition({ trim: e.target.value })}
+                placeholder="0.0"
+                step="0.1"
+                min={trimLimits.min}
+                max={trimLimits.max}
+              />
+            </div>
+            <div className="form-group">
+              <label>Heel (°):</label>
+              <input
+                type="number"
+                value={transfer.heel}
+                onChange={(e) => updateTransferCondition({ heel: e.target.value })}
+                placeholder="0.0"
+                step="0.1"
+                min={heelLimits.min}
+                max={heelLimits.max}
+              />
+            </div>
+            <div className="form-group transfer-remark">
+              <label>Remark:</label>
+              <input
+                type="text"
+                value={transfer.remark}
+                onChange={(e) => updateTransfer({ remark: e.target.value })}
+                placeholder="e.g. storage to settling, purifier running"
+              />
+            </div>
+          </div>
+        </div>
+        <table className="tank-table compact transfer-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Tank</th>
+              <th>Reading</th>
+              <th>Before</th>
+              <th>After</th>
+              <th>Volume ({unitLabel('volume')})</th>
+              <th>Moved ({unitLabel('volume')})</th>
+              <th>Moved mT ({massBasisLabel})</th>
+            </tr>
+          </thead>
+          <tbody>
+            {TRANSFER_SIDES.map(({ key, label }) => {
+              const tank = transfer[key];
+              const sideTotals = totals[key];
+              const destinationContents =
+                key === 'destination' ? tankContents.get(parseInt(tank.compartment_id)) : null;
+              return (
+                <tr key={key}>
+                  <td className="transfer-side">{label}</td>
+                  <td>
+                    <select
+                      value={tank.compartment_id}
+                      onChange={(e) => selectTransferTank(key, e.target.value)}
+                    >
+                      <option value="">Select Tank</option>
+                      {compartments.map(comp => (
+                        <option key={comp.compartment_id} value={comp.compartment_id}>
+                          {comp.compartment_name}
+                        </option>
+                      ))}
+                    </select>
+                    {key === 'source' &&
+                      renderTankContents({
+                        compartment_id: tank.compartment_id,
+                        fuel_grade: transfer.fuelGrade,
+                        density: transfer.density
+                      })}
+                    {hasDensity(destinationContents) && (
+                      <div className="tank-contents-note">
+                        Opening ROB @ {formatInUnit('density', destinationContents.density, units.density)}{' '}
+                        {unitLabel('density')}
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    <select
+                      value={tank.input_mode}
+                      onChange={(e) => updateTransferSide(key, { input_mode: e.target.value })}
+                      className="input-mode-select"
+                    >
+                      <option value={INPUT_MODES.ULLAGE}>Ullage</option>
+                      <option value={INPUT_MODES.SOUNDING}>Sounding</option>
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      value={tank.before}
+                      onChange={(e) => updateTransferSide(key, { before: e.target.value })}
+                      placeholder="Before"
+                      step="0.1"
+                    />
+                    {renderReadingOffset(tank.beforeResult)}
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      value={tank.after}
+                      onChange={(e) => updateTransferSide(key, { after: e.target.value })}
+                      placeholder="After"
+                      step="0.1"
+                    />
+                    {renderReadingOffset(tank.afterResult)}
+                  </td>
+                  <td>
+                    {sideTotals
+                      ? `${formatVolume(tank.beforeResult.final_volume)} → ${formatVolume(tank.afterResult.final_volume)}`
+                      : 'N/A'}
+                  </td>
+                  <td>{sideTotals ? formatVolume(sideTotals.volume) : 'N/A'}</td>
+                  <td>{sideTotals && sideTotals.mt !== null ? sideTotals.mt.toFixed(2) : 'N/A'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {totals.imbalance !== null && (
+          <div className="bunker-totals">
+            <div>
+              Out of source: <strong>{totals.source.mt.toFixed(2)} mT</strong>, into destination:{' '}
+              <strong>{totals.destination.mt.toFixed(2)} mT</strong> {massBasisLabel}
+            </div>
+            <div>
+              Imbalance (out − in): <strong>{totals.imbalance.toFixed(2)} mT</strong>
+              {totals.source.mt !== 0 &&
+                ` (${((totals.imbalance / totals.source.mt) * 100).toFixed(2)}% of quantity out)`}
+            </div>
+          </div>
+        )}
+        <div className="add-row-container">
+          <button
+            onClick={calculateTransfer}
+            disabled={transfer.loading || !!transfer.recordedAt}
+            className="add-row-btn"
+          >
+            {transfer.loading ? 'Calculating...' : 'Calculate'}
+          </button>
+          <button
+            onClick={recordTransfer}
+            disabled={!!transfer.recordedAt}
+            className="btn-secondary"
+            title="Save this transfer to the device log (synced with pending data)"
+          >
+            {transfer.recordedAt ? '✓ Recorded' : '💾 Record Transfer'}
+          </button>
+          {transfer.recordedAt && (
+            <button onClick={() => setTransfer(createTransfer())} className="btn-secondary">
+              New Transfer
+            </button>
+          )}
+        </div>
+        {transfer.error && <div className="error-message">{transfer.error}</div>}
+      </div>
+    </div>
+  );
+}
+
+export default FuelTransfer;
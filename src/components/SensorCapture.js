@@ -0,0 +1,130 @@
+// BunkerWatch Sensor Capture Component
+// Heel/trim from the tablet's inclinometer, as an alternative to typing them in
+import React, { useState, useEffect } from 'react';
+import {
+  isInclinometerSupported,
+  requestInclinometerPermission,
+  getInclinometerCalibration,
+  calibrateInclinometer,
+  readInclination
+} from '../utils/inclinometer';
+import { INCLINOMETER } from '../utils/constants';
+
+/**
+ * @param {object} props - { particulars (from the data package), onApply({ trim, heel, capture }) }
+ */
+function SensorCapture({ particulars, onApply }) {
+  const [open, setOpen] = useState(false);
+  const [calibration, setCalibration] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [reading, setReading] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      getInclinometerCalibration().then(setCalibration);
+    }
+  }, [open]);
+
+  if (!isInclinometerSupported()) {
+    return null;
+  }
+
+  const seconds = INCLINOMETER.SAMPLE_MS / 1000;
+
+  const runSampling = async (sample) => {
+    setError('');
+    if (!(await requestInclinometerPermission())) {
+      setError('Motion sensor access was denied');
+      return;
+    }
+    setProgress(0);
+    try {
+      await sample();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleCalibrate = () =>
+    runSampling(async () => {
+      setReading(null);
+      setCalibration(await calibrateInclinometer(setProgress));
+    });
+
+  const handleCapture = () =>
+    runSampling(async () => {
+      setReading(await readInclination(particulars, setProgress));
+    });
+
+  const handleApply = () => {
+    onApply({ trim: reading.trim, heel: reading.heel, capture: reading });
+    setReading(null);
+    setOpen(false);
+  };
+
+  if (!open) {
+    return (
+      <div className="draft-calculator">
+        <button type="button" onClick={() => setOpen(true)} className="draft-toggle-btn">
+          📱 Capture from device sensor
+        </button>
+      </div>
+    );
+  }
+
+  const busy = progress !== null;
+
+  return (
+    <div className="draft-calculator open sensor-capture">
+      <small className="help-text">
+        Lay the tablet flat on a level surface of the ship's structure, top edge pointing forward, and keep it still
+        for {seconds} seconds.
+      </small>
+      <div className="draft-result">
+        {calibration
+          ? `Calibrated ${new Date(calibration.calibrated_at).toLocaleString()}`
+          : '⚠ Not calibrated on this device: place it on a known level reference and calibrate first'}
+      </div>
+      {busy && (
+        <div className="sensor-progress">
+          <div className="sensor-progress-bar" style={{ width: `${Math.round(progress * 100)}%` }} />
+        </div>
+      )}
+      {error && <div className="draft-error">{error}</div>}
+      {reading && (
+        <div className="draft-result">
+          Heel <strong>{reading.heel.toFixed(2)}°</strong>
+          {reading.trim !== null ? (
+            <>
+              {' '}• Trim <strong>{reading.trim.toFixed(2)} m</strong> (pitch {reading.pitch.toFixed(2)}°)
+            </>
+          ) : (
+            <div className="draft-warning">⚠ No LBP in the vessel particulars: trim not calculated</div>
+          )}
+          <div className="draft-applied">
+            Average of {reading.samples} readings, ±{reading.heel_sd.toFixed(2)}° roll, ±{reading.pitch_sd.toFixed(2)}° pitch
+          </div>
+        </div>
+      )}
+      <div className="draft-actions">
+        <button type="button" onClick={handleCalibrate} disabled={busy} className="btn-secondary">
+          {calibration ? 'Recalibrate (level)' : 'Calibrate (level)'}
+        </button>
+        <button type="button" onClick={handleCapture} disabled={busy || !calibration} className="btn-secondary">
+          {busy ? 'Reading…' : 'Read'}
+        </button>
+        <button type="button" onClick={handleApply} disabled={busy || !reading} className="btn-primary">
+          Apply
+        </button>
+        <button type="button" onClick={() => setOpen(false)} disabled={busy} className="btn-secondary">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SensorCapture;
@@ -2,14 +2,51 @@
 import React, { useState, useEffect } from 'react';
 import { getLambdaUrl, saveLambdaUrl, clearLambdaUrl, getAppConfig } from '../config';
 import { requestPersistentStorage, estimateStorage, formatBytes } from '../utils/storage';
+import { getVesselSettings, saveVesselSettings } from '../db/database';
+import { MASS_BASIS, OUT_OF_RANGE_POLICIES, PARITY_CHECK, UNITS } from '../utils/constants';
+import { UNIT_LABELS, getUserUnits, saveUserUnits } from '../utils/units';
+import { runParityCheck, getLastParityCheck } from '../utils/parityCheck';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
 
-function Settings({ onClose, onLambdaUrlUpdated }) {
+// Measurement tolerances behind the uncertainty bands (units as entered on the sounding forms)
+const TOLERANCE_FIELDS = [
+  { key: 'ullage', label: 'Ullage/sounding (cm)', step: '0.1' },
+  { key: 'trim', label: 'Trim (m)', step: '0.01' },
+  { key: 'heel', label: 'Heel (°)', step: '0.01' },
+  { key: 'temperature', label: 'Temperature (°C)', step: '0.1' },
+  { key: 'density', label: 'Density @15°C (t/m³)', step: '0.0001' }
+];
+
+// Anomaly alert thresholds (tank change between sessions)
+const ANOMALY_FIELDS = [
+  { key: 'riseMt', label: 'Unexplained rise (mT)', step: '0.1' },
+  { key: 'fallFactor', label: 'Fall vs usual rate (×)', step: '0.1' },
+  { key: 'minChangeMt', label: 'Ignore changes below (mT)', step: '0.1' },
+  { key: 'historyPeriods', label: 'Usual rate from last (periods)', step: '1' }
+];
+
+// Unit choices for input and display
+const UNIT_FIELDS = [
+  { kind: 'length', label: 'Ullage / sounding', options: Object.values(UNITS.LENGTH) },
+  { kind: 'volume', label: 'Volume', options: Object.values(UNITS.VOLUME) },
+  { kind: 'density', label: 'Density', options: Object.values(UNITS.DENSITY) },
+  { kind: 'temperature', label: 'Temperature', options: Object.values(UNITS.TEMPERATURE) }
+];
+
+function Settings({ onClose, onLambdaUrlUpdated, vessel, onVesselSettingsUpdated, onUserUnitsUpdated }) {
   const [lambdaUrl, setLambdaUrl] = useState(getLambdaUrl() || '');
   const [saved, setSaved] = useState(false);
   const [error, setError] = useState('');
   const config = getAppConfig();
   const [storageInfo, setStorageInfo] = useState({ persisted: null, usage: null, quota: null });
   const [storageLoading, setStorageLoading] = useState(true);
+  const [vesselSettings, setVesselSettings] = useState(null);
+  const [userUnits, setUserUnits] = useState({});
+  const isOnline = useOnlineStatus();
+  const [parityReport, setParityReport] = useState(null);
+  const [parityTolerance, setParityTolerance] = useState(String(PARITY_CHECK.DEFAULT_TOLERANCE));
+  const [parityProgress, setParityProgress] = useState(null);
+  const [parityError, setParityError] = useState('');
 
   useEffect(() => {
     (async () => {
@@ -23,7 +60,51 @@ function Settings({ onClose, onLambdaUrlUpdated }) {
       });
       setStorageLoading(false);
     })();
+    getUserUnits().then(setUserUnits);
   }, []);
+
+  useEffect(() => {
+    if (!vessel) return;
+    getVesselSettings(vessel.vessel_id).then(setVesselSettings);
+    getLastParityCheck().then(setParityReport);
+  }, [vessel]);
+
+  const handleRunParityCheck = async () => {
+    const url = getLambdaUrl();
+    if (!url) {
+      setParityError('Configure the Lambda URL first');
+      return;
+    }
+    setParityError('');
+    setParityProgress({ done: 0, total: 0, tank: '' });
+    try {
+      const report = await runParityCheck(url, {
+        tolerance: parityTolerance,
+        onProgress: setParityProgress
+      });
+      setParityReport({ ...report, current: true });
+    } catch (err) {
+      setParityError('Parity check failed: ' + err.message);
+    } finally {
+      setParityProgress(null);
+    }
+  };
+
+  const updateVesselSetting = async (updates) => {
+    const settings = await saveVesselSettings(vessel.vessel_id, updates);
+    setVesselSettings(settings);
+    if (onVesselSettingsUpdated) {
+      onVesselSettingsUpdated(settings);
+    }
+  };
+  
+  const updateUserUnit = async (kind, unit) => {
+    const updated = await saveUserUnits({ ...userUnits, [kind]: unit || null });
+    setUserUnits(updated);
+    if (onUserUnitsUpdated) {
+      onUserUnitsUpdated(updated);
+    }
+  };
   
   const handleSave = () => {
     if (!lambdaUrl.trim()) {
@@ -119,6 +200,236 @@ function Settings({ onClose, onLambdaUrlUpdated }) {
             </div>
           </div>
           
+          {vessel && vesselSettings && (
+            <div className="settings-section">
+              <h3>Calculation Settings — {vessel.vessel_name}</h3>
+              <div className="form-group">
+                <label>Mass Basis:</label>
+                <select
+                  value={vesselSettings.massBasis}
+                  onChange={(e) => updateVesselSetting({ massBasis: e.target.value })}
+                  className="settings-input"
+                >
+                  <option value={MASS_BASIS.VACUUM}>In vacuum (GSV × density @15°C)</option>
+                  <option value={MASS_BASIS.AIR}>In air (GSV × (density @15°C − 0.0011))</option>
+                </select>
+                <small className="help-text">
+                  Surveyors and BDNs normally report metric tonnes in air
+                </small>
+              </div>
+              <div className="form-group">
+                <label>Outside Calibration Table:</label>
+                <select
+                  value={vesselSettings.outOfRangePolicy}
+                  onChange={(e) => updateVesselSetting({ outOfRangePolicy: e.target.value })}
+                  className="settings-input"
+                >
+                  <option value={OUT_OF_RANGE_POLICIES.REJECT}>Reject (no figure)</option>
+                  <option value={OUT_OF_RANGE_POLICIES.CLAMP}>Clamp to table edge</option>
+                  <option value={OUT_OF_RANGE_POLICIES.EXTRAPOLATE}>Extrapolate from last two points</option>
+                </select>
+                <small className="help-text">
+                  Clamped or extrapolated figures are flagged in the tank row and in the synced log
+                </small>
+              </div>
+              <div className="form-group">
+                <label>Measurement Tolerances (±):</label>
+                <div className="tolerance-grid">
+                  {TOLERANCE_FIELDS.map(({ key, label, step }) => (
+                    <label key={key} className="tolerance-field">
+                      <span>{label}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step={step}
+                        value={vesselSettings.tolerances[key]}
+                        onChange={(e) =>
+                          updateVesselSetting({
+                            tolerances: {
+                              ...vesselSettings.tolerances,
+                              [key]: e.target.value
+                            }
+                          })
+                        }
+                        className="settings-input"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <small className="help-text">
+                  Used for the min/max ranges on the sounding summary and bunkering totals. Recalculate tanks after changing.
+                </small>
+              </div>
+              <div className="form-group">
+                <label>Anomaly Alerts:</label>
+                <div className="tolerance-grid">
+                  {ANOMALY_FIELDS.map(({ key, label, step }) => (
+                    <label key={key} className="tolerance-field">
+                      <span>{label}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step={step}
+                        value={vesselSettings.anomalyThresholds[key]}
+                        onChange={(e) =>
+                          updateVesselSetting({
+                            anomalyThresholds: {
+                              ...vesselSettings.anomalyThresholds,
+                              [key]: e.target.value
+                            }
+                          })
+                        }
+                        className="settings-input"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <small className="help-text">
+                  Tanks flagged against their previous session need a remark before submitting.
+                </small>
+              </div>
+            </div>
+          )}
+
+          {vessel && vesselSettings && (
+            <div className="settings-section">
+              <h3>Units</h3>
+              <table className="units-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>{vessel.vessel_name}</th>
+                    <th>This device</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {UNIT_FIELDS.map(({ kind, label, options }) => (
+                    <tr key={kind}>
+                      <td>{label}</td>
+                      <td>
+                        <select
+                          value={vesselSettings.units[kind]}
+                          onChange={(e) =>
+                            updateVesselSetting({ units: { ...vesselSettings.units, [kind]: e.target.value } })
+                          }
+                          className="settings-input"
+                        >
+                          {options.map(unit => (
+                            <option key={unit} value={unit}>{UNIT_LABELS[unit]}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        <select
+                          value={userUnits[kind] || ''}
+                          onChange={(e) => updateUserUnit(kind, e.target.value)}
+                          className="settings-input"
+                        >
+                          <option value="">Vessel default</option>
+                          {options.map(unit => (
+                            <option key={unit} value={unit}>{UNIT_LABELS[unit]}</option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <small className="help-text">
+                Units for entering and displaying readings. Calculations always run in cm, m³, t/m³ @15°C and °C, and
+                each synced sounding records the units it was entered in. Re-enter open readings after changing units.
+              </small>
+            </div>
+          )}
+
+          {vessel && (
+            <div className="settings-section">
+              <h3>Online/Offline Parity Check</h3>
+              <small className="help-text">
+                Compares offline figures with the server's POST /sounding over a grid of
+                ullage, trim and heel points for every tank. Run after every package install.
+              </small>
+              {parityReport && !parityReport.current && (
+                <div className="parity-stale">
+                  ⚠ Last check was for the package downloaded{' '}
+                  {parityReport.package_downloaded_at
+                    ? new Date(parityReport.package_downloaded_at).toLocaleString()
+                    : 'earlier'}
+                  ; the installed package has not been verified
+                </div>
+              )}
+              {!parityReport && (
+                <div className="parity-stale">⚠ Not yet run for this package</div>
+              )}
+              <div className="form-group">
+                <label>Tolerance (m³):</label>
+                <input
+                  type="number"
+                  value={parityTolerance}
+                  onChange={(e) => setParityTolerance(e.target.value)}
+                  step="0.001"
+                  min="0"
+                  className="settings-input"
+                />
+              </div>
+              <div className="button-group">
+                <button
+                  onClick={handleRunParityCheck}
+                  className="btn-primary"
+                  disabled={!isOnline || parityProgress !== null}
+                >
+                  {parityProgress
+                    ? `⏳ ${parityProgress.done}/${parityProgress.total} ${parityProgress.tank || ''}`
+                    : isOnline
+                    ? '🔍 Run Parity Check'
+                    : '📴 Offline'}
+                </button>
+              </div>
+              {parityError && <div className="error-message">{parityError}</div>}
+              {parityReport && (
+                <div className="parity-report">
+                  <div className={parityReport.passed ? 'success-message' : 'error-message'}>
+                    {parityReport.passed ? '✓' : '⚠'} {parityReport.total_points} points,{' '}
+                    {parityReport.tanks.filter((t) => !t.passed).length} tank(s) outside ±
+                    {parityReport.tolerance} m³ — {new Date(parityReport.checked_at).toLocaleString()}
+                  </div>
+                  <table className="parity-table">
+                    <thead>
+                      <tr>
+                        <th>Tank</th>
+                        <th>Points</th>
+                        <th>Max Δ (m³)</th>
+                        <th>Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {parityReport.tanks.map((tank) => (
+                        <React.Fragment key={tank.compartment_id}>
+                          <tr className={tank.passed ? '' : 'parity-failed'}>
+                            <td>{tank.compartment_name}</td>
+                            <td>{tank.points}</td>
+                            <td>{tank.max_diff.toFixed(3)}</td>
+                            <td>{tank.passed ? '✅' : `⚠ ${tank.discrepancies.length}`}</td>
+                          </tr>
+                          {tank.discrepancies.slice(0, 5).map((d, i) => (
+                            <tr key={i} className="parity-detail">
+                              <td colSpan="4">
+                                U {d.ullage} / T {d.trim} / H {d.heel ?? '-'}:{' '}
+                                {d.error
+                                  ? d.error
+                                  : `offline ${d.offline.toFixed(3)} vs online ${d.online.toFixed(3)} (Δ ${d.diff.toFixed(3)})`}
+                              </td>
+                            </tr>
+                          ))}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="settings-section">
             <h3>Configuration Info</h3>
             <div className="info-grid">
@@ -0,0 +1,280 @@
+// BunkerWatch Sounding History Component
+// Submitted soundings on this device, by report date and session, with reopen and comparison
+import React, { useState, useEffect, useMemo } from 'react';
+import { getSoundingSessions } from '../db/database';
+import { UNIT_LABELS, formatInUnit } from '../utils/units';
+
+const fmt = (value, decimals) =>
+  value === null || value === undefined || isNaN(value) ? '—' : Number(value).toFixed(decimals);
+
+// Net of free water where logged (NSV), else GSV
+const loggedVolume = (log) => log.net_standard_volume ?? log.gross_standard_volume;
+
+const sumOf = (logs, pick) =>
+  logs.reduce((sum, log) => sum + (parseFloat(pick(log)) || 0), 0);
+
+// Synced only once every sounding in the session is
+const sessionSyncStatus = (logs) => {
+  if (logs.every(log => log.sync_status === 'synced')) return 'synced';
+  return logs.some(log => log.sync_status === 'failed') ? 'failed' : 'pending';
+};
+
+const SYNC_LABELS = {
+  synced: '✓ Synced',
+  pending: '⏳ Pending',
+  failed: '⚠ Failed - will retry'
+};
+
+const formatDelta = (value, format) => {
+  if (value === null || isNaN(value)) return '—';
+  const sign = value > 0 ? '+' : value < 0 ? '−' : '';
+  return `${sign}${format(Math.abs(value))}`;
+};
+
+/**
+ * Per-tank rows of session B against session A (deltas are B − A)
+ */
+function compareSessions(sessionA, sessionB) {
+  const tanks = new Map();
+  const add = (log, side) => {
+    const key = log.compartment_id;
+    if (!tanks.has(key)) {
+      tanks.set(key, { compartment_id: key, name: log.compartment_name, a: null, b: null });
+    }
+    tanks.get(key)[side] = log;
+  };
+  sessionA.logs.forEach(log => add(log, 'a'));
+  sessionB.logs.forEach(log => add(log, 'b'));
+
+  return [...tanks.values()]
+    .map(tank => {
+      const volumeA = tank.a ? parseFloat(loggedVolume(tank.a)) : null;
+      const volumeB = tank.b ? parseFloat(loggedVolume(tank.b)) : null;
+      const mtA = tank.a ? parseFloat(tank.a.calculated_mt) : null;
+      const mtB = tank.b ? parseFloat(tank.b.calculated_mt) : null;
+      return {
+        ...tank,
+        grade: (tank.b || tank.a).fuel_grade,
+        volumeA,
+        volumeB,
+        mtA,
+        mtB,
+        volumeDelta: tank.a && tank.b ? volumeB - volumeA : null,
+        mtDelta: tank.a && tank.b ? mtB - mtA : null
+      };
+    })
+    .sort((x, y) => (x.name || '').localeCompare(y.name || ''));
+}
+
+function SoundingHistory({ vesselId, compartments, units, massBasisLabel, onReopen }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [tankFilter, setTankFilter] = useState('');
+  const [gradeFilter, setGradeFilter] = useState('');
+  const [compareIds, setCompareIds] = useState({ a: '', b: '' });
+
+  useEffect(() => {
+    if (!vesselId) return;
+    setLoading(true);
+    getSoundingSessions(vesselId)
+      .then(setSessions)
+      .catch(error => console.error('Error loading sounding history:', error))
+      .finally(() => setLoading(false));
+  }, [vesselId]);
+
+  const grades = useMemo(
+    () => [...new Set(sessions.flatMap(s => s.logs.map(log => log.fuel_grade)).filter(Boolean))].sort(),
+    [sessions]
+  );
+
+  // Filters apply to the soundings; sessions with none left are hidden
+  const filtered = useMemo(
+    () =>
+      sessions
+        .map(session => ({
+          ...session,
+          logs: session.logs.filter(
+            log =>
+              (!tankFilter || String(log.compartment_id) === tankFilter) &&
+              (!gradeFilter || log.fuel_grade === gradeFilter)
+          )
+        }))
+        .filter(session => session.logs.length > 0),
+    [sessions, tankFilter, gradeFilter]
+  );
+
+  const byDate = useMemo(() => {
+    const groups = new Map();
+    filtered.forEach(session => {
+      if (!groups.has(session.report_date)) {
+        groups.set(session.report_date, []);
+      }
+      groups.get(session.report_date).push(session);
+    });
+    return [...groups.entries()];
+  }, [filtered]);
+
+  const sessionA = filtered.find(s => s.session_id === compareIds.a);
+  const sessionB = filtered.find(s => s.session_id === compareIds.b);
+  const comparison = sessionA && sessionB && sessionA !== sessionB ? compareSessions(sessionA, sessionB) : null;
+
+  const volumeLabel = UNIT_LABELS[units.volume];
+  const formatVolume = (value) => formatInUnit('volume', value, units.volume);
+  const formatMt = (value) => fmt(value, 2);
+  const sessionLabel = (session) =>
+    `${session.report_date} ${new Date(session.recorded_at).toLocaleTimeString()} (${session.logs.length} tanks)`;
+
+  if (loading) {
+    return <div className="history-empty">Loading history…</div>;
+  }
+
+  if (sessions.length === 0) {
+    return <div className="history-empty">No soundings have been submitted on this device yet.</div>;
+  }
+
+  return (
+    <div className="sounding-history">
+      <div className="history-filters">
+        <div className="form-group compact">
+          <label htmlFor="historyTank">Tank</label>
+          <select id="historyTank" value={tankFilter} onChange={(e) => setTankFilter(e.target.value)}>
+            <option value="">All tanks</option>
+            {compartments.map(c => (
+              <option key={c.compartment_id} value={String(c.compartment_id)}>
+                {c.compartment_name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group compact">
+          <label htmlFor="historyGrade">Grade</label>
+          <select id="historyGrade" value={gradeFilter} onChange={(e) => setGradeFilter(e.target.value)}>
+            <option value="">All grades</option>
+            {grades.map(grade => (
+              <option key={grade} value={grade}>{grade}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {byDate.map(([reportDate, dateSessions]) => (
+        <div key={reportDate} className="summary-section">
+          <h3>{reportDate}</h3>
+          <table className="summary-table history-table">
+            <thead>
+              <tr>
+                <th>Submitted</th>
+                <th>Tanks</th>
+                <th>NSV ({volumeLabel})</th>
+                <th>mT ({massBasisLabel})</th>
+                <th>Status</th>
+                <th>Compare</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {dateSessions.map(session => (
+                <tr key={session.session_id}>
+                  <td>{new Date(session.recorded_at).toLocaleTimeString()}</td>
+                  <td title={session.logs.map(log => log.compartment_name).join(', ')}>{session.logs.length}</td>
+                  <td>{formatVolume(sumOf(session.logs, loggedVolume))}</td>
+                  <td>{formatMt(sumOf(session.logs, log => log.calculated_mt))}</td>
+                  <td className={`history-sync-${sessionSyncStatus(session.logs)}`}>
+                    {SYNC_LABELS[sessionSyncStatus(session.logs)]}
+                  </td>
+                  <td className="history-compare">
+                    <label>
+                      <input
+                        type="radio"
+                        name="compareA"
+                        checked={compareIds.a === session.session_id}
+                        onChange={() => setCompareIds(prev => ({ ...prev, a: session.session_id }))}
+                      />
+                      A
+                    </label>
+                    <label>
+                      <input
+                        type="radio"
+                        name="compareB"
+                        checked={compareIds.b === session.session_id}
+                        onChange={() => setCompareIds(prev => ({ ...prev, b: session.session_id }))}
+                      />
+                      B
+                    </label>
+                  </td>
+                  <td>
+                    {/* The unfiltered session, so the sounding table shows every tank */}
+                    <button
+                      onClick={() => onReopen(sessions.find(s => s.session_id === session.session_id))}
+                      className="btn-secondary"
+                    >
+                      Reopen
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+
+      {filtered.length === 0 && <div className="history-empty">No soundings match these filters.</div>}
+
+      {comparison && (
+        <div className="summary-section">
+          <h3>Comparison</h3>
+          <div className="help-text">
+            A: {sessionLabel(sessionA)} • B: {sessionLabel(sessionB)} • Δ = B − A
+          </div>
+          <table className="summary-table history-table">
+            <thead>
+              <tr>
+                <th>Tank</th>
+                <th>Grade</th>
+                <th>NSV A ({volumeLabel})</th>
+                <th>NSV B ({volumeLabel})</th>
+                <th>Δ NSV</th>
+                <th>mT A</th>
+                <th>mT B</th>
+                <th>Δ mT</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.map(tank => (
+                <tr key={tank.compartment_id}>
+                  <td>{tank.name}</td>
+                  <td>{tank.grade}</td>
+                  <td>{tank.a ? formatVolume(tank.volumeA) : '—'}</td>
+                  <td>{tank.b ? formatVolume(tank.volumeB) : '—'}</td>
+                  <td>{formatDelta(tank.volumeDelta, formatVolume)}</td>
+                  <td>{tank.a ? formatMt(tank.mtA) : '—'}</td>
+                  <td>{tank.b ? formatMt(tank.mtB) : '—'}</td>
+                  <td>{formatDelta(tank.mtDelta, formatMt)}</td>
+                </tr>
+              ))}
+              <tr className="stability-total">
+                <td>Total</td>
+                <td></td>
+                <td>{formatVolume(sumOf(sessionA.logs, loggedVolume))}</td>
+                <td>{formatVolume(sumOf(sessionB.logs, loggedVolume))}</td>
+                <td>
+                  {formatDelta(sumOf(sessionB.logs, loggedVolume) - sumOf(sessionA.logs, loggedVolume), formatVolume)}
+                </td>
+                <td>{formatMt(sumOf(sessionA.logs, log => log.calculated_mt))}</td>
+                <td>{formatMt(sumOf(sessionB.logs, log => log.calculated_mt))}</td>
+                <td>
+                  {formatDelta(
+                    sumOf(sessionB.logs, log => log.calculated_mt) - sumOf(sessionA.logs, log => log.calculated_mt),
+                    formatMt
+                  )}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SoundingHistory;
@@ -0,0 +1,87 @@
+// BunkerWatch Stability Summary Component
+// Fuel weights, moments, combined CG and free-surface moments for the loading computer
+import React, { useMemo } from 'react';
+import { calculateStabilitySummary, stabilityToCsv } from '../utils/stability';
+import { downloadFile } from '../utils/export';
+
+const fmt = (value, decimals) =>
+  value === null || value === undefined || isNaN(value) ? '—' : Number(value).toFixed(decimals);
+
+function StabilitySummary({ tanks, vesselName, reportDate, massBasisLabel }) {
+  const summary = useMemo(() => calculateStabilitySummary(tanks), [tanks]);
+
+  if (summary.tanks.length === 0) {
+    return null;
+  }
+
+  const handleExport = () => {
+    const safeName = (vesselName || 'vessel').replace(/[^A-Za-z0-9_-]+/g, '_');
+    downloadFile(`${safeName}_fuel_stability_${reportDate}.csv`, stabilityToCsv(summary));
+  };
+
+  const { total } = summary;
+  const missingCg = summary.tanks.filter(t => t.cg_missing);
+
+  return (
+    <div className="summary-section stability-summary">
+      <div className="stability-header">
+        <h3>Stability Summary</h3>
+        <button onClick={handleExport} className="btn-secondary">
+          ⬇ Export for Loading Computer (CSV)
+        </button>
+      </div>
+      <table className="summary-table stability-table">
+        <thead>
+          <tr>
+            <th>Tank</th>
+            <th>Weight (t)</th>
+            <th>LCG (m)</th>
+            <th>TCG (m)</th>
+            <th>VCG (m)</th>
+            <th>L. Moment (t·m)</th>
+            <th>T. Moment (t·m)</th>
+            <th>V. Moment (t·m)</th>
+            <th>FSM (t·m)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summary.tanks.map(tank => (
+            <tr key={tank.id} className={tank.cg_missing ? 'stability-cg-missing' : ''}>
+              <td>{tank.name}</td>
+              <td>{fmt(tank.weight, 2)}</td>
+              <td>{fmt(tank.lcg, 3)}</td>
+              <td>{fmt(tank.tcg, 3)}</td>
+              <td>{fmt(tank.vcg, 3)}</td>
+              <td>{fmt(tank.lcg_moment, 1)}</td>
+              <td>{fmt(tank.tcg_moment, 1)}</td>
+              <td>{fmt(tank.vcg_moment, 1)}</td>
+              <td>{fmt(tank.fsm, 1)}</td>
+            </tr>
+          ))}
+          <tr className="stability-total">
+            <td>Total</td>
+            <td>{fmt(total.weight, 2)}</td>
+            <td>{fmt(total.lcg, 3)}</td>
+            <td>{fmt(total.tcg, 3)}</td>
+            <td>{fmt(total.vcg, 3)}</td>
+            <td>{fmt(total.lcg_moment, 1)}</td>
+            <td>{fmt(total.tcg_moment, 1)}</td>
+            <td>{fmt(total.vcg_moment, 1)}</td>
+            <td>{fmt(total.fsm, 1)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <small className="help-text">
+        Weights in mT {massBasisLabel}. Total LCG/TCG/VCG is the combined centre of gravity (moment ÷ weight).
+        FSM = Iy × density at observed temperature.
+      </small>
+      {missingCg.length > 0 && (
+        <div className="trace-warning">
+          ⚠ No centre of gravity in the calibration table for: {missingCg.map(t => t.name).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StabilitySummary;
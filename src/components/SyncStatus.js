@@ -1,31 +1,25 @@
 // BunkerWatch Sync Status Component
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { getPendingCounts, syncAllPendingData } from '../db/syncService';
 import { useOnlineStatus } from '../hooks/useOnlineStatus';
 
 function SyncStatus({ lambdaUrl, vesselId }) {
   const isOnline = useOnlineStatus();
-  const [pending, setPending] = useState({ soundings: 0, bunkering: 0, total: 0 });
+  const [pending, setPending] = useState({ soundings: 0, bunkering: 0, transfers: 0, total: 0 });
   const [syncing, setSyncing] = useState(false);
   const [lastSync, setLastSync] = useState(null);
   const [syncMessage, setSyncMessage] = useState('');
   
-  useEffect(() => {
-    loadPendingCounts();
-    const interval = setInterval(loadPendingCounts, 5000); // Update every 5s
-    return () => clearInterval(interval);
-  }, []);
-  
-  async function loadPendingCounts() {
+  const loadPendingCounts = useCallback(async () => {
     try {
       const counts = await getPendingCounts();
       setPending(counts);
     } catch (error) {
       console.error('Error loading pending counts:', error);
     }
-  }
+  }, []);
   
-  async function handleSync() {
+  const handleSync = useCallback(async () => {
     if (!isOnline) {
       setSyncMessage('⚠️ No internet connection');
       setTimeout(() => setSyncMessage(''), 3000);
@@ -46,8 +40,8 @@ function SyncStatus({ lambdaUrl, vesselId }) {
       setLastSync(new Date());
       await loadPendingCounts();
       
-      const totalSynced = results.soundings.success + results.bunkering.success;
-      const totalFailed = results.soundings.failed + results.bunkering.failed;
+      const totalSynced = results.soundings.success + results.bunkering.success + results.transfers.success;
+      const totalFailed = results.soundings.failed + results.bunkering.failed + results.transfers.failed;
       
       if (totalSynced > 0) {
         setSyncMessage(`✓ Synced ${totalSynced} record(s) successfully`);
@@ -65,7 +59,22 @@ function SyncStatus({ lambdaUrl, vesselId }) {
     } finally {
       setSyncing(false);
     }
-  }
+  }, [isOnline, vesselId, lambdaUrl, loadPendingCounts]);
+  
+  useEffect(() => {
+    loadPendingCounts();
+    const interval = setInterval(loadPendingCounts, 5000); // Update every 5s
+    return () => clearInterval(interval);
+  }, [loadPendingCounts]);
+  
+  // Upload the local queue as soon as connectivity returns
+  const hasPending = pending.total > 0;
+  useEffect(() => {
+    if (isOnline && hasPending && vesselId && lambdaUrl) {
+      console.log('🌐 Online with queued data - syncing');
+      handleSync();
+    }
+  }, [isOnline, hasPending, vesselId, lambdaUrl, handleSync]);
   
   return (
     <div className="sync-status-bar">
@@ -80,7 +89,7 @@ function SyncStatus({ lambdaUrl, vesselId }) {
           <span>Pending: {pending.total}</span>
           {pending.total > 0 && (
             <span className="pending-details">
-              ({pending.soundings} soundings, {pending.bunkering} bunkering)
+              ({pending.soundings} soundings, {pending.bunkering} bunkering, {pending.transfers} transfers)
             </span>
           )}
         </div>
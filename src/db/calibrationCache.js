@@ -0,0 +1,129 @@
+// BunkerWatch Calibration Cache
+// Calibration tables loaded once per vessel from IndexedDB into typed arrays,
+// so interpolation does binary searches in memory instead of Dexie queries.
+// Also the Dexie provider for the shared interpolation core.
+
+import { db, getVesselInfo, getVesselAxes } from './database';
+import { buildTable, scaleTableLengths, MAIN_EXTRA_COLUMNS } from '../shared/interpolationCore';
+
+let cache = null;
+let loading = null;
+let generation = 0;
+
+/**
+ * Group calibration rows by compartment and build a table for each (lengths in cm)
+ */
+function buildTables(rows, columnNames, lengthUnit) {
+  const grouped = new Map();
+  rows.forEach(row => {
+    const compartmentId = parseInt(row.compartment_id);
+    if (!grouped.has(compartmentId)) {
+      grouped.set(compartmentId, []);
+    }
+    grouped.get(compartmentId).push(row);
+  });
+
+  const tables = new Map();
+  grouped.forEach((compartmentRows, compartmentId) => {
+    tables.set(compartmentId, scaleTableLengths(buildTable(compartmentRows, columnNames), lengthUnit));
+  });
+  return tables;
+}
+
+/**
+ * Load the current vessel's calibration data from IndexedDB
+ */
+async function loadCache() {
+  const startTime = performance.now();
+  const vessel = await getVesselInfo();
+  const { trimAxis, heelAxis } = getVesselAxes(vessel);
+
+  const mainRows = await db.main_sounding_data.toArray();
+  const heelRows = await db.heel_correction_data.toArray();
+  const compartments = await db.compartments.toArray();
+
+  const mainColumns = [...trimAxis.map(t => t.column), ...MAIN_EXTRA_COLUMNS];
+  const heelColumns = heelAxis.map(h => h.column);
+  // Some vessels' tables are published in mm
+  const lengthUnit = vessel?.particulars?.table_length_unit;
+
+  const loaded = {
+    vesselId: vessel ? vessel.vessel_id : null,
+    trimAxis,
+    heelAxis,
+    main: buildTables(mainRows, mainColumns, lengthUnit),
+    heel: buildTables(heelRows, heelColumns, lengthUnit),
+    // Where the crew dips from vs the tables' reference (cm; absent on older packages)
+    offsets: new Map(compartments.map(c => [
+      parseInt(c.compartment_id),
+      { ullage: c.ullage_reference_offset, sounding: c.sounding_datum_offset }
+    ]))
+  };
+
+  console.log(`⚡ Calibration cache loaded: ${loaded.main.size} compartments, ${mainRows.length + heelRows.length} rows in ${Math.round(performance.now() - startTime)}ms`);
+  return loaded;
+}
+
+/**
+ * Get the calibration cache, loading it on first use
+ * @returns {Promise<object>} { vesselId, trimAxis, heelAxis, main, heel, offsets }
+ */
+export async function getCalibrationCache() {
+  if (cache) {
+    return cache;
+  }
+
+  if (!loading) {
+    const loadGeneration = generation;
+    const promise = loadCache().then(
+      loaded => {
+        // Don't keep a cache that was invalidated while it was loading
+        if (loadGeneration === generation) {
+          cache = loaded;
+        }
+        if (loading === promise) loading = null;
+        return loaded;
+      },
+      error => {
+        if (loading === promise) loading = null;
+        throw error;
+      }
+    );
+    loading = promise;
+  }
+
+  return loading;
+}
+
+/**
+ * Drop the cache; the next calculation reloads from IndexedDB
+ */
+export function invalidateCalibrationCache() {
+  generation++;
+  cache = null;
+  loading = null;
+}
+
+/**
+ * Dexie adapter for the shared interpolation core
+ */
+export const dexieCalibrationProvider = {
+  async getAxes() {
+    const { trimAxis, heelAxis } = await getCalibrationCache();
+    return { trimAxis, heelAxis };
+  },
+  async getMainTable(compartmentId) {
+    const { main } = await getCalibrationCache();
+    return main.get(parseInt(compartmentId)) || null;
+  },
+  async getHeelTable(compartmentId) {
+    const { heel } = await getCalibrationCache();
+    return heel.get(parseInt(compartmentId)) || null;
+  },
+  async getReadingOffsets(compartmentId) {
+    const { offsets } = await getCalibrationCache();
+    return offsets.get(parseInt(compartmentId)) || null;
+  }
+};
+
+export default getCalibrationCache;
@@ -2,6 +2,7 @@
 // Handles downloading and storing vessel-specific calibration data
 
 import { db, setVesselInfo, setSyncMetadata, clearVesselData } from './database';
+import { invalidateCalibrationCache } from './calibrationCache';
 
 /**
  * Normalize Lambda URL by removing trailing slashes
@@ -59,12 +60,15 @@ export async function downloadVesselDataPackage(lambdaUrl, vesselId) {
       vessel_id: dataPackage.vessel_id,
       vessel_name: dataPackage.vessel_name,
       compartments: dataPackage.compartments?.length || 0,
-      calibrationDataKeys: Object.keys(dataPackage.calibration_data || {}).length
+      calibrationDataKeys: Object.keys(dataPackage.calibration_data || {}).length,
+      trimAxis: dataPackage.trim_axis ? dataPackage.trim_axis.map(t => t.value) : 'standard',
+      heelAxis: dataPackage.heel_axis ? dataPackage.heel_axis.map(h => h.value) : 'standard'
     });
     
     // 2. Clear existing vessel data
     console.log(`🗑️ [DOWNLOAD] Clearing existing vessel data...`);
     await clearVesselData();
+    invalidateCalibrationCache();
     
     // 3. Store vessel info
     console.log(`💾 [DOWNLOAD] Storing vessel info...`);
@@ -73,6 +77,9 @@ export async function downloadVesselDataPackage(lambdaUrl, vesselId) {
       vessel_name: dataPackage.vessel_name,
       imo_number: dataPackage.imo_number,
       package_version: dataPackage.package_version,
+      trim_axis: dataPackage.trim_axis || null,
+      heel_axis: dataPackage.heel_axis || null,
+      particulars: dataPackage.particulars || null,
       downloaded_at: new Date().toISOString()
     });
     
@@ -178,6 +185,9 @@ export async function downloadVesselDataPackage(lambdaUrl, vesselId) {
     await setSyncMetadata('package_version', dataPackage.package_version);
     await setSyncMetadata('vessel_id', dataPackage.vessel_id);
     
+    // 7. Drop cached calibration so the next calculation loads the new package
+    invalidateCalibrationCache();
+    
     console.log(`✅ [DOWNLOAD] Data package downloaded successfully`);
     console.log(`📊 [DOWNLOAD] Summary:`, {
       vessel: dataPackage.vessel_name,
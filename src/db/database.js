@@ -1,5 +1,6 @@
 // BunkerWatch Database Layer - IndexedDB with Dexie
 import Dexie from 'dexie';
+import { DEFAULT_VESSEL_SETTINGS, TRIM_RANGES, HEEL_RANGES } from '../utils/constants';
 
 export const db = new Dexie('BunkerWatchDB');
 
@@ -30,6 +31,33 @@ db.version(1).stores({
   sync_metadata: 'key'
 });
 
+db.version(2).stores({
+  // Per-vessel calculation settings (kept across package downloads)
+  vessel_settings: 'vessel_id'
+});
+
+db.version(3).stores({
+  // In-progress sounding/bunkering forms, one per vessel and tab
+  drafts: '[vessel_id+tab], vessel_id, updated_at'
+});
+
+db.version(4).stores({
+  // Soundings are committed locally first and grouped by submission session
+  sounding_logs: '++id, client_id, vessel_id, session_id, recorded_at, sync_status, report_date',
+  // Session summaries queued with their soundings
+  sounding_reports: '++id, &session_id, vessel_id, recorded_at, sync_status'
+});
+
+db.version(5).stores({
+  // What each tank holds (grade, BDN lineage, density @15°C, sulphur, last ROB)
+  tank_contents: '[vessel_id+compartment_id], vessel_id'
+});
+
+db.version(6).stores({
+  // Internal transfers between tanks, each with both sides' readings
+  transfer_operations: '++id, client_id, vessel_id, transferred_at, sync_status'
+});
+
 // ===== Database Helper Functions =====
 
 /**
@@ -58,6 +86,17 @@ export async function setVesselInfo(vesselData) {
   await db.vessel_info.add(vesselData);
 }
 
+/**
+ * Get trim/heel calibration axes for a vessel
+ * Packages without vessel-specific axes use the standard grid
+ */
+export function getVesselAxes(vessel) {
+  return {
+    trimAxis: vessel?.trim_axis?.length ? vessel.trim_axis : TRIM_RANGES,
+    heelAxis: vessel?.heel_axis?.length ? vessel.heel_axis : HEEL_RANGES
+  };
+}
+
 /**
  * Get all compartments for current vessel
  */
@@ -92,6 +131,132 @@ export async function setSyncMetadata(key, value) {
   await db.sync_metadata.put({ key, value });
 }
 
+/**
+ * Get calculation settings for a vessel (merged with defaults)
+ */
+export async function getVesselSettings(vesselId) {
+  const record = vesselId ? await db.vessel_settings.get(vesselId) : null;
+  return { ...DEFAULT_VESSEL_SETTINGS, ...(record ? record.settings : {}) };
+}
+
+/**
+ * Save calculation settings for a vessel
+ */
+export async function saveVesselSettings(vesselId, updates) {
+  const current = await getVesselSettings(vesselId);
+  const settings = { ...current, ...updates };
+  await db.vessel_settings.put({ vessel_id: vesselId, settings });
+  return settings;
+}
+
+/**
+ * Get the in-progress form drafts saved for a vessel
+ */
+export async function getDrafts(vesselId) {
+  return await db.drafts.where('vessel_id').equals(vesselId).toArray();
+}
+
+/**
+ * Save a tab's in-progress form state
+ */
+export async function saveDraft(vesselId, tab, state) {
+  await db.drafts.put({ vessel_id: vesselId, tab, state, updated_at: new Date().toISOString() });
+}
+
+/**
+ * Delete a tab's draft (resumed into the form, discarded, or submitted)
+ */
+export async function deleteDraft(vesselId, tab) {
+  await db.drafts.delete([vesselId, tab]);
+}
+
+/**
+ * Get the contents of every tank on a vessel
+ * @returns {Promise<Map>} compartment_id -> contents
+ */
+export async function getTankContents(vesselId) {
+  const contents = await db.tank_contents.where('vessel_id').equals(vesselId).toArray();
+  return new Map(contents.map(c => [c.compartment_id, c]));
+}
+
+const putTankContents = (vesselId, contents) =>
+  db.tank_contents.bulkPut(contents.map(c => ({ ...c, vessel_id: vesselId })));
+
+/**
+ * Commit a sounding submission locally as pending (soundings plus session summary)
+ * @param {Array} contents - Tank contents updated by the soundings (optional)
+ * @returns {Promise<string>} Session ID
+ */
+export async function queueSoundingSession(vesselId, soundings, summary, contents = []) {
+  await db.transaction('rw', db.sounding_logs, db.sounding_reports, db.tank_contents, async () => {
+    await db.sounding_reports.add({ ...summary, vessel_id: vesselId, sync_status: 'pending' });
+    await db.sounding_logs.bulkAdd(
+      soundings.map(sounding => ({ ...sounding, vessel_id: vesselId, sync_status: 'pending' }))
+    );
+    await putTankContents(vesselId, contents);
+  });
+  return summary.session_id;
+}
+
+/**
+ * Record a completed bunkering locally as pending (operation plus its tank readings)
+ * @param {Array} contents - Contents of the tanks bunkered into (optional)
+ */
+export async function recordBunkeringOperation(vesselId, operation, readings, contents = []) {
+  await db.transaction('rw', db.bunkering_operations, db.bunkering_readings, db.tank_contents, async () => {
+    await db.bunkering_operations.add({ ...operation, vessel_id: vesselId, sync_status: 'pending' });
+    await db.bunkering_readings.bulkAdd(readings);
+    await putTankContents(vesselId, contents);
+  });
+}
+
+/**
+ * Record an internal transfer locally as pending
+ * @param {Array} contents - Contents of the source and destination tanks after it
+ */
+export async function recordTransferOperation(vesselId, transfer, contents) {
+  await db.transaction('rw', db.transfer_operations, db.tank_contents, async () => {
+    await db.transfer_operations.add({ ...transfer, vessel_id: vesselId, sync_status: 'pending' });
+    await putTankContents(vesselId, contents);
+  });
+}
+
+/**
+ * Recorded transfers for a vessel (oldest first)
+ */
+export async function getTransferOperations(vesselId) {
+  const transfers = await db.transfer_operations.where('vessel_id').equals(vesselId).toArray();
+  return transfers.sort((a, b) => a.transferred_at.localeCompare(b.transferred_at));
+}
+
+/**
+ * Submitted soundings for a vessel, grouped by submission session (newest first)
+ * Soundings without a session are grouped by their report date and time.
+ * @returns {Promise<Array>} [{ session_id, report_date, recorded_at, summary, logs }]
+ */
+export async function getSoundingSessions(vesselId) {
+  const logs = await db.sounding_logs.where('vessel_id').equals(vesselId).toArray();
+  const reports = await db.sounding_reports.where('vessel_id').equals(vesselId).toArray();
+  const summaries = new Map(reports.map(report => [report.session_id, report]));
+
+  const sessions = new Map();
+  logs.forEach(log => {
+    const key = log.session_id || `${log.report_date}|${log.recorded_at}`;
+    if (!sessions.has(key)) {
+      sessions.set(key, {
+        session_id: key,
+        report_date: log.report_date,
+        recorded_at: log.recorded_at,
+        summary: summaries.get(log.session_id) || null,
+        logs: []
+      });
+    }
+    sessions.get(key).logs.push(log);
+  });
+
+  return [...sessions.values()].sort((a, b) => b.recorded_at.localeCompare(a.recorded_at));
+}
+
 /**
  * Check if vessel data is downloaded
  */
@@ -116,8 +281,10 @@ export async function getDatabaseStats() {
     heelDataRows: await db.heel_correction_data.count(),
     pendingSoundings: await db.sounding_logs.where('sync_status').equals('pending').count(),
     pendingBunkering: await db.bunkering_operations.where('sync_status').equals('pending').count(),
+    pendingTransfers: await db.transfer_operations.where('sync_status').equals('pending').count(),
     totalSoundings: await db.sounding_logs.count(),
-    totalBunkering: await db.bunkering_operations.count()
+    totalBunkering: await db.bunkering_operations.count(),
+    totalTransfers: await db.transfer_operations.count()
   };
 }
 
@@ -10,42 +10,67 @@ function normalizeLambdaUrl(url) {
   return url.replace(/\/+$/, ''); // Remove trailing slashes
 }
 
+// Failed uploads stay queued and are retried with the pending ones
+const UNSYNCED = ['pending', 'failed'];
+
+// One sync at a time per server and vessel (manual, on reconnect, or right after a submission)
+const syncsInFlight = new Map();
+
 /**
  * Get pending sync counts
  */
 export async function getPendingCounts() {
   const pendingSoundings = await db.sounding_logs
     .where('sync_status')
-    .equals('pending')
+    .anyOf(UNSYNCED)
     .count();
   
   const pendingBunkering = await db.bunkering_operations
     .where('sync_status')
-    .equals('pending')
+    .anyOf(UNSYNCED)
+    .count();
+  
+  const pendingTransfers = await db.transfer_operations
+    .where('sync_status')
+    .anyOf(UNSYNCED)
     .count();
   
   return {
     soundings: pendingSoundings,
     bunkering: pendingBunkering,
-    total: pendingSoundings + pendingBunkering
+    transfers: pendingTransfers,
+    total: pendingSoundings + pendingBunkering + pendingTransfers
   };
 }
 
 /**
  * Sync all pending data
+ * Concurrent calls for the same server and vessel share the sync already running.
  */
-export async function syncAllPendingData(lambdaUrl, vesselId) {
+export function syncAllPendingData(lambdaUrl, vesselId) {
+  const key = `${lambdaUrl}|${vesselId}`;
+  if (!syncsInFlight.has(key)) {
+    syncsInFlight.set(key, runSync(lambdaUrl, vesselId).finally(() => {
+      syncsInFlight.delete(key);
+    }));
+  }
+  return syncsInFlight.get(key);
+}
+
+async function runSync(lambdaUrl, vesselId) {
   const syncResults = {
     soundings: { success: 0, failed: 0 },
     bunkering: { success: 0, failed: 0 },
+    transfers: { success: 0, failed: 0 },
     errors: []
   };
   
   try {
-    // 1. Sync soundings
+    // 1. Sync soundings (this vessel's only; the endpoint is per vessel)
     const pendingSoundings = await db.sounding_logs
       .where('sync_status')
-      .equals('pending')
+      .anyOf(UNSYNCED)
+      .filter(sounding => sounding.vessel_id === vesselId)
       .toArray();
     
     if (pendingSoundings.length > 0) {
@@ -57,7 +82,8 @@ export async function syncAllPendingData(lambdaUrl, vesselId) {
     // 2. Sync bunkering operations
     const pendingBunkering = await db.bunkering_operations
       .where('sync_status')
-      .equals('pending')
+      .anyOf(UNSYNCED)
+      .filter(op => op.vessel_id === vesselId)
       .toArray();
     
     if (pendingBunkering.length > 0) {
@@ -66,6 +92,18 @@ export async function syncAllPendingData(lambdaUrl, vesselId) {
       syncResults.bunkering = bunkeringResult;
     }
     
+    // 3. Sync internal transfers
+    const pendingTransfers = await db.transfer_operations
+      .where('sync_status')
+      .anyOf(UNSYNCED)
+      .filter(transfer => transfer.vessel_id === vesselId)
+      .toArray();
+    
+    if (pendingTransfers.length > 0) {
+      console.log(`Syncing ${pendingTransfers.length} transfers...`);
+      syncResults.transfers = await syncTransfers(lambdaUrl, vesselId, pendingTransfers);
+    }
+    
     console.log('✓ Sync completed', syncResults);
     return syncResults;
     
@@ -77,43 +115,72 @@ export async function syncAllPendingData(lambdaUrl, vesselId) {
 }
 
 /**
- * Sync soundings to cloud
+ * Sync soundings to cloud, one submission session (with its summary) per request
  */
 async function syncSoundings(lambdaUrl, vesselId, soundings) {
+  const sessions = new Map();
+  soundings.forEach(sounding => {
+    const key = sounding.session_id || null;
+    if (!sessions.has(key)) {
+      sessions.set(key, []);
+    }
+    sessions.get(key).push(sounding);
+  });
+  
+  const totals = { success: 0, failed: 0 };
+  for (const [sessionId, logs] of sessions) {
+    const summary = sessionId
+      ? await db.sounding_reports.where('session_id').equals(sessionId).first()
+      : null;
+    const result = await syncSoundingSession(lambdaUrl, vesselId, logs, summary);
+    totals.success += result.success;
+    totals.failed += result.failed;
+  }
+  return totals;
+}
+
+/**
+ * Upload one session; on failure its rows stay queued as 'failed' for the next sync
+ */
+async function syncSoundingSession(lambdaUrl, vesselId, soundings, summary) {
+  const markAll = async (changes) => {
+    for (const sounding of soundings) {
+      await db.sounding_logs.update(sounding.id, changes);
+    }
+    if (summary) {
+      await db.sounding_reports.update(summary.id, changes);
+    }
+  };
+  
   try {
     const normalizedUrl = normalizeLambdaUrl(lambdaUrl);
+    // Local keys and queue state stay on the device
+    const strip = ({ id, sync_status, synced_at, ...record }) => record;
     
     const response = await fetch(`${normalizedUrl}/vessel/${vesselId}/sync-soundings`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ soundings })
+      body: JSON.stringify({
+        soundings: soundings.map(strip),
+        summary: summary ? strip(summary) : undefined
+      })
     });
     
     const result = await response.json();
     
     if (result.success) {
-      // Mark as synced
-      for (const sounding of soundings) {
-        await db.sounding_logs.update(sounding.id, { 
-          sync_status: 'synced',
-          synced_at: new Date().toISOString()
-        });
-      }
-      return { success: result.inserted || soundings.length, failed: 0 };
+      // Mark as synced (rows the server already had count as synced too)
+      await markAll({ sync_status: 'synced', synced_at: new Date().toISOString() });
+      return { success: soundings.length, failed: 0 };
     } else {
-      // Mark as failed
-      for (const sounding of soundings) {
-        await db.sounding_logs.update(sounding.id, { sync_status: 'failed' });
-      }
+      console.error('Sounding sync rejected:', result.error);
+      await markAll({ sync_status: 'failed' });
       return { success: 0, failed: soundings.length };
     }
     
   } catch (error) {
     console.error('Sounding sync error:', error);
-    // Mark as failed
-    for (const sounding of soundings) {
-      await db.sounding_logs.update(sounding.id, { sync_status: 'failed' });
-    }
+    await markAll({ sync_status: 'failed' });
     return { success: 0, failed: soundings.length };
   }
 }
@@ -171,3 +238,41 @@ async function syncBunkering(lambdaUrl, vesselId, operations) {
   }
 }
 
+
+/**
+ * Sync internal transfers to cloud; on failure they stay queued as 'failed'
+ */
+async function syncTransfers(lambdaUrl, vesselId, transfers) {
+  const markAll = async (changes) => {
+    for (const transfer of transfers) {
+      await db.transfer_operations.update(transfer.id, changes);
+    }
+  };
+  
+  try {
+    const normalizedUrl = normalizeLambdaUrl(lambdaUrl);
+    const strip = ({ id, sync_status, synced_at, ...record }) => record;
+    
+    const response = await fetch(`${normalizedUrl}/vessel/${vesselId}/sync-transfers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ transfer_operations: transfers.map(strip) })
+    });
+    
+    const result = await response.json();
+    
+    if (result.success) {
+      await markAll({ sync_status: 'synced', synced_at: new Date().toISOString() });
+      return { success: transfers.length, failed: 0 };
+    } else {
+      console.error('Transfer sync rejected:', result.error);
+      await markAll({ sync_status: 'failed' });
+      return { success: 0, failed: transfers.length };
+    }
+    
+  } catch (error) {
+    console.error('Transfer sync error:', error);
+    await markAll({ sync_status: 'failed' });
+    return { success: 0, failed: transfers.length };
+  }
+}
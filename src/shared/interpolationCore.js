@@ -0,0 +1,610 @@
+// BunkerWatch Interpolation Core
+// Storage-agnostic bilinear interpolation shared by the PWA and the Lambda.
+// Calibration data comes from an injected provider:
+//   getAxes(compartmentId)        -> { trimAxis, heelAxis }  ([{ value, column }], ascending)
+//   getMainTable(compartmentId)   -> { ullages, columns } or null
+//   getHeelTable(compartmentId)   -> { ullages, columns } or null
+//   getReadingOffsets(compartmentId) -> { ullage, sounding } in cm (optional)
+// Tables are built with buildTable(); ullages ascending, one array per column.
+//
+// CommonJS so the Lambda can require() it; copied next to the handler on deploy.
+// Keep to plain syntax (no object spread) so the PWA build adds no Babel helper imports.
+
+const OUT_OF_RANGE_POLICIES = {
+  REJECT: 'reject',
+  CLAMP: 'clamp',
+  EXTRAPOLATE: 'extrapolate'
+};
+
+const MAIN_EXTRA_COLUMNS = ['sound', 'lcg', 'tcg', 'vcg', 'iy'];
+
+// Result status and warning codes returned with every calculation
+const RESULT_STATUS = {
+  OK: 'ok',
+  WARNING: 'warning'
+};
+
+// Whether the heel correction is in final_volume
+const HEEL_STATUS = {
+  APPLIED: 'applied',
+  NOT_REQUIRED: 'not_required', // No heel entered, or heel 0
+  NOT_APPLIED: 'not_applied'    // Heel entered but the correction failed (see warnings)
+};
+
+const RESULT_WARNINGS = {
+  HEEL_DATA_MISSING: 'HEEL_DATA_MISSING',           // No heel correction table for the tank/vessel
+  HEEL_OUT_OF_RANGE: 'HEEL_OUT_OF_RANGE',           // Heel or ullage outside the heel table (reject policy)
+  HEEL_CORRECTION_FAILED: 'HEEL_CORRECTION_FAILED'  // Any other heel correction error
+};
+
+/**
+ * Error carrying a RESULT_WARNINGS code
+ */
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Linear interpolation between two points
+ */
+function linearInterpolate(x1, y1, x2, y2, x) {
+  const nx1 = parseFloat(x1);
+  const ny1 = parseFloat(y1);
+  const nx2 = parseFloat(x2);
+  const ny2 = parseFloat(y2);
+  const nx = parseFloat(x);
+
+  if (nx1 === nx2) return ny1;
+  return ny1 + (ny2 - ny1) * ((nx - nx1) / (nx2 - nx1));
+}
+
+/**
+ * Build a calibration table from rows: ullages ascending, one Float64Array per column.
+ * Missing values are stored as NaN.
+ * @param {Array<object>} rows - Calibration rows with ullage and the named columns
+ * @param {Array<string>} columnNames - Columns to keep
+ * @returns {object} { ullages, columns }
+ */
+function buildTable(rows, columnNames) {
+  const sorted = rows.slice().sort((a, b) => parseFloat(a.ullage) - parseFloat(b.ullage));
+
+  const ullages = new Float64Array(sorted.length);
+  const columns = {};
+  columnNames.forEach(name => {
+    columns[name] = new Float64Array(sorted.length);
+  });
+
+  sorted.forEach((row, i) => {
+    ullages[i] = parseFloat(row.ullage);
+    columnNames.forEach(name => {
+      columns[name][i] = parseFloat(row[name]);
+    });
+  });
+
+  return { ullages, columns };
+}
+
+// Length unit of a vessel's published tables (ullage and sound columns) -> factor to cm
+const TABLE_LENGTH_TO_CM = {
+  cm: 1,
+  mm: 0.1
+};
+
+/**
+ * Convert a table's ullages and sound column to cm, in place
+ * @param {object} table - From buildTable
+ * @param {string} unit - particulars.table_length_unit (defaults to cm)
+ * @returns {object} The same table
+ */
+function scaleTableLengths(table, unit) {
+  const factor = TABLE_LENGTH_TO_CM[unit || 'cm'];
+  if (factor === undefined) {
+    throw new Error(`Unknown calibration table length unit: ${unit}`);
+  }
+  if (factor === 1) return table;
+
+  const sound = table.columns.sound;
+  for (let i = 0; i < table.ullages.length; i++) {
+    table.ullages[i] *= factor;
+    if (sound) sound[i] *= factor;
+  }
+  return table;
+}
+
+/**
+ * Binary search an ascending array for the points bracketing a value
+ * @param {Float64Array|Array<number>} values - Ascending values
+ * @param {number} target - Value to find
+ * @returns {Array<number>|null} Index pair (equal indices = exact match), or null if out of range
+ */
+function findBracket(values, target) {
+  const n = values.length;
+  if (n === 0 || !(target >= values[0] && target <= values[n - 1])) {
+    return null;
+  }
+
+  let lo = 0;
+  let hi = n - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (values[mid] <= target) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+
+  if (values[lo] === target) return [lo, lo];
+  if (values[hi] === target) return [hi, hi];
+  return [lo, hi];
+}
+
+/**
+ * Apply the out-of-range policy to a value outside a table axis
+ * @param {string} axisName - 'trim', 'heel', 'ullage' or 'sounding' (used in flags and errors)
+ * @param {number} target - Requested value
+ * @param {Float64Array|Array<number>} values - Axis values, ascending
+ * @param {string} policy - OUT_OF_RANGE_POLICIES.*
+ * @param {Array} flags - Collects { axis, value, limit, action } for the result
+ * @param {string} unit - Unit for error messages
+ * @returns {Array<number>} Index pair to interpolate between (equal indices = clamped)
+ */
+function applyRangePolicy(axisName, target, values, policy, flags, unit) {
+  const label = axisName.charAt(0).toUpperCase() + axisName.slice(1);
+  if (isNaN(target)) {
+    throw new Error(`${label} is not a number`);
+  }
+
+  const below = target < values[0];
+  const last = values.length - 1;
+  const limit = below ? values[0] : values[last];
+
+  if (policy === OUT_OF_RANGE_POLICIES.CLAMP) {
+    flags.push({ axis: axisName, value: target, limit, action: 'clamped' });
+    return below ? [0, 0] : [last, last];
+  }
+
+  if (policy === OUT_OF_RANGE_POLICIES.EXTRAPOLATE && values.length >= 2) {
+    flags.push({ axis: axisName, value: target, limit, action: 'extrapolated' });
+    return below ? [0, 1] : [last - 1, last];
+  }
+
+  if (below) {
+    throw new Error(`${label} ${target}${unit} is below minimum ${limit}${unit}`);
+  } else {
+    throw new Error(`${label} ${target}${unit} is above maximum ${limit}${unit}`);
+  }
+}
+
+/**
+ * Find the bracketing indices for a value, applying the out-of-range policy
+ * when it falls outside the table
+ * @returns {Array<number>} Index pair (equal indices = exact or clamped)
+ */
+function findBounds(axisName, target, values, policy, flags, unit) {
+  return findBracket(values, target) || applyRangePolicy(axisName, target, values, policy, flags, unit);
+}
+
+/**
+ * Value of a calibration column at the target, interpolating between two rows
+ * Missing cells count as 0
+ */
+function interpolateRows(ullages, column, bounds, target) {
+  return linearInterpolate(
+    ullages[bounds[0]], column[bounds[0]] || 0,
+    ullages[bounds[1]], column[bounds[1]] || 0,
+    target
+  );
+}
+
+/**
+ * Value at one table row, interpolated across the trim or heel axis
+ * @param {object} columns - Table columns by name
+ * @param {Array} axis - Vessel axis [{ value, column }]
+ * @param {Array<number>} axisBounds - Index pair into the axis
+ * @param {number} row - Row index
+ * @param {number} target - Trim or heel value
+ */
+function interpolateAxis(columns, axis, axisBounds, row, target) {
+  const lower = axis[axisBounds[0]];
+  const upper = axis[axisBounds[1]];
+  const lowerColumn = columns[lower.column] || [];
+  const upperColumn = columns[upper.column] || [];
+  return linearInterpolate(
+    lower.value, lowerColumn[row] || 0,
+    upper.value, upperColumn[row] || 0,
+    target
+  );
+}
+
+/**
+ * Describe which interpolation was used, from the index pairs
+ */
+function describeInterpolation(table, axis, ullageBounds, axisBounds, axisName) {
+  const ullageExact = ullageBounds[0] === ullageBounds[1];
+  const axisExact = axisBounds[0] === axisBounds[1];
+  const bounds = {
+    ullage: { lower: table.ullages[ullageBounds[0]], upper: table.ullages[ullageBounds[1]] }
+  };
+  bounds[axisName] = { lower: axis[axisBounds[0]].value, upper: axis[axisBounds[1]].value };
+
+  let type = 'bilinear';
+  if (ullageExact && axisExact) type = 'none';
+  else if (axisExact) type = 'ullage_only';
+  else if (ullageExact) type = `${axisName}_only`;
+
+  return { type, bounds };
+}
+
+/**
+ * Interpolation weight of the upper point (0 = lower, 1 = upper; outside 0-1 when extrapolating)
+ */
+function upperWeight(x1, x2, x) {
+  return x1 === x2 ? 0 : (x - x1) / (x2 - x1);
+}
+
+/**
+ * Record the rows, columns, weights and intermediate values behind one bilinear step
+ * @param {object} table - Calibration table
+ * @param {Array} axis - Trim or heel axis [{ value, column }]
+ * @param {Array<number>} ullageBounds - Index pair into the table
+ * @param {Array<number>} axisBounds - Index pair into the axis
+ * @param {number} ullage - Target ullage
+ * @param {number} axisValue - Target trim or heel
+ * @param {string} axisName - 'trim' or 'heel'
+ * @returns {object} Trace (rows hold the four table cells used)
+ */
+function buildTrace(table, axis, ullageBounds, axisBounds, ullage, axisValue, axisName) {
+  const lowerPoint = axis[axisBounds[0]];
+  const upperPoint = axis[axisBounds[1]];
+  const cell = (column, row) => {
+    const value = (table.columns[column] || [])[row];
+    return isNaN(value) ? null : value;
+  };
+
+  const trace = {
+    ullage: {
+      target: ullage,
+      lower: table.ullages[ullageBounds[0]],
+      upper: table.ullages[ullageBounds[1]],
+      weight: upperWeight(table.ullages[ullageBounds[0]], table.ullages[ullageBounds[1]], ullage)
+    },
+    rows: ullageBounds.map(row => ({
+      ullage: table.ullages[row],
+      lower_cell: cell(lowerPoint.column, row),
+      upper_cell: cell(upperPoint.column, row)
+    }))
+  };
+  trace[axisName] = {
+    target: axisValue,
+    lower: { value: lowerPoint.value, column: lowerPoint.column },
+    upper: { value: upperPoint.value, column: upperPoint.column },
+    weight: upperWeight(lowerPoint.value, upperPoint.value, axisValue)
+  };
+  return trace;
+}
+
+/**
+ * Calculate base volume with trim interpolation
+ * @param {object} provider - Calibration provider
+ * @param {boolean} withTrace - Also return the interpolation trace
+ * @returns {Promise<object>} { volume, sound, lcg, tcg, vcg, iy, interpolation, trace }
+ */
+async function calculateBaseVolume(provider, compartmentId, targetUllage, targetTrim, policy, flags, withTrace) {
+  const { trimAxis } = await provider.getAxes(compartmentId);
+  const table = await provider.getMainTable(compartmentId);
+
+  if (!table || table.ullages.length === 0) {
+    throw new Error('No calibration data found for this compartment');
+  }
+
+  const trim = parseFloat(targetTrim);
+  const ullage = parseFloat(targetUllage);
+  const trimBounds = findBounds('trim', trim, trimAxis.map(t => t.value), policy, flags, 'm');
+  const ullageBounds = findBounds('ullage', ullage, table.ullages, policy, flags, 'cm');
+  const lower = ullageBounds[0];
+  const upper = ullageBounds[1];
+  const { ullages, columns } = table;
+
+  // Interpolate trim at the bounding ullage rows, then along ullage
+  const volumeAtLowerUllage = interpolateAxis(columns, trimAxis, trimBounds, lower, trim);
+  const volumeAtUpperUllage = interpolateAxis(columns, trimAxis, trimBounds, upper, trim);
+  const volume = linearInterpolate(
+    ullages[lower], volumeAtLowerUllage,
+    ullages[upper], volumeAtUpperUllage,
+    ullage
+  );
+
+  let trace = null;
+  if (withTrace) {
+    trace = buildTrace(table, trimAxis, ullageBounds, trimBounds, ullage, trim, 'trim');
+    trace.volume_at_lower_ullage = volumeAtLowerUllage;
+    trace.volume_at_upper_ullage = volumeAtUpperUllage;
+    trace.volume = volume;
+  }
+
+  return {
+    volume,
+    sound: lower === upper
+      ? columns.sound[lower] || null
+      : Math.round(interpolateRows(ullages, columns.sound, ullageBounds, ullage)) || null,
+    lcg: interpolateRows(ullages, columns.lcg, ullageBounds, ullage),
+    tcg: interpolateRows(ullages, columns.tcg, ullageBounds, ullage),
+    vcg: interpolateRows(ullages, columns.vcg, ullageBounds, ullage),
+    iy: interpolateRows(ullages, columns.iy, ullageBounds, ullage),
+    interpolation: describeInterpolation(table, trimAxis, ullageBounds, trimBounds, 'trim'),
+    trace
+  };
+}
+
+/**
+ * Calculate heel correction
+ * @param {object} provider - Calibration provider
+ * @param {boolean} withTrace - Also return the interpolation trace
+ * @returns {Promise<object>} { heel_correction, interpolation, trace }
+ */
+async function calculateHeelCorrection(provider, compartmentId, targetUllage, targetHeel, policy, flags, withTrace) {
+  const { heelAxis } = await provider.getAxes(compartmentId);
+  const table = await provider.getHeelTable(compartmentId);
+
+  if (!table || table.ullages.length === 0 || heelAxis.length === 0) {
+    throw codedError(RESULT_WARNINGS.HEEL_DATA_MISSING, 'No heel correction data found');
+  }
+
+  const heel = parseFloat(targetHeel);
+  const ullage = parseFloat(targetUllage);
+  let heelBounds;
+  let ullageBounds;
+  try {
+    heelBounds = findBounds('heel', heel, heelAxis.map(h => h.value), policy, flags, '°');
+    ullageBounds = findBounds('ullage', ullage, table.ullages, policy, flags, 'cm');
+  } catch (error) {
+    throw codedError(RESULT_WARNINGS.HEEL_OUT_OF_RANGE, `Heel table: ${error.message}`);
+  }
+
+  const correctionAtLowerUllage = interpolateAxis(table.columns, heelAxis, heelBounds, ullageBounds[0], heel);
+  const correctionAtUpperUllage = interpolateAxis(table.columns, heelAxis, heelBounds, ullageBounds[1], heel);
+
+  const heelCorrection = linearInterpolate(
+    table.ullages[ullageBounds[0]], correctionAtLowerUllage,
+    table.ullages[ullageBounds[1]], correctionAtUpperUllage,
+    ullage
+  );
+
+  let trace = null;
+  if (withTrace) {
+    trace = buildTrace(table, heelAxis, ullageBounds, heelBounds, ullage, heel, 'heel');
+    trace.correction_at_lower_ullage = correctionAtLowerUllage;
+    trace.correction_at_upper_ullage = correctionAtUpperUllage;
+    trace.heel_correction = heelCorrection;
+  }
+
+  return {
+    heel_correction: heelCorrection,
+    interpolation: describeInterpolation(table, heelAxis, ullageBounds, heelBounds, 'heel'),
+    trace
+  };
+}
+
+/**
+ * Sound -> ullage lookup for a main table, sorted by sound
+ * Built on first use and kept on the table, so cached tables only sort once.
+ * @param {object} table - Main sounding table
+ * @returns {object} { sounds, ullages } as Float64Arrays, sounds ascending
+ */
+function getSoundIndex(table) {
+  if (!table.soundIndex) {
+    const points = [];
+    table.columns.sound.forEach((sound, i) => {
+      if (!isNaN(sound)) {
+        points.push({ sound, ullage: table.ullages[i] });
+      }
+    });
+    points.sort((a, b) => a.sound - b.sound);
+    table.soundIndex = {
+      sounds: Float64Array.from(points, p => p.sound),
+      ullages: Float64Array.from(points, p => p.ullage)
+    };
+  }
+  return table.soundIndex;
+}
+
+/**
+ * Convert a sounding (innage) to ullage by reverse interpolation on the sound column
+ * @param {object} provider - Calibration provider
+ * @param {object} trace - Optional object to receive the bounding sound/ullage points
+ * @returns {Promise<number>} Ullage in cm
+ */
+async function soundingToUllage(provider, compartmentId, sound, policy, flags, trace) {
+  const targetSound = parseFloat(sound);
+  const table = await provider.getMainTable(compartmentId);
+  const index = table ? getSoundIndex(table) : null;
+
+  if (!index || index.sounds.length === 0) {
+    throw new Error('No sounding data found for this compartment');
+  }
+
+  const bounds = findBounds(
+    'sounding', targetSound, index.sounds,
+    policy || OUT_OF_RANGE_POLICIES.REJECT, flags || [], 'cm'
+  );
+
+  const ullage = linearInterpolate(
+    index.sounds[bounds[0]], index.ullages[bounds[0]],
+    index.sounds[bounds[1]], index.ullages[bounds[1]],
+    targetSound
+  );
+
+  if (trace) {
+    trace.sound = targetSound;
+    trace.lower = { sound: index.sounds[bounds[0]], ullage: index.ullages[bounds[0]] };
+    trace.upper = { sound: index.sounds[bounds[1]], ullage: index.ullages[bounds[1]] };
+    trace.weight = upperWeight(index.sounds[bounds[0]], index.sounds[bounds[1]], targetSound);
+    trace.ullage = ullage;
+  }
+
+  return ullage;
+}
+
+/**
+ * Reference corrections for a compartment's tape readings (cm)
+ * ullage: height of the point the crew dips from above the table's reference point
+ *   (raised sounding pipe, deck stool); subtracted from raw ullages.
+ * sounding: height of the tape zero (striker plate, pipe end) above the table's
+ *   datum; added to raw soundings.
+ */
+async function getReadingOffsets(provider, compartmentId) {
+  const offsets = provider.getReadingOffsets ? await provider.getReadingOffsets(compartmentId) : null;
+  return {
+    ullage: (offsets && parseFloat(offsets.ullage)) || 0,
+    sounding: (offsets && parseFloat(offsets.sounding)) || 0
+  };
+}
+
+/**
+ * Convert a raw tape reading to the calibration table's reference
+ * @param {object} provider - Calibration provider
+ * @param {number} compartmentId - Compartment ID
+ * @param {number} reading - Raw ullage or sounding in cm
+ * @param {string} inputMode - 'ullage' or 'sounding'
+ * @returns {Promise<object>} { raw, offset, corrected } in cm (offset as applied, signed)
+ */
+async function correctReading(provider, compartmentId, reading, inputMode) {
+  const raw = parseFloat(reading);
+  const offsets = await getReadingOffsets(provider, compartmentId);
+  const offset = inputMode === 'sounding' ? offsets.sounding : 0 - offsets.ullage;
+  return { raw, offset, corrected: raw + offset };
+}
+
+/**
+ * Full sounding calculation: base volume plus heel correction
+ * Throws if the base volume can't be calculated; a failed heel correction
+ * is returned with a correction of 0, heel_status 'not_applied', status 'warning'
+ * and a coded entry in warnings (heel_error keeps the message).
+ * @param {object} provider - Calibration provider
+ * @param {number} compartmentId - Compartment ID
+ * @param {number} ullage - Ullage in cm
+ * @param {number} trim - Trim in meters
+ * @param {number|null} heel - Heel in degrees (optional)
+ * @param {object} options - { outOfRangePolicy (defaults to reject), trace (include the explain trace),
+ *   tolerances (± ullage/trim/heel for volume_band) }
+ * @returns {Promise<object>} Calculation results
+ */
+async function calculateSounding(provider, compartmentId, ullage, trim, heel, options) {
+  const policy = (options && options.outOfRangePolicy) || OUT_OF_RANGE_POLICIES.REJECT;
+  const withTrace = !!(options && options.trace);
+  const rangeFlags = [];
+
+  const baseData = await calculateBaseVolume(provider, compartmentId, ullage, trim, policy, rangeFlags, withTrace);
+
+  let heelData = null;
+  let heelError = null;
+  const warnings = [];
+  if (heel !== null && heel !== undefined && heel !== '' && parseFloat(heel) !== 0) {
+    // Heel flags are only kept if the correction is applied
+    const heelFlags = [];
+    try {
+      heelData = await calculateHeelCorrection(provider, compartmentId, ullage, heel, policy, heelFlags, withTrace);
+      heelFlags.forEach(flag => rangeFlags.push(flag));
+    } catch (error) {
+      heelError = error.message;
+      warnings.push({ code: error.code || RESULT_WARNINGS.HEEL_CORRECTION_FAILED, message: error.message });
+    }
+  }
+
+  const heelCorrection = heelData ? heelData.heel_correction : 0;
+
+  const volumeBand = options && options.tolerances
+    ? await calculateVolumeBand(provider, compartmentId, ullage, trim, heel, options.tolerances, policy)
+    : null;
+
+  return {
+    base_volume: baseData.volume,
+    heel_correction: heelCorrection,
+    final_volume: baseData.volume + heelCorrection,
+    sound: baseData.sound,
+    ullage: parseFloat(ullage),
+    lcg: baseData.lcg,
+    tcg: baseData.tcg,
+    vcg: baseData.vcg,
+    iy: baseData.iy,
+    main_interpolation: baseData.interpolation,
+    heel_interpolation: heelData ? heelData.interpolation : null,
+    heel_error: heelError,
+    heel_status: heelData ? HEEL_STATUS.APPLIED : (heelError ? HEEL_STATUS.NOT_APPLIED : HEEL_STATUS.NOT_REQUIRED),
+    status: warnings.length > 0 ? RESULT_STATUS.WARNING : RESULT_STATUS.OK,
+    warnings,
+    out_of_range: rangeFlags.length > 0,
+    range_flags: rangeFlags,
+    range_policy: policy,
+    volume_band: volumeBand,
+    trace: withTrace ? {
+      main: baseData.trace,
+      heel: heelData ? heelData.trace : null,
+      heel_error: heelError
+    } : null
+  };
+}
+
+/**
+ * Observed-volume band for measurement tolerances
+ * Evaluates the same tables at reading - δ, reading and reading + δ on each of
+ * ullage, trim and heel (every combination, since trim/heel effects are not
+ * monotonic). Heel is only varied when one was entered. Points pushed past the
+ * table are clamped under the reject policy rather than failing the band.
+ * @param {object} provider - Calibration provider
+ * @param {number} compartmentId - Compartment ID
+ * @param {number} ullage - Ullage in cm
+ * @param {number} trim - Trim in meters
+ * @param {number|null} heel - Heel in degrees (optional)
+ * @param {object} tolerances - { ullage (cm), trim (m), heel (°) } as ± values
+ * @param {string} policy - Out-of-range policy of the nominal calculation
+ * @returns {Promise<object>} { min, max } in m³
+ */
+async function calculateVolumeBand(provider, compartmentId, ullage, trim, heel, tolerances, policy) {
+  const bandPolicy = policy === OUT_OF_RANGE_POLICIES.REJECT ? OUT_OF_RANGE_POLICIES.CLAMP : policy;
+  const withTolerance = (value, tolerance) => {
+    const delta = Math.abs(parseFloat(tolerance)) || 0;
+    return delta > 0 ? [value - delta, value, value + delta] : [value];
+  };
+  const hasHeel = heel !== null && heel !== undefined && heel !== '';
+
+  const ullages = withTolerance(parseFloat(ullage), tolerances.ullage);
+  const trims = withTolerance(parseFloat(trim), tolerances.trim);
+  const heels = hasHeel ? withTolerance(parseFloat(heel), tolerances.heel) : [null];
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const u of ullages) {
+    for (const t of trims) {
+      for (const h of heels) {
+        const point = await calculateSounding(provider, compartmentId, u, t, h, { outOfRangePolicy: bandPolicy });
+        min = Math.min(min, point.final_volume);
+        max = Math.max(max, point.final_volume);
+      }
+    }
+  }
+  return { min, max };
+}
+
+module.exports = {
+  OUT_OF_RANGE_POLICIES,
+  MAIN_EXTRA_COLUMNS,
+  RESULT_STATUS,
+  HEEL_STATUS,
+  RESULT_WARNINGS,
+  linearInterpolate,
+  buildTable,
+  scaleTableLengths,
+  findBracket,
+  applyRangePolicy,
+  calculateBaseVolume,
+  calculateHeelCorrection,
+  soundingToUllage,
+  getReadingOffsets,
+  correctReading,
+  calculateSounding,
+  calculateVolumeBand
+};
@@ -0,0 +1,164 @@
+// BunkerWatch Interpolation Core tests
+// A two-row, two-column table small enough to check the bilinear arithmetic by hand.
+
+const {
+  OUT_OF_RANGE_POLICIES,
+  RESULT_STATUS,
+  RESULT_WARNINGS,
+  HEEL_STATUS,
+  buildTable,
+  findBracket,
+  calculateSounding,
+  soundingToUllage
+} = require('./interpolationCore');
+
+// Volume (m³) at ullage 100/200 cm for trim 0 m and 1 m; heel correction at -2°/+2°
+const MAIN_ROWS = [
+  { ullage: 200, trim_0: 600, trim_1: 570, sound: 200, lcg: 10, tcg: 0, vcg: 1, iy: 50 },
+  { ullage: 100, trim_0: 800, trim_1: 790, sound: 300, lcg: 12, tcg: 0, vcg: 2, iy: 50 }
+];
+const HEEL_ROWS = [
+  { ullage: 100, heel_m2: -4, heel_2: 4 },
+  { ullage: 200, heel_m2: -2, heel_2: 2 }
+];
+
+const provider = {
+  getAxes: async () => ({
+    trimAxis: [{ value: 0, column: 'trim_0' }, { value: 1, column: 'trim_1' }],
+    heelAxis: [{ value: -2, column: 'heel_m2' }, { value: 2, column: 'heel_2' }]
+  }),
+  getMainTable: async () => buildTable(MAIN_ROWS, ['trim_0', 'trim_1', 'sound', 'lcg', 'tcg', 'vcg', 'iy']),
+  getHeelTable: async () => buildTable(HEEL_ROWS, ['heel_m2', 'heel_2'])
+};
+
+describe('findBracket', () => {
+  test.each([
+    [150, [0, 1]],
+    [100, [0, 0]],
+    [200, [1, 1]],
+    [50, null],
+    [250, null]
+  ])('ullage %f → %p', (target, expected) => {
+    expect(findBracket(Float64Array.from([100, 200]), target)).toEqual(expected);
+  });
+});
+
+describe('calculateSounding: bilinear trim interpolation', () => {
+  test.each([
+    // ullage, trim, volume, interpolation type
+    [100, 0, 800, 'none'],
+    [200, 1, 570, 'none'],
+    [150, 0, 700, 'ullage_only'],
+    [100, 0.5, 795, 'trim_only'],
+    [150, 0.5, 690, 'bilinear'],
+    [125, 0.25, 746.25, 'bilinear']
+  ])('ullage %f cm, trim %f m → %f m³ (%s)', async (ullage, trim, volume, type) => {
+    const result = await calculateSounding(provider, 1, ullage, trim, null);
+    expect(result.final_volume).toBeCloseTo(volume, 9);
+    expect(result.main_interpolation.type).toBe(type);
+    expect(result.heel_status).toBe(HEEL_STATUS.NOT_REQUIRED);
+    expect(result.out_of_range).toBe(false);
+  });
+
+  test('interpolates the sound and centroid columns along ullage', async () => {
+    const result = await calculateSounding(provider, 1, 150, 0.5, null);
+    expect(result.sound).toBe(250);
+    expect(result.lcg).toBeCloseTo(11, 9);
+  });
+});
+
+describe('calculateSounding: heel correction', () => {
+  test.each([
+    [150, 1, 691.5],
+    [150, -2, 687],
+    [100, 2, 799]
+  ])('ullage %f cm, heel %f° → %f m³', async (ullage, heel, volume) => {
+    const result = await calculateSounding(provider, 1, ullage, 0.5, heel);
+    expect(result.final_volume).toBeCloseTo(volume, 9);
+    expect(result.heel_status).toBe(HEEL_STATUS.APPLIED);
+  });
+
+  test('heel 0 needs no correction', async () => {
+    const result = await calculateSounding(provider, 1, 150, 0.5, 0);
+    expect(result.heel_status).toBe(HEEL_STATUS.NOT_REQUIRED);
+    expect(result.final_volume).toBeCloseTo(690, 9);
+  });
+
+  test('a missing heel table is a warning, not a failure', async () => {
+    const noHeel = { ...provider, getHeelTable: async () => null };
+    const result = await calculateSounding(noHeel, 1, 150, 0.5, 1);
+    expect(result.final_volume).toBeCloseTo(690, 9);
+    expect(result.heel_status).toBe(HEEL_STATUS.NOT_APPLIED);
+    expect(result.status).toBe(RESULT_STATUS.WARNING);
+    expect(result.warnings[0].code).toBe(RESULT_WARNINGS.HEEL_DATA_MISSING);
+  });
+});
+
+describe('calculateSounding: out-of-range policies', () => {
+  test.each([
+    // Trim above the table
+    [OUT_OF_RANGE_POLICIES.CLAMP, 150, 1.5, 680, { axis: 'trim', value: 1.5, limit: 1, action: 'clamped' }],
+    [OUT_OF_RANGE_POLICIES.EXTRAPOLATE, 150, 1.5, 670, { axis: 'trim', value: 1.5, limit: 1, action: 'extrapolated' }],
+    // Trim below the table
+    [OUT_OF_RANGE_POLICIES.CLAMP, 150, -1, 700, { axis: 'trim', value: -1, limit: 0, action: 'clamped' }],
+    [OUT_OF_RANGE_POLICIES.EXTRAPOLATE, 150, -1, 720, { axis: 'trim', value: -1, limit: 0, action: 'extrapolated' }],
+    // Ullage past the bottom row
+    [OUT_OF_RANGE_POLICIES.CLAMP, 250, 0, 600, { axis: 'ullage', value: 250, limit: 200, action: 'clamped' }],
+    [OUT_OF_RANGE_POLICIES.EXTRAPOLATE, 250, 0, 500, { axis: 'ullage', value: 250, limit: 200, action: 'extrapolated' }]
+  ])('%s: ullage %f cm, trim %f m → %f m³', async (policy, ullage, trim, volume, flag) => {
+    const result = await calculateSounding(provider, 1, ullage, trim, null, { outOfRangePolicy: policy });
+    expect(result.final_volume).toBeCloseTo(volume, 9);
+    expect(result.out_of_range).toBe(true);
+    expect(result.range_flags).toEqual([flag]);
+    expect(result.range_policy).toBe(policy);
+  });
+
+  test.each([
+    [150, 1.5, /Trim 1.5m is above maximum 1m/],
+    [150, -1, /Trim -1m is below minimum 0m/],
+    [250, 0, /Ullage 250cm is above maximum 200cm/],
+    [50, 0, /Ullage 50cm is below minimum 100cm/]
+  ])('reject (default): ullage %f cm, trim %f m throws', async (ullage, trim, message) => {
+    await expect(calculateSounding(provider, 1, ullage, trim, null)).rejects.toThrow(message);
+  });
+
+  test('heel out of range under reject leaves the base volume with a warning', async () => {
+    const result = await calculateSounding(provider, 1, 150, 0.5, 3);
+    expect(result.final_volume).toBeCloseTo(690, 9);
+    expect(result.heel_status).toBe(HEEL_STATUS.NOT_APPLIED);
+    expect(result.warnings[0].code).toBe(RESULT_WARNINGS.HEEL_OUT_OF_RANGE);
+    expect(result.range_flags).toEqual([]);
+  });
+
+  test('heel out of range under clamp is corrected at the table limit', async () => {
+    const result = await calculateSounding(provider, 1, 150, 0.5, 3, {
+      outOfRangePolicy: OUT_OF_RANGE_POLICIES.CLAMP
+    });
+    expect(result.final_volume).toBeCloseTo(693, 9);
+    expect(result.range_flags).toEqual([{ axis: 'heel', value: 3, limit: 2, action: 'clamped' }]);
+  });
+});
+
+describe('calculateSounding: volume band', () => {
+  test('brackets the nominal volume and clamps at the table edge', async () => {
+    const result = await calculateSounding(provider, 1, 200, 0.5, null, {
+      tolerances: { ullage: 1, trim: 0.1 }
+    });
+    expect(result.volume_band.min).toBeLessThan(result.final_volume);
+    expect(result.volume_band.max).toBeGreaterThan(result.final_volume);
+  });
+});
+
+describe('soundingToUllage', () => {
+  test.each([
+    [250, 150],
+    [300, 100],
+    [200, 200]
+  ])('sounding %f cm → ullage %f cm', async (sound, ullage) => {
+    expect(await soundingToUllage(provider, 1, sound)).toBeCloseTo(ullage, 9);
+  });
+
+  test('rejects a sounding outside the table', async () => {
+    await expect(soundingToUllage(provider, 1, 350)).rejects.toThrow(/Sounding 350cm is above maximum 300cm/);
+  });
+});
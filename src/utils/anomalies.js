@@ -0,0 +1,121 @@
+// BunkerWatch Anomaly Detection
+// Compares each tank's new figure with its previous submitted session: a rise with no
+// bunkering/transfer logged for the tank, or a fall much faster than its usual rate,
+// is flagged (leak, mis-dip or pilferage) and needs a remark before submitting.
+
+import { db, getTransferOperations } from '../db/database';
+import { ANOMALY_CODES, DEFAULT_ANOMALY_THRESHOLDS } from './constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the submitted soundings and tank events anomaly checks compare against
+ * @returns {Promise<object>} { logsByTank: Map(compartment_id -> logs ascending), events: [{ compartment_id, at, type }] }
+ */
+export async function loadAnomalyHistory(vesselId) {
+  const logs = await db.sounding_logs.where('vessel_id').equals(vesselId).toArray();
+  const logsByTank = new Map();
+  logs
+    .filter(log => !isNaN(parseFloat(log.calculated_mt)))
+    .sort((a, b) => a.recorded_at.localeCompare(b.recorded_at))
+    .forEach(log => {
+      const key = parseInt(log.compartment_id);
+      if (!logsByTank.has(key)) {
+        logsByTank.set(key, []);
+      }
+      logsByTank.get(key).push(log);
+    });
+
+  const operations = await db.bunkering_operations.where('vessel_id').equals(vesselId).toArray();
+  const operationIds = new Set(operations.map(op => op.client_id));
+  const readings = await db.bunkering_readings.toArray();
+  const events = readings
+    .filter(reading => operationIds.has(reading.bunkering_client_id))
+    .map(reading => ({ compartment_id: parseInt(reading.compartment_id), at: reading.timestamp, type: 'bunker' }));
+
+  const transfers = await getTransferOperations(vesselId);
+  transfers.forEach(transfer => {
+    [transfer.source, transfer.destination].forEach(side => {
+      events.push({ compartment_id: parseInt(side.compartment_id), at: transfer.transferred_at, type: 'transfer' });
+    });
+  });
+
+  return { logsByTank, events };
+}
+
+const hasEventBetween = (events, compartmentId, from, to) =>
+  events.some(e => e.compartment_id === compartmentId && e.at > from && e.at <= to);
+
+/**
+ * Usual fall rate of a tank (mT/day): mean of its recent session-to-session falls
+ * with no bunkering/transfer in between
+ */
+function usualFallRate(logs, events, compartmentId, periods) {
+  const rates = [];
+  for (let i = logs.length - 1; i > 0 && rates.length < periods; i--) {
+    const days = (new Date(logs[i].recorded_at) - new Date(logs[i - 1].recorded_at)) / DAY_MS;
+    const fall = parseFloat(logs[i - 1].calculated_mt) - parseFloat(logs[i].calculated_mt);
+    if (days > 0 && fall > 0 && !hasEventBetween(events, compartmentId, logs[i - 1].recorded_at, logs[i].recorded_at)) {
+      rates.push(fall / days);
+    }
+  }
+  return rates.length > 0 ? rates.reduce((sum, r) => sum + r, 0) / rates.length : null;
+}
+
+/**
+ * Check one tank's new figure against its previous submitted session
+ * @param {object} history - From loadAnomalyHistory
+ * @param {number} compartmentId - Compartment ID
+ * @param {number} mt - New figure (mT)
+ * @param {object} thresholds - Vessel anomalyThresholds (strings allowed)
+ * @param {string} at - When the new figure applies (ISO, defaults to now)
+ * @returns {object|null} { code, message, change_mt, previous: { recorded_at, report_date, mt }, usual_rate } or null
+ */
+export function detectTankAnomaly(history, compartmentId, mt, thresholds, at = new Date().toISOString()) {
+  const id = parseInt(compartmentId);
+  const logs = (history.logsByTank.get(id) || []).filter(log => log.recorded_at < at);
+  if (logs.length === 0 || mt === null || mt === undefined || isNaN(mt)) {
+    return null;
+  }
+
+  const limit = (key) => {
+    const value = parseFloat(thresholds?.[key]);
+    return isNaN(value) ? DEFAULT_ANOMALY_THRESHOLDS[key] : value;
+  };
+  const previous = logs[logs.length - 1];
+  const previousMt = parseFloat(previous.calculated_mt);
+  const change = mt - previousMt;
+  if (Math.abs(change) < limit('minChangeMt')) {
+    return null;
+  }
+
+  const base = {
+    change_mt: change,
+    previous: { recorded_at: previous.recorded_at, report_date: previous.report_date, mt: previousMt },
+    usual_rate: null
+  };
+  const movedSince = hasEventBetween(history.events, id, previous.recorded_at, at);
+
+  if (change > limit('riseMt') && !movedSince) {
+    return {
+      ...base,
+      code: ANOMALY_CODES.UNEXPECTED_RISE,
+      message: `Rose ${change.toFixed(2)} mT since ${previous.report_date} with no bunkering or transfer logged`
+    };
+  }
+
+  if (change < 0 && !movedSince) {
+    const days = (new Date(at) - new Date(previous.recorded_at)) / DAY_MS;
+    const usualRate = usualFallRate(logs, history.events, id, limit('historyPeriods'));
+    if (days > 0 && usualRate !== null && -change / days > usualRate * limit('fallFactor')) {
+      return {
+        ...base,
+        usual_rate: usualRate,
+        code: ANOMALY_CODES.FAST_FALL,
+        message: `Fell ${(-change).toFixed(2)} mT since ${previous.report_date} (${(-change / days).toFixed(2)} mT/day vs usual ${usualRate.toFixed(2)})`
+      };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,100 @@
+// BunkerWatch Anomaly Detection tests
+
+import { detectTankAnomaly } from './anomalies';
+import { ANOMALY_CODES } from './constants';
+
+jest.mock('../db/database', () => ({ db: {}, getTransferOperations: jest.fn() }));
+
+const noon = (day) => `2026-10-0${day}T12:00:00.000Z`;
+const log = (day, mt) => ({ compartment_id: 1, recorded_at: noon(day), report_date: `2026-10-0${day}`, calculated_mt: mt });
+
+// Tank 1 falls 10 mT/day over three noon sessions
+const history = (events = [], logs = [log(1, 500), log(2, 490), log(3, 480)]) => ({
+  logsByTank: new Map([[1, logs]]),
+  events
+});
+
+const AT = noon(4);
+
+describe('detectTankAnomaly: rises', () => {
+  test.each([
+    ['no event', [], ANOMALY_CODES.UNEXPECTED_RISE],
+    ['a bunker in the window', [{ compartment_id: 1, at: '2026-10-03T18:00:00.000Z', type: 'bunker' }], null],
+    ['a transfer in the window', [{ compartment_id: 1, at: AT, type: 'transfer' }], null],
+    ['a bunker before the previous session', [{ compartment_id: 1, at: noon(3), type: 'bunker' }], ANOMALY_CODES.UNEXPECTED_RISE],
+    ['a bunker into another tank', [{ compartment_id: 2, at: '2026-10-03T18:00:00.000Z', type: 'bunker' }], ANOMALY_CODES.UNEXPECTED_RISE]
+  ])('480 → 485 mT with %s → %p', (label, events, code) => {
+    const anomaly = detectTankAnomaly(history(events), 1, 485, {}, AT);
+    expect(anomaly?.code ?? null).toBe(code);
+  });
+
+  test('reports the change against the previous session', () => {
+    expect(detectTankAnomaly(history(), '1', 485, {}, AT)).toMatchObject({
+      change_mt: 5,
+      previous: { recorded_at: noon(3), report_date: '2026-10-03', mt: 480 },
+      usual_rate: null
+    });
+  });
+});
+
+describe('detectTankAnomaly: falls against the usual rate', () => {
+  // Usual rate 10 mT/day; default fallFactor 2 flags more than 20 mT in the day
+  test.each([
+    [470, null],
+    [461, null],
+    [460, null],
+    [455, ANOMALY_CODES.FAST_FALL]
+  ])('480 → %f mT in one day → %p', (mt, code) => {
+    const anomaly = detectTankAnomaly(history(), 1, mt, {}, AT);
+    expect(anomaly?.code ?? null).toBe(code);
+  });
+
+  test('the usual rate leaves out periods with a bunkering or transfer', () => {
+    const logs = [log(1, 500), log(2, 490), log(3, 470)];
+    const transfer = [{ compartment_id: 1, at: '2026-10-02T18:00:00.000Z', type: 'transfer' }];
+    // Usual rate 15 mT/day counting both falls, 10 mT/day without the transfer period
+    expect(detectTankAnomaly(history([], logs), 1, 445, {}, AT)).toBeNull();
+    expect(detectTankAnomaly(history(transfer, logs), 1, 445, {}, AT)).toMatchObject({
+      code: ANOMALY_CODES.FAST_FALL,
+      usual_rate: 10
+    });
+  });
+
+  test('no usual rate yet, no fall flagged', () => {
+    expect(detectTankAnomaly(history([], [log(3, 480)]), 1, 400, {}, AT)).toBeNull();
+  });
+});
+
+describe('detectTankAnomaly: thresholds', () => {
+  test.each([
+    // Changes under minChangeMt are never flagged
+    [{}, 480.5, null],
+    [{}, 479.5, null],
+    [{ minChangeMt: 10 }, 485, null],
+    // Thresholds as entered in Settings (strings)
+    [{ riseMt: '10' }, 485, null],
+    [{ riseMt: '10' }, 491, ANOMALY_CODES.UNEXPECTED_RISE],
+    [{ fallFactor: '3' }, 455, null],
+    [{ fallFactor: '3' }, 445, ANOMALY_CODES.FAST_FALL],
+    [{ minChangeMt: '30' }, 455, null],
+    // Blank or invalid values fall back to the defaults
+    [{ riseMt: '', fallFactor: 'abc' }, 485, ANOMALY_CODES.UNEXPECTED_RISE],
+    [{ riseMt: '', fallFactor: 'abc' }, 455, ANOMALY_CODES.FAST_FALL]
+  ])('%p: 480 → %f mT → %p', (thresholds, mt, code) => {
+    const anomaly = detectTankAnomaly(history(), 1, mt, thresholds, AT);
+    expect(anomaly?.code ?? null).toBe(code);
+  });
+});
+
+describe('detectTankAnomaly: no previous session', () => {
+  test.each([
+    ['a tank never sounded', 2, AT],
+    ['a figure before the first session', 1, '2026-10-01T06:00:00.000Z']
+  ])('%s → null', (label, compartmentId, at) => {
+    expect(detectTankAnomaly(history(), compartmentId, 900, {}, at)).toBeNull();
+  });
+
+  test('no figure → null', () => {
+    expect(detectTankAnomaly(history(), 1, NaN, {}, AT)).toBeNull();
+  });
+});
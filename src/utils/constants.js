@@ -1,5 +1,7 @@
 // BunkerWatch Constants
 
+import { OUT_OF_RANGE_POLICIES, RESULT_STATUS, RESULT_WARNINGS, HEEL_STATUS } from '../shared/interpolationCore';
+
 // Fuel Grades
 export const FUEL_GRADES = [
   'HSFO',
@@ -10,7 +12,7 @@ export const FUEL_GRADES = [
   'BIOFUEL'
 ];
 
-// Trim Ranges (meters)
+// Standard trim grid (meters) - used when the data package has no vessel trim_axis
 export const TRIM_RANGES = [
   { value: -4.0, column: 'trim_minus_4_0' },
   { value: -3.0, column: 'trim_minus_3_0' },
@@ -27,7 +29,7 @@ export const TRIM_RANGES = [
   { value: 4.0, column: 'trim_plus_4_0' }
 ];
 
-// Heel Ranges (degrees)
+// Standard heel grid (degrees) - used when the data package has no vessel heel_axis
 export const HEEL_RANGES = [
   { value: -3.0, column: 'heel_minus_3_0' },
   { value: -2.0, column: 'heel_minus_2_0' },
@@ -52,6 +54,124 @@ export const APP_CONFIG = {
   dataPackageMaxSize: 10 * 1024 * 1024 // 10MB
 };
 
+// Tank reading input modes
+export const INPUT_MODES = {
+  ULLAGE: 'ullage',
+  SOUNDING: 'sounding'
+};
+
+// Target types for the inverse (stop ullage) calculation
+export const TARGET_TYPES = {
+  PERCENT: 'percent',
+  VOLUME: 'm3',
+  MASS: 'mt'
+};
+
+// Mass basis for reported metric tonnes
+export const MASS_BASIS = {
+  VACUUM: 'vacuum',
+  AIR: 'air'
+};
+
+// What to do when ullage/trim/heel fall outside the calibration table
+// (defined in the shared interpolation core, which the Lambda also uses)
+export { OUT_OF_RANGE_POLICIES };
+
+// Calculation status, warning codes and heel correction status (also from the core)
+export { RESULT_STATUS, RESULT_WARNINGS, HEEL_STATUS };
+
+// Warning logged with a sounding whose mass could not be corrected to 15°C
+export const QUANTITY_WARNINGS = {
+  VCF_NOT_APPLIED: 'VCF_NOT_APPLIED'
+};
+
+// Online/offline parity check sample grid (fractions of each table range)
+export const PARITY_CHECK = {
+  DEFAULT_TOLERANCE: 0.01, // m³
+  ULLAGE_FRACTIONS: [0.05, 0.33, 0.5, 0.77],
+  TRIM_FRACTIONS: [0.1, 0.5, 0.85],
+  HEEL_FRACTIONS: [0.3, 0.75],
+  CONCURRENCY: 4
+};
+
+// Where a trim/heel value came from (tagged in the sounding log)
+export const INPUT_SOURCES = {
+  MANUAL: 'manual',
+  DRAFTS: 'drafts',
+  SENSOR: 'sensor'
+};
+
+// In-progress form autosave (Dexie drafts table)
+export const DRAFT_TABS = {
+  SOUNDING: 'sounding',
+  BUNKERING: 'bunkering'
+};
+export const DRAFT_AUTOSAVE_MS = 1000; // debounce after the last edit
+
+// Device inclinometer capture (tablet flat, top edge pointing forward)
+export const INCLINOMETER = {
+  SAMPLE_MS: 5000,      // averaging window
+  MIN_SAMPLES: 10,      // fewer events than this means no usable sensor
+  MAX_STD_DEV: 1.0      // degrees; more movement than this and the reading is rejected
+};
+
+// Input/display units (calculations always run in cm, m³, t/m³ @15°C and °C)
+export const UNITS = {
+  LENGTH: { CM: 'cm', MM: 'mm', M: 'm', IN: 'in' },
+  VOLUME: { M3: 'm3', BBL: 'bbl', USGAL: 'usgal', L: 'l' },
+  DENSITY: { T_M3: 't_m3', KG_M3: 'kg_m3', API: 'api' },
+  TEMPERATURE: { C: 'c', F: 'f' }
+};
+
+export const DEFAULT_UNITS = {
+  length: UNITS.LENGTH.CM,
+  volume: UNITS.VOLUME.M3,
+  density: UNITS.DENSITY.T_M3,
+  temperature: UNITS.TEMPERATURE.C
+};
+
+// Sign conventions of the vessel's trim and heel (from the package particulars)
+export const TRIM_SIGN = {
+  BY_STERN_POSITIVE: 'by_stern_positive',
+  BY_HEAD_POSITIVE: 'by_head_positive'
+};
+
+export const HEEL_SIGN = {
+  STARBOARD_POSITIVE: 'starboard_positive',
+  PORT_POSITIVE: 'port_positive'
+};
+
+// Measurement tolerances (±) behind the volume and mT uncertainty bands
+export const DEFAULT_TOLERANCES = {
+  ullage: 1,          // cm (tape)
+  trim: 0.1,          // m
+  heel: 0.1,          // degrees
+  temperature: 0.5,   // °C
+  density: 0.0005     // t/m³ @15°C
+};
+
+// Tank change between sessions that needs an officer's remark
+export const ANOMALY_CODES = {
+  UNEXPECTED_RISE: 'UNEXPECTED_RISE', // Tank gained with no bunkering/transfer logged for it
+  FAST_FALL: 'FAST_FALL'              // Tank fell faster than its normal consumption rate
+};
+
+export const DEFAULT_ANOMALY_THRESHOLDS = {
+  riseMt: 1,          // mT gained before a rise is flagged
+  fallFactor: 2,      // × the tank's usual mT/day fall
+  minChangeMt: 1,     // smaller changes are never flagged
+  historyPeriods: 7   // previous session-to-session falls averaged for the usual rate
+};
+
+// Per-vessel calculation settings (defaults)
+export const DEFAULT_VESSEL_SETTINGS = {
+  massBasis: MASS_BASIS.VACUUM,
+  outOfRangePolicy: OUT_OF_RANGE_POLICIES.REJECT,
+  tolerances: DEFAULT_TOLERANCES,
+  units: DEFAULT_UNITS,
+  anomalyThresholds: DEFAULT_ANOMALY_THRESHOLDS
+};
+
 // Sync Statuses
 export const SYNC_STATUS = {
   PENDING: 'pending',
@@ -0,0 +1,197 @@
+// BunkerWatch Consumption Engine
+// Consumption per fuel grade between noon ROBs (remaining on board):
+//   consumed = opening ROB + received + transferred in/out − closing ROB
+// ROBs come from the local sounding sessions, receipts from recorded bunkering operations
+// and internal transfers.
+
+import { db, getSoundingSessions, getTransferOperations } from '../db/database';
+
+// Movements that change a grade's stock without being consumed
+export const MOVEMENT_TYPES = {
+  BUNKER: 'bunker',
+  TRANSFER: 'transfer'
+};
+
+/**
+ * ROB per fuel grade from one session's soundings (mT)
+ */
+export function robByGrade(logs) {
+  const rob = {};
+  logs.forEach(log => {
+    const mt = parseFloat(log.calculated_mt);
+    if (log.fuel_grade && !isNaN(mt)) {
+      rob[log.fuel_grade] = (rob[log.fuel_grade] || 0) + mt;
+    }
+  });
+  return rob;
+}
+
+/**
+ * Noon ROB per report date: the last session submitted for each date (ascending)
+ * @param {Array} sessions - From getSoundingSessions
+ * @returns {Array} [{ session_id, report_date, recorded_at, rob }]
+ */
+export function robSessions(sessions) {
+  const byDate = new Map();
+  sessions.forEach(session => {
+    const current = byDate.get(session.report_date);
+    if (!current || session.recorded_at > current.recorded_at) {
+      byDate.set(session.report_date, session);
+    }
+  });
+  return [...byDate.values()]
+    .sort((a, b) => a.report_date.localeCompare(b.report_date))
+    .map(session => ({
+      session_id: session.session_id,
+      report_date: session.report_date,
+      recorded_at: session.recorded_at,
+      rob: robByGrade(session.logs)
+    }));
+}
+
+/**
+ * Bunkering operations as stock movements (BDN quantity, at completion)
+ */
+export function bunkerMovements(operations) {
+  return operations
+    .filter(op => op.fuel_grade && !isNaN(parseFloat(op.total_quantity_mt)))
+    .map(op => ({
+      type: MOVEMENT_TYPES.BUNKER,
+      at: op.completed_at || op.started_at,
+      fuel_grade: op.fuel_grade,
+      quantity_mt: parseFloat(op.total_quantity_mt),
+      reference: op.bunker_name
+    }));
+}
+
+/**
+ * Internal transfers as stock movements: the quantity leaving the source tank moves from
+ * its grade to the destination's (netting to zero when both hold the same grade)
+ */
+export function transferMovements(transfers) {
+  return transfers
+    .filter(t => !isNaN(parseFloat(t.source.quantity_mt)))
+    .flatMap(t => {
+      const quantity = parseFloat(t.source.quantity_mt);
+      const movement = { type: MOVEMENT_TYPES.TRANSFER, at: t.transferred_at, reference: t.client_id };
+      return [
+        { ...movement, fuel_grade: t.source.fuel_grade, quantity_mt: -quantity },
+        { ...movement, fuel_grade: t.destination.fuel_grade, quantity_mt: quantity }
+      ];
+    });
+}
+
+/**
+ * Consumption per grade between two ROBs
+ * Movements count when after the opening ROB was recorded and up to the closing one.
+ * @param {object} opening - { report_date, recorded_at, rob }
+ * @param {object} closing - { report_date, recorded_at, rob }
+ * @param {Array} movements - [{ type, at, fuel_grade, quantity_mt }] (+ into the grade's stock, − out)
+ * @returns {object} { from, to, by_grade: { grade: { opening, received, transferred, closing, consumed } }, total_consumed }
+ */
+export function consumptionBetween(opening, closing, movements) {
+  const inPeriod = movements.filter(m => m.at > opening.recorded_at && m.at <= closing.recorded_at);
+  const grades = new Set([
+    ...Object.keys(opening.rob),
+    ...Object.keys(closing.rob),
+    ...inPeriod.map(m => m.fuel_grade)
+  ]);
+
+  const byGrade = {};
+  grades.forEach(grade => {
+    const moved = (type) => inPeriod
+      .filter(m => m.fuel_grade === grade && m.type === type)
+      .reduce((sum, m) => sum + m.quantity_mt, 0);
+    const row = {
+      opening: opening.rob[grade] || 0,
+      received: moved(MOVEMENT_TYPES.BUNKER),
+      transferred: moved(MOVEMENT_TYPES.TRANSFER),
+      closing: closing.rob[grade] || 0
+    };
+    row.consumed = row.opening + row.received + row.transferred - row.closing;
+    byGrade[grade] = row;
+  });
+
+  return {
+    from: { report_date: opening.report_date, recorded_at: opening.recorded_at },
+    to: { report_date: closing.report_date, recorded_at: closing.recorded_at },
+    by_grade: byGrade,
+    total_consumed: Object.values(byGrade).reduce((sum, row) => sum + row.consumed, 0)
+  };
+}
+
+/**
+ * Consumption over a date range, one period per pair of consecutive noon ROBs
+ * A period belongs to the range when its closing report date is inside it, so a
+ * range starting today is measured from yesterday's ROB.
+ * @param {Array} robs - From robSessions
+ * @param {Array} movements - Stock movements
+ * @param {string} fromDate - First report date (YYYY-MM-DD)
+ * @param {string} toDate - Last report date (YYYY-MM-DD)
+ * @returns {object} { periods, by_grade: { grade: { received, transferred, consumed } }, total_consumed }
+ */
+export function calculateConsumption(robs, movements, fromDate, toDate) {
+  const periods = [];
+  for (let i = 1; i < robs.length; i++) {
+    if (robs[i].report_date >= fromDate && robs[i].report_date <= toDate) {
+      periods.push(consumptionBetween(robs[i - 1], robs[i], movements));
+    }
+  }
+
+  const byGrade = {};
+  periods.forEach(period => {
+    Object.entries(period.by_grade).forEach(([grade, row]) => {
+      const total = byGrade[grade] || { received: 0, transferred: 0, consumed: 0 };
+      total.received += row.received;
+      total.transferred += row.transferred;
+      total.consumed += row.consumed;
+      byGrade[grade] = total;
+    });
+  });
+
+  return {
+    periods,
+    by_grade: byGrade,
+    total_consumed: periods.reduce((sum, period) => sum + period.total_consumed, 0)
+  };
+}
+
+/**
+ * Consumption from the previous report date's ROB to figures not yet submitted
+ * Only grades present in the current figures are reported.
+ * @param {Array} robs - From robSessions
+ * @param {Array} movements - Stock movements
+ * @param {object} current - { report_date, rob } (recorded now)
+ * @returns {object|null} As consumptionBetween, or null when there's no earlier ROB
+ */
+export function consumptionSinceLastRob(robs, movements, current) {
+  const previous = robs.filter(r => r.report_date < current.report_date).pop();
+  if (!previous || Object.keys(current.rob).length === 0) {
+    return null;
+  }
+  const report = consumptionBetween(
+    previous,
+    { report_date: current.report_date, recorded_at: new Date().toISOString(), rob: current.rob },
+    movements
+  );
+  // Grades not sounded yet would read as all consumed
+  Object.keys(report.by_grade).forEach(grade => {
+    if (!(grade in current.rob)) delete report.by_grade[grade];
+  });
+  report.total_consumed = Object.values(report.by_grade).reduce((sum, row) => sum + row.consumed, 0);
+  return report;
+}
+
+/**
+ * Load a vessel's noon ROBs and stock movements from IndexedDB
+ * @returns {Promise<object>} { robs, movements }
+ */
+export async function loadConsumptionInputs(vesselId) {
+  const sessions = await getSoundingSessions(vesselId);
+  const operations = await db.bunkering_operations.where('vessel_id').equals(vesselId).toArray();
+  const transfers = await getTransferOperations(vesselId);
+  return {
+    robs: robSessions(sessions),
+    movements: [...bunkerMovements(operations), ...transferMovements(transfers)]
+  };
+}
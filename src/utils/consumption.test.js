@@ -0,0 +1,144 @@
+// BunkerWatch Consumption Engine tests
+
+import {
+  MOVEMENT_TYPES,
+  robSessions,
+  bunkerMovements,
+  transferMovements,
+  consumptionBetween,
+  calculateConsumption,
+  consumptionSinceLastRob
+} from './consumption';
+
+const session = (sessionId, reportDate, recordedAt, logs) => ({
+  session_id: sessionId,
+  report_date: reportDate,
+  recorded_at: recordedAt,
+  logs
+});
+const log = (fuelGrade, mt) => ({ fuel_grade: fuelGrade, calculated_mt: mt });
+
+// Noon ROBs on three consecutive days
+const ROBS = robSessions([
+  session('s3', '2026-10-03', '2026-10-03T12:00:00.000Z', [log('HFO', 900), log('HFO', 40), log('MGO', 90)]),
+  session('s1', '2026-10-01', '2026-10-01T12:00:00.000Z', [log('HFO', 500), log('MGO', 100)]),
+  session('s2', '2026-10-02', '2026-10-02T12:00:00.000Z', [log('HFO', 470), log('MGO', 95)])
+]);
+
+const bunker = (at, quantity = 500) => ({
+  type: MOVEMENT_TYPES.BUNKER,
+  at,
+  fuel_grade: 'HFO',
+  quantity_mt: quantity
+});
+
+describe('robSessions', () => {
+  test('one ROB per report date, ascending, summed by grade', () => {
+    expect(ROBS.map(r => r.report_date)).toEqual(['2026-10-01', '2026-10-02', '2026-10-03']);
+    expect(ROBS[2].rob).toEqual({ HFO: 940, MGO: 90 });
+  });
+
+  test('the last session submitted for a date is its noon ROB', () => {
+    const robs = robSessions([
+      session('a', '2026-10-01', '2026-10-01T11:00:00.000Z', [log('HFO', 510)]),
+      session('b', '2026-10-01', '2026-10-01T12:30:00.000Z', [log('HFO', 505)]),
+      session('c', '2026-10-01', '2026-10-01T09:00:00.000Z', [log('HFO', 520)])
+    ]);
+    expect(robs).toHaveLength(1);
+    expect(robs[0].session_id).toBe('b');
+  });
+
+  test('soundings without a grade or mass are left out', () => {
+    const [rob] = robSessions([
+      session('a', '2026-10-01', '2026-10-01T12:00:00.000Z', [log('HFO', 10), log('', 5), log('HFO', null)])
+    ]);
+    expect(rob.rob).toEqual({ HFO: 10 });
+  });
+});
+
+describe('consumptionBetween: movement period assignment', () => {
+  // A movement belongs to the period after the opening ROB, up to and including the closing ROB
+  test.each([
+    ['2026-10-01T11:59:59.000Z', [0, 0]],
+    ['2026-10-01T12:00:00.000Z', [0, 0]],
+    ['2026-10-01T12:00:01.000Z', [500, 0]],
+    ['2026-10-02T12:00:00.000Z', [500, 0]],
+    ['2026-10-02T12:00:01.000Z', [0, 500]],
+    ['2026-10-03T12:00:00.000Z', [0, 500]],
+    ['2026-10-03T12:00:01.000Z', [0, 0]]
+  ])('bunker at %s → received per period %p', (at, received) => {
+    const periods = [
+      consumptionBetween(ROBS[0], ROBS[1], [bunker(at)]),
+      consumptionBetween(ROBS[1], ROBS[2], [bunker(at)])
+    ];
+    expect(periods.map(p => p.by_grade.HFO.received)).toEqual(received);
+  });
+
+  test('consumed = opening + received + transferred − closing', () => {
+    const period = consumptionBetween(ROBS[1], ROBS[2], [bunker('2026-10-02T20:00:00.000Z')]);
+    expect(period.by_grade.HFO).toEqual({ opening: 470, received: 500, transferred: 0, closing: 940, consumed: 30 });
+    expect(period.by_grade.MGO.consumed).toBe(5);
+    expect(period.total_consumed).toBe(35);
+  });
+
+  test('a grade only received in the period is reported', () => {
+    const period = consumptionBetween(ROBS[0], ROBS[1], [
+      { ...bunker('2026-10-01T18:00:00.000Z', 50), fuel_grade: 'VLSFO' }
+    ]);
+    expect(period.by_grade.VLSFO).toEqual({ opening: 0, received: 50, transferred: 0, closing: 0, consumed: 50 });
+  });
+});
+
+describe('stock movements', () => {
+  test('bunkering counts its BDN quantity at completion', () => {
+    expect(bunkerMovements([
+      { fuel_grade: 'HFO', total_quantity_mt: '500', started_at: 'a', completed_at: 'b', bunker_name: 'Bunker 1' },
+      { fuel_grade: 'HFO', total_quantity_mt: '', started_at: 'c', completed_at: 'd' }
+    ])).toEqual([
+      { type: MOVEMENT_TYPES.BUNKER, at: 'b', fuel_grade: 'HFO', quantity_mt: 500, reference: 'Bunker 1' }
+    ]);
+  });
+
+  test.each([
+    ['HFO', 'HFO', { HFO: 0 }],
+    ['HFO', 'VLSFO', { HFO: -20, VLSFO: 20 }]
+  ])('transfer %s → %s moves stock %p', (from, to, expected) => {
+    const movements = transferMovements([{
+      client_id: 't1',
+      transferred_at: '2026-10-01T18:00:00.000Z',
+      source: { fuel_grade: from, quantity_mt: 20 },
+      destination: { fuel_grade: to }
+    }]);
+    const period = consumptionBetween(ROBS[0], ROBS[1], movements);
+    Object.entries(expected).forEach(([grade, transferred]) => {
+      expect(period.by_grade[grade].transferred).toBe(transferred);
+    });
+  });
+});
+
+describe('calculateConsumption', () => {
+  test.each([
+    // A period belongs to the range of its closing report date
+    ['2026-10-01', '2026-10-01', 0, 0],
+    ['2026-10-02', '2026-10-02', 1, 35],
+    ['2026-10-02', '2026-10-03', 2, 70],
+    ['2026-10-03', '2026-10-31', 1, 35]
+  ])('%s to %s → %i period(s), %f mT consumed', (from, to, periods, consumed) => {
+    const report = calculateConsumption(ROBS, [bunker('2026-10-02T20:00:00.000Z')], from, to);
+    expect(report.periods).toHaveLength(periods);
+    expect(report.total_consumed).toBeCloseTo(consumed, 9);
+  });
+});
+
+describe('consumptionSinceLastRob', () => {
+  test('measures from the previous report date and skips grades not sounded yet', () => {
+    const report = consumptionSinceLastRob(ROBS, [], { report_date: '2026-10-03', rob: { HFO: 460 } });
+    expect(report.from.report_date).toBe('2026-10-02');
+    expect(Object.keys(report.by_grade)).toEqual(['HFO']);
+    expect(report.total_consumed).toBe(10);
+  });
+
+  test('no earlier ROB, no report', () => {
+    expect(consumptionSinceLastRob(ROBS, [], { report_date: '2026-10-01', rob: { HFO: 500 } })).toBeNull();
+  });
+});
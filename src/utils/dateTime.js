@@ -0,0 +1,22 @@
+// BunkerWatch Date/Time
+// datetime-local inputs hold local wall-clock time ("YYYY-MM-DDTHH:mm"), not UTC;
+// records store ISO timestamps.
+
+/**
+ * Value for a datetime-local input (defaults to now)
+ * @param {Date} date - Time to show
+ * @returns {string} Local "YYYY-MM-DDTHH:mm"
+ */
+export function localDateTimeInput(date = new Date()) {
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * datetime-local value as an ISO timestamp
+ * @param {string} value - Local "YYYY-MM-DDTHH:mm"
+ * @returns {string|null} ISO timestamp, or null if blank or invalid
+ */
+export function dateTimeInputToIso(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
@@ -0,0 +1,91 @@
+// BunkerWatch Draft Calculations
+// Trim and heel from draft mark readings, using the vessel particulars
+// carried in the data package and the vessel's sign conventions.
+
+import { TRIM_SIGN, HEEL_SIGN } from './constants';
+
+const RADIANS_TO_DEGREES = 180 / Math.PI;
+
+/**
+ * Parse an optional draft reading ('' / null -> null)
+ */
+function parseDraft(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  return parseFloat(value);
+}
+
+/**
+ * Round to 2 decimals (the precision trim/heel are entered with)
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calculate trim and heel from draft readings
+ * Trim is measured between the marks and scaled to the LBP; heel comes from the
+ * midship port/starboard drafts across the distance between those marks.
+ * @param {object} drafts - { forward, aft, port, starboard } in meters (port/starboard optional)
+ * @param {object|null} particulars - { lbp, forward_mark_aft_of_fp, aft_mark_forward_of_ap,
+ *   midship_marks_breadth, trim_sign, heel_sign } from the data package
+ * @returns {object} { success, trim, heel, trim_at_marks, warnings } or { success: false, error }
+ */
+export function calculateTrimHeelFromDrafts(drafts, particulars) {
+  const forward = parseDraft(drafts.forward);
+  const aft = parseDraft(drafts.aft);
+  const port = parseDraft(drafts.port);
+  const starboard = parseDraft(drafts.starboard);
+  const warnings = [];
+
+  if (forward === null || aft === null || isNaN(forward) || isNaN(aft)) {
+    return { success: false, error: 'Forward and aft drafts are required' };
+  }
+  if ((port === null) !== (starboard === null) || isNaN(port) || isNaN(starboard)) {
+    return { success: false, error: 'Enter both midship drafts (port and starboard) or neither' };
+  }
+
+  // Trim between the marks, positive by the stern
+  const trimAtMarks = aft - forward;
+  let trimByStern = trimAtMarks;
+
+  const lbp = parseFloat(particulars?.lbp);
+  if (lbp > 0) {
+    const markDistance =
+      lbp - (parseFloat(particulars.forward_mark_aft_of_fp) || 0) - (parseFloat(particulars.aft_mark_forward_of_ap) || 0);
+    if (markDistance <= 0) {
+      return { success: false, error: 'Vessel particulars give no distance between the draft marks' };
+    }
+    trimByStern = trimAtMarks * lbp / markDistance;
+  } else {
+    warnings.push('No LBP in the vessel particulars: draft marks assumed at the perpendiculars');
+  }
+
+  const trimSign = particulars?.trim_sign || TRIM_SIGN.BY_STERN_POSITIVE;
+  const trim = trimSign === TRIM_SIGN.BY_HEAD_POSITIVE ? -trimByStern : trimByStern;
+
+  // Heel from the midship drafts, positive when the starboard side is deeper
+  let heel = null;
+  if (port !== null) {
+    const breadth = parseFloat(particulars?.midship_marks_breadth);
+    if (breadth > 0) {
+      const heelToStarboard = Math.atan((starboard - port) / breadth) * RADIANS_TO_DEGREES;
+      const heelSign = particulars.heel_sign || HEEL_SIGN.STARBOARD_POSITIVE;
+      heel = heelSign === HEEL_SIGN.PORT_POSITIVE ? -heelToStarboard : heelToStarboard;
+    } else {
+      warnings.push('No breadth between midship marks in the vessel particulars: heel not calculated');
+    }
+  }
+
+  return {
+    success: true,
+    trim: round2(trim),
+    heel: heel === null ? null : round2(heel),
+    trim_at_marks: round2(trimAtMarks),
+    trim_sign: trimSign,
+    warnings
+  };
+}
+
+export default calculateTrimHeelFromDrafts;
@@ -0,0 +1,93 @@
+// BunkerWatch Draft Calculations tests
+
+import { calculateTrimHeelFromDrafts } from './drafts';
+import { TRIM_SIGN, HEEL_SIGN } from './constants';
+
+// Marks 175 m apart on a 180 m LBP; midship marks 32 m apart
+const PARTICULARS = {
+  lbp: 180,
+  forward_mark_aft_of_fp: 2,
+  aft_mark_forward_of_ap: 3,
+  midship_marks_breadth: 32,
+  trim_sign: TRIM_SIGN.BY_STERN_POSITIVE,
+  heel_sign: HEEL_SIGN.STARBOARD_POSITIVE
+};
+
+describe('calculateTrimHeelFromDrafts: trim', () => {
+  test.each([
+    // forward, aft, particulars, trim, trim at marks
+    [8.0, 9.75, PARTICULARS, 1.8, 1.75],
+    [9.75, 8.0, PARTICULARS, -1.8, -1.75],
+    [8.0, 8.0, PARTICULARS, 0, 0],
+    // Head-positive vessels report trim by the stern as negative
+    [8.0, 9.75, { ...PARTICULARS, trim_sign: TRIM_SIGN.BY_HEAD_POSITIVE }, -1.8, 1.75],
+    [9.75, 8.0, { ...PARTICULARS, trim_sign: TRIM_SIGN.BY_HEAD_POSITIVE }, 1.8, -1.75],
+    // Marks at the perpendiculars: no scaling
+    [8.0, 9.75, { lbp: 180 }, 1.75, 1.75],
+    ['8.00', '9.75', PARTICULARS, 1.8, 1.75]
+  ])('F %p, A %p → trim %f m (%f m at the marks)', (forward, aft, particulars, trim, trimAtMarks) => {
+    const result = calculateTrimHeelFromDrafts({ forward, aft }, particulars);
+    expect(result.success).toBe(true);
+    expect(result.trim).toBeCloseTo(trim, 9);
+    expect(result.trim_at_marks).toBeCloseTo(trimAtMarks, 9);
+    expect(result.heel).toBeNull();
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('no LBP: trim between the marks, with a warning', () => {
+    const result = calculateTrimHeelFromDrafts({ forward: 8.0, aft: 9.75 }, null);
+    expect(result.trim).toBeCloseTo(1.75, 9);
+    expect(result.trim_sign).toBe(TRIM_SIGN.BY_STERN_POSITIVE);
+    expect(result.warnings).toHaveLength(1);
+  });
+});
+
+describe('calculateTrimHeelFromDrafts: heel', () => {
+  test.each([
+    // port, starboard, heel sign, heel (atan(0.32 / 32) = 0.573°)
+    [9.0, 9.32, HEEL_SIGN.STARBOARD_POSITIVE, 0.57],
+    [9.32, 9.0, HEEL_SIGN.STARBOARD_POSITIVE, -0.57],
+    [9.0, 9.32, HEEL_SIGN.PORT_POSITIVE, -0.57],
+    [9.32, 9.0, HEEL_SIGN.PORT_POSITIVE, 0.57],
+    [9.0, 9.0, HEEL_SIGN.STARBOARD_POSITIVE, 0]
+  ])('P %f, S %f (%s) → heel %f°', (port, starboard, heelSign, heel) => {
+    const result = calculateTrimHeelFromDrafts(
+      { forward: 8.0, aft: 9.75, port, starboard },
+      { ...PARTICULARS, heel_sign: heelSign }
+    );
+    expect(result.success).toBe(true);
+    expect(result.heel).toBeCloseTo(heel, 9);
+  });
+
+  test('no midship breadth: heel not calculated, with a warning', () => {
+    const result = calculateTrimHeelFromDrafts(
+      { forward: 8.0, aft: 9.75, port: 9.0, starboard: 9.32 },
+      { ...PARTICULARS, midship_marks_breadth: null }
+    );
+    expect(result.success).toBe(true);
+    expect(result.heel).toBeNull();
+    expect(result.warnings).toHaveLength(1);
+  });
+});
+
+describe('calculateTrimHeelFromDrafts: errors', () => {
+  test.each([
+    ['only the port midship draft', { forward: 8, aft: 9, port: 9, starboard: '' }, /both midship drafts/],
+    ['only the starboard midship draft', { forward: 8, aft: 9, port: null, starboard: 9 }, /both midship drafts/],
+    ['a midship draft that is not a number', { forward: 8, aft: 9, port: 'x', starboard: 9 }, /both midship drafts/],
+    ['no forward draft', { forward: '', aft: 9 }, /Forward and aft drafts are required/],
+    ['no aft draft', { forward: 8, aft: 'x' }, /Forward and aft drafts are required/]
+  ])('%s', (label, drafts, error) => {
+    const result = calculateTrimHeelFromDrafts(drafts, PARTICULARS);
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(error);
+  });
+
+  test('marks offsets longer than the LBP', () => {
+    const result = calculateTrimHeelFromDrafts(
+      { forward: 8, aft: 9 },
+      { ...PARTICULARS, forward_mark_aft_of_fp: 100, aft_mark_forward_of_ap: 80 }
+    );
+    expect(result).toEqual({ success: false, error: 'Vessel particulars give no distance between the draft marks' });
+  });
+});
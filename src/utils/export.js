@@ -0,0 +1,43 @@
+// BunkerWatch Export
+// CSV building and browser downloads for reports handed to other systems
+
+/**
+ * Quote a CSV field when it contains a separator, quote or newline
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows
+ * @param {Array<object>} rows - Row objects
+ * @param {Array<object>} columns - [{ key, header }] in output order
+ * @returns {string} CSV with a header line, CRLF line endings
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(c => csvField(c.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(c => csvField(row[c.key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Save text as a file through the browser's download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type (defaults to CSV)
+ */
+export function downloadFile(filename, content, mimeType = 'text/csv;charset=utf-8') {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
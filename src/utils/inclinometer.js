@@ -0,0 +1,170 @@
+// BunkerWatch Inclinometer
+// Heel and trim from the device's orientation sensor. The tablet lies flat with
+// its top edge pointing forward: beta (pitch) gives trim, gamma (roll) gives heel.
+// Calibration against a level reference is stored per device in sync_metadata.
+
+import { getSyncMetadata, setSyncMetadata } from '../db/database';
+import { INCLINOMETER, TRIM_SIGN, HEEL_SIGN } from './constants';
+
+const CALIBRATION_KEY = 'inclinometer_calibration';
+const DEGREES_TO_RADIANS = Math.PI / 180;
+
+/**
+ * Check if the browser exposes device orientation events
+ */
+export function isInclinometerSupported() {
+  return typeof window !== 'undefined' && 'DeviceOrientationEvent' in window;
+}
+
+/**
+ * Ask for sensor access where the browser requires it (iOS 13+)
+ * Must be called from a user gesture.
+ * @returns {Promise<boolean>} true if readings may be taken
+ */
+export async function requestInclinometerPermission() {
+  if (typeof window.DeviceOrientationEvent?.requestPermission !== 'function') {
+    return true;
+  }
+  try {
+    return (await window.DeviceOrientationEvent.requestPermission()) === 'granted';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Mean and standard deviation of a list of angles
+ */
+function summarize(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Average the raw orientation over the sampling window
+ * @param {function} onProgress - Called with the fraction of the window elapsed
+ * @returns {Promise<object>} { beta, gamma, beta_sd, gamma_sd, samples } in degrees
+ */
+export function sampleOrientation(onProgress) {
+  return new Promise((resolve, reject) => {
+    const betas = [];
+    const gammas = [];
+    const startTime = Date.now();
+
+    const handleOrientation = (event) => {
+      if (event.beta === null || event.gamma === null) return;
+      betas.push(event.beta);
+      gammas.push(event.gamma);
+    };
+
+    const progressTimer = setInterval(() => {
+      if (onProgress) {
+        onProgress(Math.min((Date.now() - startTime) / INCLINOMETER.SAMPLE_MS, 1));
+      }
+    }, 250);
+
+    window.addEventListener('deviceorientation', handleOrientation);
+    setTimeout(() => {
+      window.removeEventListener('deviceorientation', handleOrientation);
+      clearInterval(progressTimer);
+
+      if (betas.length < INCLINOMETER.MIN_SAMPLES) {
+        reject(new Error('No orientation readings from this device'));
+        return;
+      }
+      const beta = summarize(betas);
+      const gamma = summarize(gammas);
+      if (beta.sd > INCLINOMETER.MAX_STD_DEV || gamma.sd > INCLINOMETER.MAX_STD_DEV) {
+        reject(new Error('Device moved during the reading - keep it still and try again'));
+        return;
+      }
+      resolve({
+        beta: beta.mean,
+        gamma: gamma.mean,
+        beta_sd: beta.sd,
+        gamma_sd: gamma.sd,
+        samples: betas.length
+      });
+    }, INCLINOMETER.SAMPLE_MS);
+  });
+}
+
+/**
+ * Get this device's level calibration
+ * @returns {Promise<object|null>} { beta_offset, gamma_offset, calibrated_at } or null
+ */
+export async function getInclinometerCalibration() {
+  return await getSyncMetadata(CALIBRATION_KEY);
+}
+
+/**
+ * Calibrate against a level reference: the averaged reading becomes the zero
+ * @param {function} onProgress - Sampling progress callback
+ * @returns {Promise<object>} Saved calibration
+ */
+export async function calibrateInclinometer(onProgress) {
+  const reading = await sampleOrientation(onProgress);
+  const calibration = {
+    beta_offset: reading.beta,
+    gamma_offset: reading.gamma,
+    samples: reading.samples,
+    calibrated_at: new Date().toISOString()
+  };
+  await setSyncMetadata(CALIBRATION_KEY, calibration);
+  console.log(`📐 Inclinometer calibrated: pitch offset ${reading.beta.toFixed(2)}°, roll offset ${reading.gamma.toFixed(2)}°`);
+  return calibration;
+}
+
+/**
+ * Heel and trim from an averaged orientation reading and the level calibration
+ * Trim needs the LBP from the vessel particulars (trim = LBP × tan(pitch));
+ * without it only heel is returned.
+ * @param {object} reading - From sampleOrientation: { beta, gamma, beta_sd, gamma_sd, samples }
+ * @param {object} calibration - { beta_offset, gamma_offset }
+ * @param {object|null} particulars - Vessel particulars from the data package
+ * @returns {object} { heel, trim, pitch, heel_sd, pitch_sd, samples }
+ */
+export function inclinationFromOrientation(reading, calibration, particulars) {
+  // Bow up (stern down) raises the top edge: positive pitch = by the stern
+  const pitch = reading.beta - calibration.beta_offset;
+  // Starboard side down tilts the right edge down: positive roll = to starboard
+  const roll = reading.gamma - calibration.gamma_offset;
+
+  const heel = particulars?.heel_sign === HEEL_SIGN.PORT_POSITIVE ? -roll : roll;
+
+  let trim = null;
+  const lbp = parseFloat(particulars?.lbp);
+  if (lbp > 0) {
+    const trimByStern = lbp * Math.tan(pitch * DEGREES_TO_RADIANS);
+    trim = particulars.trim_sign === TRIM_SIGN.BY_HEAD_POSITIVE ? -trimByStern : trimByStern;
+  }
+
+  return {
+    heel: Math.round(heel * 100) / 100,
+    trim: trim === null ? null : Math.round(trim * 100) / 100,
+    pitch: Math.round(pitch * 100) / 100,
+    heel_sd: reading.gamma_sd,
+    pitch_sd: reading.beta_sd,
+    samples: reading.samples
+  };
+}
+
+/**
+ * Take a calibrated heel/trim reading
+ * @param {object|null} particulars - Vessel particulars from the data package
+ * @param {function} onProgress - Sampling progress callback
+ * @returns {Promise<object>} { heel, trim, pitch, heel_sd, pitch_sd, samples, captured_at }
+ */
+export async function readInclination(particulars, onProgress) {
+  const calibration = await getInclinometerCalibration();
+  if (!calibration) {
+    throw new Error('Calibrate the device against a level reference first');
+  }
+
+  const reading = await sampleOrientation(onProgress);
+  return {
+    ...inclinationFromOrientation(reading, calibration, particulars),
+    captured_at: new Date().toISOString()
+  };
+}
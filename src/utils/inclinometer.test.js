@@ -0,0 +1,56 @@
+// BunkerWatch Inclinometer tests
+
+import { inclinationFromOrientation } from './inclinometer';
+import { TRIM_SIGN, HEEL_SIGN } from './constants';
+
+jest.mock('../db/database', () => ({ getSyncMetadata: jest.fn(), setSyncMetadata: jest.fn() }));
+
+// Device read 1.5° pitch and −0.5° roll lying on a level reference
+const CALIBRATION = { beta_offset: 1.5, gamma_offset: -0.5 };
+const reading = (beta, gamma) => ({ beta, gamma, beta_sd: 0.02, gamma_sd: 0.03, samples: 40 });
+
+describe('inclinationFromOrientation: level calibration', () => {
+  test.each([
+    // beta, gamma → pitch, heel
+    [1.5, -0.5, 0, 0],
+    [2.5, 0.5, 1, 1],
+    [0.5, -1.5, -1, -1],
+    [1.5, 2, 0, 2.5]
+  ])('beta %f°, gamma %f° → pitch %f°, heel %f°', (beta, gamma, pitch, heel) => {
+    const result = inclinationFromOrientation(reading(beta, gamma), CALIBRATION, null);
+    expect(result.pitch).toBeCloseTo(pitch, 9);
+    expect(result.heel).toBeCloseTo(heel, 9);
+    expect(result.trim).toBeNull();
+  });
+
+  test('keeps the sampling spread', () => {
+    expect(inclinationFromOrientation(reading(2.5, 0.5), CALIBRATION, null)).toMatchObject({
+      heel_sd: 0.03,
+      pitch_sd: 0.02,
+      samples: 40
+    });
+  });
+});
+
+describe('inclinationFromOrientation: axis mapping', () => {
+  // Pitch (beta) gives trim over the LBP, roll (gamma) gives heel; 180 m × tan(1°) = 3.14 m
+  test.each([
+    [{ lbp: 180 }, 2.5, 0.5, 3.14, 1],
+    [{ lbp: 180 }, 0.5, -1.5, -3.14, -1],
+    [{ lbp: 180, trim_sign: TRIM_SIGN.BY_HEAD_POSITIVE }, 2.5, 0.5, -3.14, 1],
+    [{ lbp: 180, heel_sign: HEEL_SIGN.PORT_POSITIVE }, 2.5, 0.5, 3.14, -1],
+    [{ lbp: 180, heel_sign: HEEL_SIGN.STARBOARD_POSITIVE }, 1.5, 1.5, 0, 2],
+    // Only roll moves heel, only pitch moves trim
+    [{ lbp: 180 }, 2.5, -0.5, 3.14, 0]
+  ])('%p: beta %f°, gamma %f° → trim %f m, heel %f°', (particulars, beta, gamma, trim, heel) => {
+    const result = inclinationFromOrientation(reading(beta, gamma), CALIBRATION, particulars);
+    expect(result.trim).toBeCloseTo(trim, 9);
+    expect(result.heel).toBeCloseTo(heel, 9);
+  });
+
+  test.each([null, {}, { lbp: 0 }])('no LBP in %p → heel only', (particulars) => {
+    const result = inclinationFromOrientation(reading(2.5, 0.5), CALIBRATION, particulars);
+    expect(result.trim).toBeNull();
+    expect(result.heel).toBeCloseTo(1, 9);
+  });
+});
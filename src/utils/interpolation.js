@@ -1,370 +1,242 @@
 // BunkerWatch Interpolation Engine
-// JavaScript port of Lambda bilinear interpolation logic
+// Offline entry points over the shared interpolation core (Dexie calibration data)
 
 import { db } from '../db/database';
-import { TRIM_RANGES, HEEL_RANGES } from './constants';
+import { dexieCalibrationProvider } from '../db/calibrationCache';
+import * as core from '../shared/interpolationCore';
+import { TARGET_TYPES, MASS_BASIS, OUT_OF_RANGE_POLICIES } from './constants';
+import { calculateVCF, calculateWCF } from './volumeCorrection';
 
 /**
- * Linear interpolation between two points
- */
-function linearInterpolate(x1, y1, x2, y2, x) {
-  const nx1 = parseFloat(x1);
-  const ny1 = parseFloat(y1);
-  const nx2 = parseFloat(x2);
-  const ny2 = parseFloat(y2);
-  const nx = parseFloat(x);
-  
-  if (nx1 === nx2) return ny1;
-  return ny1 + (ny2 - ny1) * ((nx - nx1) / (nx2 - nx1));
-}
-
-/**
- * Get trim bounds for interpolation
+ * Convert a sounding (innage) to ullage by reverse interpolation
+ * against the sound column of the calibration table
+ * @param {number} compartmentId - Compartment ID
+ * @param {number} sound - Sounding in cm
+ * @param {string} policy - Out-of-range policy (defaults to reject)
+ * @param {Array} flags - Out-of-range flags collector
+ * @param {object|null} trace - Optional object to receive the conversion trace
+ * @returns {Promise<number>} Ullage in cm
  */
-function getTrimBounds(targetTrim) {
-  const target = parseFloat(targetTrim);
-  
-  // Check for exact match
-  const exactMatch = TRIM_RANGES.find(t => t.value === target);
-  if (exactMatch) {
-    return { exact: true, column: exactMatch.column };
-  }
-  
-  // Find bounding trims
-  for (let i = 0; i < TRIM_RANGES.length - 1; i++) {
-    if (target > TRIM_RANGES[i].value && target < TRIM_RANGES[i + 1].value) {
-      return {
-        exact: false,
-        lowerTrim: TRIM_RANGES[i],
-        upperTrim: TRIM_RANGES[i + 1]
-      };
-    }
-  }
-  
-  // Out of range
-  if (target < TRIM_RANGES[0].value) {
-    throw new Error(`Trim ${target}m is below minimum ${TRIM_RANGES[0].value}m`);
-  } else {
-    throw new Error(`Trim ${target}m is above maximum ${TRIM_RANGES[TRIM_RANGES.length - 1].value}m`);
-  }
+export async function soundingToUllage(compartmentId, sound, policy = OUT_OF_RANGE_POLICIES.REJECT, flags = [], trace = null) {
+  return core.soundingToUllage(dexieCalibrationProvider, compartmentId, sound, policy, flags, trace);
 }
 
 /**
- * Get heel bounds for interpolation
+ * Calculate at an ullage already referred to the calibration table
  */
-function getHeelBounds(targetHeel) {
-  const target = parseFloat(targetHeel);
-  
-  const exactMatch = HEEL_RANGES.find(h => h.value === target);
-  if (exactMatch) {
-    return { exact: true, column: exactMatch.column };
-  }
-  
-  for (let i = 0; i < HEEL_RANGES.length - 1; i++) {
-    if (target > HEEL_RANGES[i].value && target < HEEL_RANGES[i + 1].value) {
-      return {
-        exact: false,
-        lowerHeel: HEEL_RANGES[i],
-        upperHeel: HEEL_RANGES[i + 1]
-      };
-    }
-  }
-  
-  if (target < HEEL_RANGES[0].value) {
-    throw new Error(`Heel ${target}° is below minimum ${HEEL_RANGES[0].value}°`);
-  } else {
-    throw new Error(`Heel ${target}° is above maximum ${HEEL_RANGES[HEEL_RANGES.length - 1].value}°`);
+async function calculateTableSounding(compartmentId, ullage, trim, heel = null, options = {}) {
+  try {
+    const result = await core.calculateSounding(
+      dexieCalibrationProvider,
+      compartmentId,
+      ullage,
+      trim,
+      heel,
+      {
+        outOfRangePolicy: options.outOfRangePolicy || OUT_OF_RANGE_POLICIES.REJECT,
+        trace: options.trace,
+        tolerances: options.tolerances
+      }
+    );
+    
+    return {
+      success: true,
+      ...result,
+      volume: result.final_volume, // For compatibility
+      input_mode: 'ullage'
+    };
+    
+  } catch (error) {
+    console.error('Calculation error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
   }
 }
 
 /**
- * Find bounding ullages
+ * Calculate sounding with interpolation (main entry point)
+ * The ullage is the raw tape reading; the compartment's reference offset is applied here.
+ * @param {number} compartmentId - Compartment ID
+ * @param {number} ullage - Ullage in cm as read
+ * @param {number} trim - Trim in meters
+ * @param {number|null} heel - Heel in degrees (optional)
+ * @param {object} options - { outOfRangePolicy (defaults to reject), trace (include the "how was this calculated" trace),
+ *   tolerances (± ullage/trim/heel; adds volume_band { min, max }) }
+ * @returns {Promise<object>} Calculation results (ullage is table-referenced; raw_reading and reading_offset as applied)
  */
-function findUllageBounds(ullages, targetUllage) {
-  for (let i = 0; i < ullages.length - 1; i++) {
-    if (targetUllage >= ullages[i] && targetUllage <= ullages[i + 1]) {
-      return {
-        lowerUllage: ullages[i],
-        upperUllage: ullages[i + 1]
-      };
-    }
+export async function calculateSounding(compartmentId, ullage, trim, heel = null, options = {}) {
+  let reading;
+  try {
+    reading = await core.correctReading(dexieCalibrationProvider, compartmentId, ullage, 'ullage');
+  } catch (error) {
+    console.error('Reading correction error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
   }
   
-  if (targetUllage < ullages[0]) {
-    throw new Error(`Ullage ${targetUllage}cm is below minimum ${ullages[0]}cm`);
-  } else {
-    throw new Error(`Ullage ${targetUllage}cm is above maximum ${ullages[ullages.length - 1]}cm`);
+  const result = await calculateTableSounding(compartmentId, reading.corrected, trim, heel, options);
+  if (!result.success) {
+    return result;
   }
+  return {
+    ...result,
+    raw_reading: reading.raw,
+    reading_offset: reading.offset
+  };
 }
 
 /**
- * Calculate base volume with trim interpolation
+ * Calculate from a sounding (innage) reading instead of ullage
+ * @param {number} compartmentId - Compartment ID
+ * @param {number} sound - Sounding in cm as read (the compartment's datum offset is applied here)
+ * @param {number} trim - Trim in meters
+ * @param {number|null} heel - Heel in degrees (optional)
+ * @param {object} options - Passed through to calculateSounding
+ * @returns {Promise<object>} Calculation results (sound is table-referenced, ullage is the converted value)
  */
-async function calculateBaseVolume(compartmentId, targetUllage, targetTrim) {
-  const trimBounds = getTrimBounds(targetTrim);
-  const targetUllageNum = parseFloat(targetUllage);
-  
-  // Get all ullages for this compartment
-  const allData = await db.main_sounding_data
-    .where('compartment_id')
-    .equals(compartmentId)
-    .sortBy('ullage');
-  
-  if (allData.length === 0) {
-    throw new Error('No calibration data found for this compartment');
-  }
-  
-  const ullages = allData.map(d => parseFloat(d.ullage));
-  
-  // Check for exact ullage match
-  const exactUllageData = allData.find(d => parseFloat(d.ullage) === targetUllageNum);
-  
-  if (trimBounds.exact) {
-    // Exact trim, need ullage interpolation (or exact)
-    const column = trimBounds.column;
-    
-    if (exactUllageData) {
-      // Exact match on both
-      return {
-        volume: parseFloat(exactUllageData[column]) || 0,
-        sound: parseFloat(exactUllageData.sound) || null,
-        lcg: parseFloat(exactUllageData.lcg) || 0,
-        tcg: parseFloat(exactUllageData.tcg) || 0,
-        vcg: parseFloat(exactUllageData.vcg) || 0,
-        iy: parseFloat(exactUllageData.iy) || 0
-      };
-    }
-    
-    // Interpolate ullage
-    const { lowerUllage, upperUllage } = findUllageBounds(ullages, targetUllageNum);
-    const lowerData = allData.find(d => parseFloat(d.ullage) === lowerUllage);
-    const upperData = allData.find(d => parseFloat(d.ullage) === upperUllage);
-    
+export async function calculateSoundingFromSound(compartmentId, sound, trim, heel = null, options = {}) {
+  const soundFlags = [];
+  const soundTrace = options.trace ? {} : null;
+  let reading;
+  let ullage;
+  try {
+    reading = await core.correctReading(dexieCalibrationProvider, compartmentId, sound, 'sounding');
+    ullage = await soundingToUllage(compartmentId, reading.corrected, options.outOfRangePolicy, soundFlags, soundTrace);
+  } catch (error) {
+    console.error('Sounding conversion error:', error);
     return {
-      volume: linearInterpolate(
-        lowerUllage, parseFloat(lowerData[column]) || 0,
-        upperUllage, parseFloat(upperData[column]) || 0,
-        targetUllageNum
-      ),
-      sound: Math.round(linearInterpolate(
-        lowerUllage, parseFloat(lowerData.sound) || 0,
-        upperUllage, parseFloat(upperData.sound) || 0,
-        targetUllageNum
-      )),
-      lcg: linearInterpolate(
-        lowerUllage, parseFloat(lowerData.lcg) || 0,
-        upperUllage, parseFloat(upperData.lcg) || 0,
-        targetUllageNum
-      ),
-      tcg: linearInterpolate(
-        lowerUllage, parseFloat(lowerData.tcg) || 0,
-        upperUllage, parseFloat(upperData.tcg) || 0,
-        targetUllageNum
-      ),
-      vcg: linearInterpolate(
-        lowerUllage, parseFloat(lowerData.vcg) || 0,
-        upperUllage, parseFloat(upperData.vcg) || 0,
-        targetUllageNum
-      ),
-      iy: linearInterpolate(
-        lowerUllage, parseFloat(lowerData.iy) || 0,
-        upperUllage, parseFloat(upperData.iy) || 0,
-        targetUllageNum
-      )
+      success: false,
+      error: error.message
     };
   }
   
-  // Need bilinear interpolation (both trim and ullage)
-  const { lowerTrim, upperTrim } = trimBounds;
-  
-  if (exactUllageData) {
-    // Exact ullage, interpolate trim only
-    const volume = linearInterpolate(
-      lowerTrim.value, parseFloat(exactUllageData[lowerTrim.column]) || 0,
-      upperTrim.value, parseFloat(exactUllageData[upperTrim.column]) || 0,
-      parseFloat(targetTrim)
-    );
-    
-    return {
-      volume,
-      sound: parseFloat(exactUllageData.sound) || null,
-      lcg: parseFloat(exactUllageData.lcg) || 0,
-      tcg: parseFloat(exactUllageData.tcg) || 0,
-      vcg: parseFloat(exactUllageData.vcg) || 0,
-      iy: parseFloat(exactUllageData.iy) || 0
-    };
+  const result = await calculateTableSounding(compartmentId, ullage, trim, heel, options);
+  if (!result.success) {
+    return result;
   }
   
-  // Full bilinear interpolation
-  const { lowerUllage, upperUllage } = findUllageBounds(ullages, targetUllageNum);
-  const lowerData = allData.find(d => parseFloat(d.ullage) === lowerUllage);
-  const upperData = allData.find(d => parseFloat(d.ullage) === upperUllage);
-  
-  // Interpolate trim at lower ullage
-  const volumeAtLowerUllage = linearInterpolate(
-    lowerTrim.value, parseFloat(lowerData[lowerTrim.column]) || 0,
-    upperTrim.value, parseFloat(lowerData[upperTrim.column]) || 0,
-    parseFloat(targetTrim)
-  );
-  
-  // Interpolate trim at upper ullage
-  const volumeAtUpperUllage = linearInterpolate(
-    lowerTrim.value, parseFloat(upperData[lowerTrim.column]) || 0,
-    upperTrim.value, parseFloat(upperData[upperTrim.column]) || 0,
-    parseFloat(targetTrim)
-  );
-  
-  // Final interpolation along ullage
-  const finalVolume = linearInterpolate(
-    lowerUllage, volumeAtLowerUllage,
-    upperUllage, volumeAtUpperUllage,
-    targetUllageNum
-  );
-  
+  const rangeFlags = [...soundFlags, ...result.range_flags];
   return {
-    volume: finalVolume,
-    sound: Math.round(linearInterpolate(
-      lowerUllage, parseFloat(lowerData.sound) || 0,
-      upperUllage, parseFloat(upperData.sound) || 0,
-      targetUllageNum
-    )),
-    lcg: linearInterpolate(
-      lowerUllage, parseFloat(lowerData.lcg) || 0,
-      upperUllage, parseFloat(upperData.lcg) || 0,
-      targetUllageNum
-    ),
-    tcg: linearInterpolate(
-      lowerUllage, parseFloat(lowerData.tcg) || 0,
-      upperUllage, parseFloat(upperData.tcg) || 0,
-      targetUllageNum
-    ),
-    vcg: linearInterpolate(
-      lowerUllage, parseFloat(lowerData.vcg) || 0,
-      upperUllage, parseFloat(upperData.vcg) || 0,
-      targetUllageNum
-    ),
-    iy: linearInterpolate(
-      lowerUllage, parseFloat(lowerData.iy) || 0,
-      upperUllage, parseFloat(upperData.iy) || 0,
-      targetUllageNum
-    )
+    ...result,
+    sound: reading.corrected,
+    raw_reading: reading.raw,
+    reading_offset: reading.offset,
+    input_mode: 'sounding',
+    out_of_range: rangeFlags.length > 0,
+    range_flags: rangeFlags,
+    trace: result.trace ? { ...result.trace, sounding: soundTrace } : null
   };
 }
 
 /**
- * Calculate heel correction
+ * Convert a target quantity to the observed volume (m³) it corresponds to
  */
-async function calculateHeelCorrection(compartmentId, targetUllage, targetHeel) {
-  const heelBounds = getHeelBounds(targetHeel);
-  const targetUllageNum = parseFloat(targetUllage);
-  
-  // Get all heel correction data for this compartment
-  const allData = await db.heel_correction_data
-    .where('compartment_id')
-    .equals(compartmentId)
-    .sortBy('ullage');
-  
-  if (allData.length === 0) {
-    throw new Error('No heel correction data found');
+async function getTargetVolume(compartmentId, density, target, options) {
+  const value = parseFloat(target.value);
+  if (isNaN(value)) {
+    throw new Error('Target value is required');
   }
   
-  const ullages = allData.map(d => parseFloat(d.ullage));
-  const exactUllageData = allData.find(d => parseFloat(d.ullage) === targetUllageNum);
-  
-  if (heelBounds.exact) {
-    const column = heelBounds.column;
+  switch (target.type) {
+    case TARGET_TYPES.VOLUME:
+      return value;
     
-    if (exactUllageData) {
-      return parseFloat(exactUllageData[column]) || 0;
+    case TARGET_TYPES.PERCENT: {
+      const compartment = await db.compartments.get(compartmentId);
+      const capacity = parseFloat(compartment?.capacity);
+      if (!capacity) {
+        throw new Error('Tank capacity not available for % full target');
+      }
+      return capacity * value / 100;
     }
     
-    // Interpolate ullage
-    const { lowerUllage, upperUllage } = findUllageBounds(ullages, targetUllageNum);
-    const lowerData = allData.find(d => parseFloat(d.ullage) === lowerUllage);
-    const upperData = allData.find(d => parseFloat(d.ullage) === upperUllage);
+    case TARGET_TYPES.MASS: {
+      if (!density || isNaN(parseFloat(density))) {
+        throw new Error('Density is required for mT target');
+      }
+      // mT -> GSV -> observed volume; without a temperature the volume would be uncorrected
+      if (isNaN(parseFloat(options.temperature))) {
+        throw new Error('Temperature is required for mT target');
+      }
+      const wcf = calculateWCF(density, options.massBasis || MASS_BASIS.VACUUM);
+      const vcf = calculateVCF(density, options.temperature);
+      return value / wcf / vcf;
+    }
     
-    return linearInterpolate(
-      lowerUllage, parseFloat(lowerData[column]) || 0,
-      upperUllage, parseFloat(upperData[column]) || 0,
-      targetUllageNum
-    );
+    default:
+      throw new Error(`Unknown target type: ${target.type}`);
   }
-  
-  // Bilinear interpolation for heel
-  const { lowerHeel, upperHeel } = heelBounds;
-  
-  if (exactUllageData) {
-    return linearInterpolate(
-      lowerHeel.value, parseFloat(exactUllageData[lowerHeel.column]) || 0,
-      upperHeel.value, parseFloat(exactUllageData[upperHeel.column]) || 0,
-      parseFloat(targetHeel)
-    );
-  }
-  
-  // Full bilinear
-  const { lowerUllage, upperUllage } = findUllageBounds(ullages, targetUllageNum);
-  const lowerData = allData.find(d => parseFloat(d.ullage) === lowerUllage);
-  const upperData = allData.find(d => parseFloat(d.ullage) === upperUllage);
-  
-  const correctionAtLowerUllage = linearInterpolate(
-    lowerHeel.value, parseFloat(lowerData[lowerHeel.column]) || 0,
-    upperHeel.value, parseFloat(lowerData[upperHeel.column]) || 0,
-    parseFloat(targetHeel)
-  );
-  
-  const correctionAtUpperUllage = linearInterpolate(
-    lowerHeel.value, parseFloat(upperData[lowerHeel.column]) || 0,
-    upperHeel.value, parseFloat(upperData[upperHeel.column]) || 0,
-    parseFloat(targetHeel)
-  );
-  
-  return linearInterpolate(
-    lowerUllage, correctionAtLowerUllage,
-    upperUllage, correctionAtUpperUllage,
-    targetUllageNum
-  );
 }
 
 /**
- * Calculate sounding with interpolation (main entry point)
+ * Inverse calculation: ullage at which a tank holds a target quantity
+ * Solved by bisection over the calibrated ullage range using the same
+ * trim/heel interpolation as calculateSounding (volume falls as ullage rises).
+ * The returned ullage is a tape reading (the compartment's reference offset added back).
  * @param {number} compartmentId - Compartment ID
- * @param {number} ullage - Ullage in cm
  * @param {number} trim - Trim in meters
  * @param {number|null} heel - Heel in degrees (optional)
- * @returns {Promise<object>} Calculation results
+ * @param {number|null} density - Density at 15°C in t/m³ (required for mT targets)
+ * @param {object} target - { type: TARGET_TYPES.*, value }
+ * @param {object} options - { temperature, massBasis } for mT targets (temperature required),
+ *   { outOfRangePolicy } for trim/heel
+ * @returns {Promise<object>} { success, ullage, target_volume } or { success: false, error }
  */
-export async function calculateSounding(compartmentId, ullage, trim, heel = null) {
+export async function calculateUllageForTarget(compartmentId, trim, heel, density, target, options = {}) {
   try {
-    // Get base volume from main sounding data
-    const baseData = await calculateBaseVolume(compartmentId, ullage, trim);
+    const targetVolume = await getTargetVolume(compartmentId, density, target, options);
+    
+    const table = await dexieCalibrationProvider.getMainTable(compartmentId);
+    
+    if (!table || table.ullages.length === 0) {
+      throw new Error('No calibration data found for this compartment');
+    }
+    
+    const volumeAt = async (ullage) => {
+      const result = await calculateTableSounding(compartmentId, ullage, trim, heel, {
+        outOfRangePolicy: options.outOfRangePolicy
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return result.final_volume;
+    };
+    
+    let low = table.ullages[0];
+    let high = table.ullages[table.ullages.length - 1];
+    const maxVolume = await volumeAt(low);
+    const minVolume = await volumeAt(high);
+    
+    if (targetVolume > maxVolume) {
+      throw new Error(`Target ${targetVolume.toFixed(2)}m³ exceeds tank volume ${maxVolume.toFixed(2)}m³ at this trim`);
+    }
+    if (targetVolume < minVolume) {
+      throw new Error(`Target ${targetVolume.toFixed(2)}m³ is below minimum table volume ${minVolume.toFixed(2)}m³`);
+    }
     
-    // Get heel correction if provided
-    let heelCorrection = 0;
-    if (heel !== null && heel !== undefined && heel !== 0) {
-      try {
-        heelCorrection = await calculateHeelCorrection(compartmentId, ullage, heel);
-      } catch (heelError) {
-        console.warn('Heel correction failed:', heelError.message);
-        heelCorrection = 0;
+    // Bisection to 0.01 cm
+    while (high - low > 0.01) {
+      const mid = (low + high) / 2;
+      if (await volumeAt(mid) > targetVolume) {
+        low = mid;
+      } else {
+        high = mid;
       }
     }
     
+    const offsets = await core.getReadingOffsets(dexieCalibrationProvider, compartmentId);
     return {
       success: true,
-      base_volume: baseData.volume,
-      heel_correction: heelCorrection,
-      final_volume: baseData.volume + heelCorrection,
-      volume: baseData.volume + heelCorrection, // For compatibility
-      sound: baseData.sound,
-      ullage: parseFloat(ullage),
-      lcg: baseData.lcg,
-      tcg: baseData.tcg,
-      vcg: baseData.vcg,
-      iy: baseData.iy
+      ullage: (low + high) / 2 + offsets.ullage,
+      target_volume: targetVolume
     };
     
   } catch (error) {
-    console.error('Calculation error:', error);
+    console.error('Inverse calculation error:', error);
     return {
       success: false,
       error: error.message
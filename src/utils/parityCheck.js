@@ -0,0 +1,187 @@
+// BunkerWatch Parity Check
+// Verifies the offline calculateSounding against the Lambda's POST /sounding
+// over a grid of ullage/trim/heel points for every downloaded compartment.
+
+import { getCompartments, getSyncMetadata, setSyncMetadata } from '../db/database';
+import { dexieCalibrationProvider } from '../db/calibrationCache';
+import { calculateSounding } from './interpolation';
+import { OUT_OF_RANGE_POLICIES, PARITY_CHECK } from './constants';
+
+/**
+ * Normalize Lambda URL by removing trailing slashes
+ */
+function normalizeLambdaUrl(url) {
+  return url.replace(/\/+$/, ''); // Remove trailing slashes
+}
+
+/**
+ * Values at fractions of an ascending axis range, rounded to 2 decimals
+ */
+function sampleRange(min, max, fractions) {
+  return fractions.map(f => Math.round((min + (max - min) * f) * 100) / 100);
+}
+
+/**
+ * Build the sample points for one compartment
+ * Ullage fractions avoid the table ends so every point is inside both implementations' range.
+ */
+async function buildSamplePoints(compartmentId) {
+  const table = await dexieCalibrationProvider.getMainTable(compartmentId);
+  if (!table || table.ullages.length < 2) {
+    return [];
+  }
+  const { trimAxis, heelAxis } = await dexieCalibrationProvider.getAxes(compartmentId);
+  const ullageMax = table.ullages[table.ullages.length - 1];
+
+  const ullages = sampleRange(table.ullages[0], ullageMax, PARITY_CHECK.ULLAGE_FRACTIONS);
+  const trims = sampleRange(trimAxis[0].value, trimAxis[trimAxis.length - 1].value, PARITY_CHECK.TRIM_FRACTIONS);
+  const heels = [
+    null,
+    ...sampleRange(heelAxis[0].value, heelAxis[heelAxis.length - 1].value, PARITY_CHECK.HEEL_FRACTIONS)
+  ];
+
+  const points = [];
+  ullages.forEach(ullage => {
+    trims.forEach(trim => {
+      heels.forEach(heel => {
+        points.push({ ullage, trim, heel });
+      });
+    });
+  });
+  return points;
+}
+
+/**
+ * Call the Lambda's POST /sounding for one point
+ */
+async function fetchOnlineSounding(baseUrl, compartmentId, point) {
+  const response = await fetch(`${baseUrl}/sounding`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      compartment_id: compartmentId,
+      ullage: point.ullage,
+      trim: point.trim,
+      heel: point.heel,
+      out_of_range_policy: OUT_OF_RANGE_POLICIES.REJECT
+    })
+  });
+  const result = await response.json();
+  if (!result.success) {
+    return { success: false, error: result.error || `HTTP ${response.status}` };
+  }
+  return { success: true, final_volume: parseFloat(result.data.final_volume) };
+}
+
+/**
+ * Compare both implementations at one point
+ * @returns {object|null} Discrepancy, or null when they agree within tolerance
+ */
+async function comparePoint(baseUrl, compartmentId, point, tolerance) {
+  const [offline, online] = await Promise.all([
+    calculateSounding(compartmentId, point.ullage, point.trim, point.heel, {
+      outOfRangePolicy: OUT_OF_RANGE_POLICIES.REJECT
+    }),
+    fetchOnlineSounding(baseUrl, compartmentId, point).catch(error => ({
+      success: false,
+      error: error.message
+    }))
+  ]);
+
+  if (!offline.success || !online.success) {
+    // Both rejecting the same point is agreement
+    if (!offline.success && !online.success) return null;
+    return {
+      ...point,
+      offline: offline.success ? offline.final_volume : null,
+      online: online.success ? online.final_volume : null,
+      diff: null,
+      error: offline.success ? `Online: ${online.error}` : `Offline: ${offline.error}`
+    };
+  }
+
+  const diff = Math.abs(offline.final_volume - online.final_volume);
+  if (diff <= tolerance) return null;
+  return {
+    ...point,
+    offline: offline.final_volume,
+    online: online.final_volume,
+    diff,
+    error: null
+  };
+}
+
+/**
+ * Run the parity check for every downloaded compartment
+ * @param {string} lambdaUrl - Lambda base URL
+ * @param {object} options - { tolerance (m³), onProgress({ done, total, tank }) }
+ * @returns {Promise<object>} { passed, tolerance, checked_at, package_downloaded_at, total_points, tanks }
+ */
+export async function runParityCheck(lambdaUrl, options = {}) {
+  const tolerance = parseFloat(options.tolerance ?? PARITY_CHECK.DEFAULT_TOLERANCE);
+  const baseUrl = normalizeLambdaUrl(lambdaUrl);
+  const compartments = await getCompartments();
+
+  const plans = [];
+  for (const compartment of compartments) {
+    plans.push({ compartment, points: await buildSamplePoints(compartment.compartment_id) });
+  }
+  const total = plans.reduce((sum, plan) => sum + plan.points.length, 0);
+
+  console.log(`🔍 Parity check: ${total} points across ${plans.length} tanks (tolerance ${tolerance} m³)`);
+
+  let done = 0;
+  const tanks = [];
+  for (const { compartment, points } of plans) {
+    const discrepancies = [];
+    // A few requests in flight at a time
+    for (let i = 0; i < points.length; i += PARITY_CHECK.CONCURRENCY) {
+      const batch = points.slice(i, i + PARITY_CHECK.CONCURRENCY);
+      const results = await Promise.all(
+        batch.map(point => comparePoint(baseUrl, compartment.compartment_id, point, tolerance))
+      );
+      results.filter(Boolean).forEach(d => discrepancies.push(d));
+      done += batch.length;
+      if (options.onProgress) {
+        options.onProgress({ done, total, tank: compartment.compartment_name });
+      }
+    }
+
+    const diffs = discrepancies.filter(d => d.diff !== null).map(d => d.diff);
+    tanks.push({
+      compartment_id: compartment.compartment_id,
+      compartment_name: compartment.compartment_name,
+      points: points.length,
+      passed: discrepancies.length === 0,
+      max_diff: diffs.length > 0 ? Math.max(...diffs) : 0,
+      discrepancies
+    });
+  }
+
+  const report = {
+    passed: tanks.every(t => t.passed),
+    tolerance,
+    checked_at: new Date().toISOString(),
+    // The Lambda doesn't bump package_version, so a package is identified by its download
+    package_downloaded_at: await getSyncMetadata('last_download'),
+    total_points: total,
+    tanks
+  };
+
+  await setSyncMetadata('last_parity_check', report);
+  console.log(`${report.passed ? '✅' : '⚠️'} Parity check finished: ${tanks.filter(t => !t.passed).length} tank(s) with discrepancies`);
+  return report;
+}
+
+/**
+ * Last parity check report, with whether it covers the installed package
+ * @returns {Promise<object|null>} Report plus { current }, or null if never run
+ */
+export async function getLastParityCheck() {
+  const report = await getSyncMetadata('last_parity_check');
+  if (!report) return null;
+  const downloadedAt = await getSyncMetadata('last_download');
+  return { ...report, current: !!downloadedAt && report.package_downloaded_at === downloadedAt };
+}
+
+export default runParityCheck;
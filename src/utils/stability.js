@@ -0,0 +1,94 @@
+// BunkerWatch Stability Summary
+// Fuel weights, moments, combined centre of gravity and free-surface moments
+// from the lcg/tcg/vcg/iy interpolated with each sounding.
+
+import { toCsv } from './export';
+
+/**
+ * Round to a fixed number of decimals (keeps exports free of float noise)
+ */
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Weight, moments and free-surface moment for one tank
+ * Density in the tank is weight / observed volume, so FSM uses the
+ * product at its observed temperature on the vessel's mass basis.
+ * @param {object} tank - { name, fuel_grade, weight (t), volume (m³), lcg, tcg, vcg (m), iy (m⁴) }
+ * @returns {object} Tank plus { density, lcg_moment, tcg_moment, vcg_moment, fsm, cg_missing }
+ */
+export function calculateTankMoments(tank) {
+  const density = tank.volume > 0 ? tank.weight / tank.volume : 0;
+  return {
+    ...tank,
+    density,
+    lcg_moment: tank.weight * tank.lcg,
+    tcg_moment: tank.weight * tank.tcg,
+    vcg_moment: tank.weight * tank.vcg,
+    fsm: (tank.iy || 0) * density,
+    // Missing table cells interpolate as 0; a tank with no LCG and no VCG has no CG data
+    cg_missing: !tank.lcg && !tank.vcg
+  };
+}
+
+/**
+ * Stability summary over all tanks
+ * @param {Array<object>} tanks - See calculateTankMoments
+ * @returns {object} { tanks, total: { weight, lcg_moment, tcg_moment, vcg_moment, lcg, tcg, vcg, fsm } }
+ */
+export function calculateStabilitySummary(tanks) {
+  const rows = tanks.map(calculateTankMoments);
+  const total = rows.reduce(
+    (sum, row) => ({
+      weight: sum.weight + row.weight,
+      lcg_moment: sum.lcg_moment + row.lcg_moment,
+      tcg_moment: sum.tcg_moment + row.tcg_moment,
+      vcg_moment: sum.vcg_moment + row.vcg_moment,
+      fsm: sum.fsm + row.fsm
+    }),
+    { weight: 0, lcg_moment: 0, tcg_moment: 0, vcg_moment: 0, fsm: 0 }
+  );
+
+  // Combined centre of gravity = total moment / total weight
+  total.lcg = total.weight > 0 ? total.lcg_moment / total.weight : null;
+  total.tcg = total.weight > 0 ? total.tcg_moment / total.weight : null;
+  total.vcg = total.weight > 0 ? total.vcg_moment / total.weight : null;
+
+  return { tanks: rows, total };
+}
+
+const LOADING_COMPUTER_COLUMNS = [
+  { key: 'name', header: 'Tank' },
+  { key: 'fuel_grade', header: 'Content' },
+  { key: 'weight', header: 'Weight (t)' },
+  { key: 'density', header: 'Density (t/m3)' },
+  { key: 'volume', header: 'Volume (m3)' },
+  { key: 'lcg', header: 'LCG (m)' },
+  { key: 'tcg', header: 'TCG (m)' },
+  { key: 'vcg', header: 'VCG (m)' },
+  { key: 'fsm', header: 'FSM (t.m)' }
+];
+
+/**
+ * Per-tank CSV for loading computer import (one line per tank, no totals line)
+ * @param {object} summary - From calculateStabilitySummary
+ * @returns {string} CSV text
+ */
+export function stabilityToCsv(summary) {
+  const rows = summary.tanks.map(tank => ({
+    name: tank.name,
+    fuel_grade: tank.fuel_grade,
+    weight: round(tank.weight, 3),
+    density: round(tank.density, 4),
+    volume: round(tank.volume, 3),
+    lcg: round(tank.lcg, 3),
+    tcg: round(tank.tcg, 3),
+    vcg: round(tank.vcg, 3),
+    fsm: round(tank.fsm, 1)
+  }));
+  return toCsv(rows, LOADING_COMPUTER_COLUMNS);
+}
+
+export default calculateStabilitySummary;
@@ -0,0 +1,67 @@
+// BunkerWatch Stability Summary tests
+
+import { calculateTankMoments, calculateStabilitySummary, stabilityToCsv } from './stability';
+
+const TANK_A = { name: '1P', fuel_grade: 'HFO', weight: 95, volume: 100, lcg: 10, tcg: 2, vcg: 5, iy: 200 };
+const TANK_B = { name: '2S', fuel_grade: 'MGO', weight: 45, volume: 50, lcg: 30, tcg: -4, vcg: 3, iy: 100 };
+
+describe('calculateTankMoments', () => {
+  test.each([
+    // tank, density, LCG/TCG/VCG moments, FSM (iy × density in the tank)
+    [TANK_A, 0.95, [950, 190, 475], 190],
+    [TANK_B, 0.9, [1350, -180, 135], 90],
+    [{ ...TANK_A, iy: null }, 0.95, [950, 190, 475], 0],
+    [{ ...TANK_A, weight: 0, volume: 0 }, 0, [0, 0, 0], 0]
+  ])('%p', (tank, density, [lcgMoment, tcgMoment, vcgMoment], fsm) => {
+    const row = calculateTankMoments(tank);
+    expect(row.density).toBeCloseTo(density, 9);
+    expect(row.lcg_moment).toBeCloseTo(lcgMoment, 9);
+    expect(row.tcg_moment).toBeCloseTo(tcgMoment, 9);
+    expect(row.vcg_moment).toBeCloseTo(vcgMoment, 9);
+    expect(row.fsm).toBeCloseTo(fsm, 9);
+  });
+
+  test.each([
+    [{ lcg: 0, vcg: 0 }, true],
+    [{ lcg: 0, vcg: 5 }, false],
+    [{ lcg: 10, vcg: 0 }, false]
+  ])('%p → cg_missing %p', (cg, missing) => {
+    expect(calculateTankMoments({ ...TANK_A, ...cg }).cg_missing).toBe(missing);
+  });
+});
+
+describe('calculateStabilitySummary', () => {
+  test('combined CG is total moment over total weight; FSM is the sum', () => {
+    const { tanks, total } = calculateStabilitySummary([TANK_A, TANK_B]);
+    expect(tanks).toHaveLength(2);
+    expect(total.weight).toBeCloseTo(140, 9);
+    // (950 + 1350) / 140, (190 − 180) / 140, (475 + 135) / 140
+    expect(total.lcg).toBeCloseTo(16.428571, 6);
+    expect(total.tcg).toBeCloseTo(0.071429, 6);
+    expect(total.vcg).toBeCloseTo(4.357143, 6);
+    expect(total.fsm).toBeCloseTo(280, 9);
+  });
+
+  test('a single tank gives its own CG', () => {
+    const { total } = calculateStabilitySummary([TANK_A]);
+    expect(total).toMatchObject({ weight: 95, lcg: 10, tcg: 2, vcg: 5, fsm: 190 });
+  });
+
+  test.each([
+    ['no tanks', []],
+    ['only empty tanks', [{ ...TANK_A, weight: 0, volume: 0 }]]
+  ])('%s → no CG', (label, tanks) => {
+    const { total } = calculateStabilitySummary(tanks);
+    expect(total).toMatchObject({ weight: 0, lcg: null, tcg: null, vcg: null, fsm: 0 });
+  });
+});
+
+describe('stabilityToCsv', () => {
+  test('one rounded line per tank, no totals line', () => {
+    const csv = stabilityToCsv(calculateStabilitySummary([{ ...TANK_A, weight: 95.12345 }, TANK_B]));
+    const lines = csv.trim().split(/\r?\n/);
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toBe('Tank,Content,Weight (t),Density (t/m3),Volume (m3),LCG (m),TCG (m),VCG (m),FSM (t.m)');
+    expect(lines[1]).toBe('1P,HFO,95.123,0.9512,100,10,2,5,190.2');
+  });
+});
@@ -0,0 +1,137 @@
+// BunkerWatch Tank Contents
+// What each tank holds between soundings: grade, BDN reference(s), density at 15°C and
+// sulphur. These only change when fuel is bunkered or transferred in; a bunker landing
+// on existing ROB blends with it. Soundings just refresh the tank's ROB figure.
+
+const validNumber = (value) => value !== null && value !== undefined && !isNaN(parseFloat(value));
+const numberOrNull = (value) => (validNumber(value) ? parseFloat(value) : null);
+
+/**
+ * Density at 15°C of blended parts: total mass over total standard volume
+ * @param {Array} parts - [{ mt, density }] (density in t/m³ @15°C)
+ * @returns {number|null} Blended density, or null when no part has a mass and density
+ */
+export function blendDensity(parts) {
+  const known = parts.filter(p => validNumber(p.density) && parseFloat(p.density) > 0 && parseFloat(p.mt) > 0);
+  if (known.length === 0) return null;
+  const mass = known.reduce((sum, p) => sum + parseFloat(p.mt), 0);
+  const volume = known.reduce((sum, p) => sum + parseFloat(p.mt) / parseFloat(p.density), 0);
+  return mass / volume;
+}
+
+/**
+ * Sulphur of blended parts, weighted by mass
+ * @param {Array} parts - [{ mt, sulphur }] (% m/m)
+ * @returns {number|null} Blended sulphur, or null when no part has one
+ */
+export function blendSulphur(parts) {
+  const known = parts.filter(p => validNumber(p.sulphur) && parseFloat(p.mt) > 0);
+  if (known.length === 0) return null;
+  const mass = known.reduce((sum, p) => sum + parseFloat(p.mt), 0);
+  return known.reduce((sum, p) => sum + parseFloat(p.mt) * parseFloat(p.sulphur), 0) / mass;
+}
+
+/**
+ * Grade mismatch when fuel is received onto another grade's ROB
+ * @param {object|undefined} existing - Current contents of the tank
+ * @param {string} fuelGrade - Grade being received
+ * @param {number} [openingMt] - Measured opening figure (else the last known ROB)
+ * @returns {object|null} { held, received, rob_mt }, or null when the grades agree or the tank is empty
+ */
+export function gradeMismatch(existing, fuelGrade, openingMt) {
+  const opening = validNumber(openingMt) ? openingMt : existing?.rob_mt;
+  const rob = validNumber(opening) ? parseFloat(opening) : 0;
+  if (!existing?.fuel_grade || !fuelGrade || rob <= 0 || existing.fuel_grade === fuelGrade) {
+    return null;
+  }
+  return { held: existing.fuel_grade, received: fuelGrade, rob_mt: rob };
+}
+
+/**
+ * Tank contents after fuel is received (bunkered or transferred in)
+ * The quantity received is the tank's final figure less its ROB (the opening figure when
+ * measured, else the last known one); with no ROB (or an empty tank) the fuel received
+ * replaces the contents and its BDN lineage. A grade received onto another grade's ROB
+ * is blended and listed in mixed_grades (kept until the tank is emptied).
+ * @param {object|undefined} existing - Current contents of the tank
+ * @param {object} receipt - { compartment_id, fuel_grade, bdn_refs, density, sulphur, opening_mt, final_mt, at }
+ * @returns {object} New contents, with mixed_grades: [grades] or null
+ */
+function contentsAfterReceipt(existing, receipt) {
+  const opening = validNumber(receipt.opening_mt) ? receipt.opening_mt : existing?.rob_mt;
+  const rob = validNumber(opening) ? Math.max(parseFloat(opening), 0) : 0;
+  const finalMt = numberOrNull(receipt.final_mt);
+  const received = finalMt !== null ? Math.max(finalMt - rob, 0) : null;
+  const onTop = !!existing && rob > 0 && received !== null;
+
+  const parts = [
+    { mt: rob, density: existing?.density, sulphur: existing?.sulphur },
+    { mt: received, density: receipt.density, sulphur: receipt.sulphur }
+  ];
+  const priorRefs = onTop ? existing.bdn_refs || [] : [];
+  const mismatch = onTop ? gradeMismatch(existing, receipt.fuel_grade, rob) : null;
+  const mixedGrades = [
+    ...(onTop ? existing.mixed_grades || [] : []),
+    ...(mismatch ? [mismatch.held, mismatch.received] : [])
+  ];
+
+  return {
+    compartment_id: parseInt(receipt.compartment_id),
+    fuel_grade: receipt.fuel_grade,
+    bdn_refs: [...new Set([...priorRefs, ...receipt.bdn_refs].filter(Boolean))],
+    density: onTop ? blendDensity(parts) : numberOrNull(receipt.density),
+    sulphur: onTop ? blendSulphur(parts) : numberOrNull(receipt.sulphur),
+    mixed_grades: mixedGrades.length > 0 ? [...new Set(mixedGrades)] : null,
+    rob_mt: finalMt,
+    updated_at: receipt.at
+  };
+}
+
+/**
+ * Tank contents after a bunker delivery
+ * @param {object|undefined} existing - Current contents of the tank
+ * @param {object} delivery - { compartment_id, fuel_grade, bdn_number, density, sulphur, final_mt, at }
+ * @returns {object} New contents
+ */
+export function contentsAfterBunker(existing, delivery) {
+  return contentsAfterReceipt(existing, { ...delivery, bdn_refs: [delivery.bdn_number] });
+}
+
+/**
+ * Destination tank contents after an internal transfer: the source's fuel (its BDN
+ * lineage and sulphur) blended onto what the destination held before
+ * @param {object|undefined} existing - Current contents of the destination
+ * @param {object|undefined} source - Contents of the source tank
+ * @param {object} transfer - { compartment_id, fuel_grade, density, opening_mt, final_mt, at }
+ * @returns {object} New contents
+ */
+export function contentsAfterTransfer(existing, source, transfer) {
+  return contentsAfterReceipt(existing, {
+    ...transfer,
+    bdn_refs: source?.bdn_refs || [],
+    sulphur: source?.sulphur ?? null
+  });
+}
+
+/**
+ * Tank contents after a submitted sounding: the ROB is refreshed; grade and density are
+ * taken from the sounding only for a tank with no contents recorded yet
+ * @param {object|undefined} existing - Current contents of the tank
+ * @param {object} log - Submitted sounding (canonical units)
+ * @returns {object} New contents
+ */
+export function contentsAfterSounding(existing, log) {
+  const base = existing || {
+    compartment_id: parseInt(log.compartment_id),
+    fuel_grade: log.fuel_grade,
+    bdn_refs: [],
+    density: log.density,
+    sulphur: null,
+    mixed_grades: null
+  };
+  return {
+    ...base,
+    rob_mt: log.calculated_mt,
+    updated_at: log.recorded_at
+  };
+}
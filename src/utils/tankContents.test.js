@@ -0,0 +1,187 @@
+// BunkerWatch Tank Contents tests
+
+import {
+  blendDensity,
+  blendSulphur,
+  contentsAfterBunker,
+  contentsAfterTransfer,
+  contentsAfterSounding,
+  gradeMismatch
+} from './tankContents';
+
+const AT = '2026-10-19T12:00:00.000Z';
+
+describe('blendDensity', () => {
+  test.each([
+    // Mass over standard volume: 100 t @0.980 + 300 t @0.920 → 400 / (102.041 + 326.087)
+    [[{ mt: 100, density: 0.980 }, { mt: 300, density: 0.920 }], 0.934301],
+    [[{ mt: 200, density: 0.991 }, { mt: 200, density: 0.991 }], 0.991],
+    [[{ mt: 50, density: '0.8450' }, { mt: 0, density: 0.900 }], 0.845],
+    // Parts without a density or mass are ignored
+    [[{ mt: 100, density: 0.950 }, { mt: 100, density: null }], 0.95],
+    [[{ mt: 100, density: null }], null]
+  ])('%p → %p', (parts, expected) => {
+    const density = blendDensity(parts);
+    if (expected === null) {
+      expect(density).toBeNull();
+    } else {
+      expect(density).toBeCloseTo(expected, 6);
+    }
+  });
+});
+
+describe('blendSulphur', () => {
+  test.each([
+    [[{ mt: 100, sulphur: 0.45 }, { mt: 300, sulphur: 0.49 }], 0.48],
+    [[{ mt: 100, sulphur: 2.5 }, { mt: 100, sulphur: '' }], 2.5],
+    [[{ mt: 0, sulphur: 0.1 }], null]
+  ])('%p → %p', (parts, expected) => {
+    const sulphur = blendSulphur(parts);
+    if (expected === null) {
+      expect(sulphur).toBeNull();
+    } else {
+      expect(sulphur).toBeCloseTo(expected, 9);
+    }
+  });
+});
+
+describe('contentsAfterBunker', () => {
+  const existing = {
+    compartment_id: 3,
+    fuel_grade: 'VLSFO',
+    bdn_refs: ['BDN-001'],
+    density: 0.980,
+    sulphur: 0.45,
+    rob_mt: 100,
+    updated_at: '2026-10-18T12:00:00.000Z'
+  };
+  const delivery = {
+    compartment_id: '3',
+    fuel_grade: 'VLSFO',
+    bdn_number: 'BDN-002',
+    density: 0.920,
+    sulphur: 0.49,
+    final_mt: 400,
+    at: AT
+  };
+
+  test('blends onto the ROB and keeps both BDNs', () => {
+    expect(contentsAfterBunker(existing, delivery)).toEqual({
+      compartment_id: 3,
+      fuel_grade: 'VLSFO',
+      bdn_refs: ['BDN-001', 'BDN-002'],
+      density: expect.closeTo(0.934301, 6),
+      sulphur: expect.closeTo(0.48, 9),
+      mixed_grades: null,
+      rob_mt: 400,
+      updated_at: AT
+    });
+  });
+
+  test.each([
+    ['no contents recorded', undefined],
+    ['an empty tank', { ...existing, rob_mt: 0 }]
+  ])('into %s the delivery replaces the contents', (label, before) => {
+    expect(contentsAfterBunker(before, delivery)).toMatchObject({
+      bdn_refs: ['BDN-002'],
+      density: 0.92,
+      sulphur: 0.49,
+      rob_mt: 400
+    });
+  });
+
+  test('a measured opening figure takes the place of the last ROB', () => {
+    const contents = contentsAfterBunker(existing, { ...delivery, opening_mt: 300 });
+    // 300 t @0.980 + 100 t @0.920
+    expect(contents.density).toBeCloseTo(400 / (300 / 0.980 + 100 / 0.920), 9);
+  });
+
+  test('the same BDN twice is listed once', () => {
+    const contents = contentsAfterBunker(existing, { ...delivery, bdn_number: 'BDN-001' });
+    expect(contents.bdn_refs).toEqual(['BDN-001']);
+  });
+
+  test('a tank that ends below its ROB received nothing', () => {
+    const contents = contentsAfterBunker(existing, { ...delivery, final_mt: 90 });
+    expect(contents.density).toBeCloseTo(0.980, 9);
+    expect(contents.rob_mt).toBe(90);
+  });
+
+  test.each([
+    ['onto another grade', existing, ['VLSFO', 'HFO']],
+    ['onto a tank already mixed', { ...existing, fuel_grade: 'HFO', mixed_grades: ['LSMGO', 'HFO'] }, ['LSMGO', 'HFO']],
+    ['into an empty tank of another grade', { ...existing, rob_mt: 0 }, null]
+  ])('HFO %s → mixed_grades %p', (label, before, mixed) => {
+    const contents = contentsAfterBunker(before, { ...delivery, fuel_grade: 'HFO' });
+    expect(contents.fuel_grade).toBe('HFO');
+    expect(contents.mixed_grades).toEqual(mixed);
+  });
+});
+
+describe('gradeMismatch', () => {
+  const existing = { fuel_grade: 'VLSFO', rob_mt: 100 };
+
+  test.each([
+    [existing, 'HFO', undefined, { held: 'VLSFO', received: 'HFO', rob_mt: 100 }],
+    [existing, 'HFO', '40', { held: 'VLSFO', received: 'HFO', rob_mt: 40 }],
+    [existing, 'VLSFO', undefined, null],
+    [existing, 'HFO', 0, null],
+    [{ ...existing, rob_mt: 0 }, 'HFO', undefined, null],
+    [{ ...existing, fuel_grade: '' }, 'HFO', undefined, null],
+    [undefined, 'HFO', undefined, null]
+  ])('%p receiving %s (opening %p) → %p', (contents, grade, opening, expected) => {
+    expect(gradeMismatch(contents, grade, opening)).toEqual(expected);
+  });
+});
+
+describe('contentsAfterTransfer', () => {
+  const source = { fuel_grade: 'HFO', bdn_refs: ['BDN-010', 'BDN-011'], density: 0.985, sulphur: 2.8 };
+
+  test('carries the source lineage and sulphur onto the destination ROB', () => {
+    const destination = { fuel_grade: 'HFO', bdn_refs: ['BDN-009'], density: 0.975, sulphur: 2.4, rob_mt: 50 };
+    const contents = contentsAfterTransfer(destination, source, {
+      compartment_id: 7,
+      fuel_grade: 'HFO',
+      density: 0.985,
+      opening_mt: 50,
+      final_mt: 150,
+      at: AT
+    });
+    expect(contents.bdn_refs).toEqual(['BDN-009', 'BDN-010', 'BDN-011']);
+    expect(contents.density).toBeCloseTo(150 / (50 / 0.975 + 100 / 0.985), 9);
+    expect(contents.sulphur).toBeCloseTo((50 * 2.4 + 100 * 2.8) / 150, 9);
+  });
+
+  test('with no source contents only the density is known', () => {
+    const contents = contentsAfterTransfer(undefined, undefined, {
+      compartment_id: 7, fuel_grade: 'HFO', density: 0.985, final_mt: 100, at: AT
+    });
+    expect(contents).toMatchObject({ bdn_refs: [], density: 0.985, sulphur: null });
+  });
+});
+
+describe('contentsAfterSounding', () => {
+  test('refreshes the ROB and keeps the lineage', () => {
+    const existing = { compartment_id: 3, fuel_grade: 'VLSFO', bdn_refs: ['BDN-001'], density: 0.93, sulphur: 0.48 };
+    expect(contentsAfterSounding(existing, { calculated_mt: 380, recorded_at: AT })).toEqual({
+      ...existing,
+      rob_mt: 380,
+      updated_at: AT
+    });
+  });
+
+  test('a first sounding starts the contents without a BDN', () => {
+    expect(contentsAfterSounding(undefined, {
+      compartment_id: '4', fuel_grade: 'MGO', density: 0.85, calculated_mt: 60, recorded_at: AT
+    })).toEqual({
+      compartment_id: 4,
+      fuel_grade: 'MGO',
+      bdn_refs: [],
+      density: 0.85,
+      sulphur: null,
+      mixed_grades: null,
+      rob_mt: 60,
+      updated_at: AT
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// BunkerWatch Internal Transfer
+// Quantity moved out of the source and into the destination tank, the imbalance between
+// them, and what both tanks hold once the transfer is recorded.
+
+import { calculateStandardQuantities, netObservedVolume } from './volumeCorrection';
+import { contentsAfterSounding, contentsAfterTransfer } from './tankContents';
+
+/**
+ * Quantity moved on each side (out of the source, into the destination) and the imbalance
+ * The destination's opening ROB is at the density of what it already holds (its contents),
+ * so only the fuel received is weighed at the transfer density.
+ * @param {object} source - Source side { beforeResult, afterResult }
+ * @param {object} destination - Destination side { beforeResult, afterResult }
+ * @param {object} conditions - { density, destinationDensity, temperature, massBasis }, canonical;
+ *   destinationDensity is the density the destination holds (null: the transfer density)
+ * @returns {object} { source, destination, imbalance }; a side is
+ *   { openingDensity, beforeMt, afterMt, volume, mt } once both its readings are calculated
+ */
+export function calculateTransferTotals(source, destination, conditions) {
+  const { density, destinationDensity, temperature, massBasis } = conditions;
+  const massOf = (volume, density15) => {
+    const quantities = calculateStandardQuantities(volume, density15, temperature, massBasis);
+    return quantities && !quantities.error ? quantities.mt : null;
+  };
+  const side = (tank, sign, openingDensity) => {
+    if (!tank.beforeResult || !tank.afterResult) return null;
+    const beforeVolume = netObservedVolume(tank.beforeResult);
+    const afterVolume = netObservedVolume(tank.afterResult);
+    const beforeMt = massOf(beforeVolume, openingDensity);
+    const movedMt = massOf(afterVolume - beforeVolume, density);
+    const afterMt = beforeMt !== null && movedMt !== null ? beforeMt + movedMt : null;
+    return {
+      openingDensity,
+      beforeMt,
+      afterMt,
+      volume: sign * (afterVolume - beforeVolume),
+      mt: afterMt !== null ? sign * movedMt : null
+    };
+  };
+
+  const sourceTotals = side(source, -1, density);
+  const destinationTotals = side(destination, 1, destinationDensity ?? density);
+  const imbalance =
+    sourceTotals && destinationTotals && sourceTotals.mt !== null && destinationTotals.mt !== null
+      ? sourceTotals.mt - destinationTotals.mt
+      : null;
+  return { source: sourceTotals, destination: destinationTotals, imbalance };
+}
+
+/**
+ * Contents of both tanks after a recorded transfer: the source keeps what it held at its
+ * new ROB; the destination receives the source's fuel on top of its opening ROB
+ * @param {object} record - Recorded transfer (canonical units)
+ * @param {object|undefined} sourceContents - Contents of the source before the transfer
+ * @param {object|undefined} destinationContents - Contents of the destination before it
+ * @returns {Array} [source contents, destination contents]
+ */
+export function contentsAfterTransferRecord(record, sourceContents, destinationContents) {
+  return [
+    contentsAfterSounding(sourceContents, {
+      compartment_id: record.source.compartment_id,
+      fuel_grade: record.source.fuel_grade,
+      density: record.density,
+      calculated_mt: record.source.after_mt,
+      recorded_at: record.transferred_at
+    }),
+    contentsAfterTransfer(destinationContents, sourceContents, {
+      compartment_id: record.destination.compartment_id,
+      fuel_grade: record.fuel_grade,
+      density: record.density,
+      opening_mt: record.destination.before_mt,
+      final_mt: record.destination.after_mt,
+      at: record.transferred_at
+    })
+  ];
+}
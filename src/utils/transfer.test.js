@@ -0,0 +1,132 @@
+// BunkerWatch Internal Transfer tests
+// At 15°C the VCF is 1 and the vacuum WCF is the density, so mT = m³ × density.
+
+import { calculateTransferTotals, contentsAfterTransferRecord } from './transfer';
+import { MASS_BASIS } from './constants';
+
+const AT = '2026-10-19T12:00:00.000Z';
+
+const side = (before, after, water = 0) => ({
+  beforeResult: { final_volume: before, free_water: water ? { volume: water } : null },
+  afterResult: { final_volume: after, free_water: water ? { volume: water } : null }
+});
+const conditions = (overrides = {}) => ({
+  density: 0.95,
+  destinationDensity: null,
+  temperature: 15,
+  massBasis: MASS_BASIS.VACUUM,
+  ...overrides
+});
+
+describe('calculateTransferTotals', () => {
+  test.each([
+    // source m³ before/after, destination m³ before/after, moved out (m³, mT), moved in (m³, mT), imbalance
+    ['balanced', [500, 400], [100, 200], [100, 95], [100, 95], 0],
+    ['less arrived than left', [500, 400], [100, 198], [100, 95], [98, 93.1], 1.9],
+    ['more arrived than left', [500, 400], [100, 201], [100, 95], [101, 95.95], -0.95],
+    // Wrong way round: the "source" filled, so both sides read negative
+    ['source and destination swapped', [400, 500], [200, 100], [-100, -95], [-100, -95], 0]
+  ])('%s', (label, [sourceBefore, sourceAfter], [destBefore, destAfter], out, into, imbalance) => {
+    const totals = calculateTransferTotals(
+      side(sourceBefore, sourceAfter),
+      side(destBefore, destAfter),
+      conditions()
+    );
+    expect(totals.source.volume).toBeCloseTo(out[0], 9);
+    expect(totals.source.mt).toBeCloseTo(out[1], 9);
+    expect(totals.destination.volume).toBeCloseTo(into[0], 9);
+    expect(totals.destination.mt).toBeCloseTo(into[1], 9);
+    expect(totals.imbalance).toBeCloseTo(imbalance, 9);
+  });
+
+  test.each([
+    // Destination opening density, opening mT, closing mT
+    [null, 95, 190],
+    [0.90, 90, 185],
+    [0.99, 99, 194]
+  ])('destination holding %p t/m³: ROB %f mT → %f mT', (destinationDensity, beforeMt, afterMt) => {
+    const totals = calculateTransferTotals(side(500, 400), side(100, 200), conditions({ destinationDensity }));
+    expect(totals.destination.openingDensity).toBe(destinationDensity ?? 0.95);
+    expect(totals.destination.beforeMt).toBeCloseTo(beforeMt, 9);
+    expect(totals.destination.afterMt).toBeCloseTo(afterMt, 9);
+    // The fuel received is weighed at the transfer density either way
+    expect(totals.destination.mt).toBeCloseTo(95, 9);
+    expect(totals.imbalance).toBeCloseTo(0, 9);
+  });
+
+  test('the source is weighed at the transfer density', () => {
+    const totals = calculateTransferTotals(side(500, 400), side(100, 200), conditions({ destinationDensity: 0.9 }));
+    expect(totals.source).toMatchObject({ openingDensity: 0.95 });
+    expect(totals.source.beforeMt).toBeCloseTo(475, 9);
+    expect(totals.source.afterMt).toBeCloseTo(380, 9);
+  });
+
+  test('free water is left out of both readings', () => {
+    const totals = calculateTransferTotals(side(510, 410, 10), side(100, 200), conditions());
+    expect(totals.source.beforeMt).toBeCloseTo(475, 9);
+    expect(totals.source.mt).toBeCloseTo(95, 9);
+  });
+
+  test.each([
+    ['a side not calculated yet', { beforeResult: null, afterResult: null }, conditions()],
+    ['no density', side(100, 200), conditions({ density: '' })],
+    ['a density outside Table 54B', side(100, 200), conditions({ density: 1.2 })]
+  ])('%s → no imbalance', (label, destination, transferConditions) => {
+    expect(calculateTransferTotals(side(500, 400), destination, transferConditions).imbalance).toBeNull();
+  });
+});
+
+describe('contentsAfterTransferRecord', () => {
+  const record = {
+    transferred_at: AT,
+    fuel_grade: 'HFO',
+    density: 0.95,
+    source: { compartment_id: 1, fuel_grade: 'HFO', after_mt: 380 },
+    destination: { compartment_id: 2, before_mt: 90, after_mt: 185 }
+  };
+  const sourceContents = {
+    compartment_id: 1,
+    fuel_grade: 'HFO',
+    bdn_refs: ['BDN-001'],
+    density: 0.95,
+    sulphur: 2.5,
+    mixed_grades: null,
+    rob_mt: 475,
+    updated_at: '2026-10-18T12:00:00.000Z'
+  };
+  const destinationContents = {
+    compartment_id: 2,
+    fuel_grade: 'HFO',
+    bdn_refs: ['BDN-000'],
+    density: 0.9,
+    sulphur: 1.5,
+    mixed_grades: null,
+    rob_mt: 92,
+    updated_at: '2026-10-18T12:00:00.000Z'
+  };
+
+  test('the source keeps its lineage at its new ROB', () => {
+    const [source] = contentsAfterTransferRecord(record, sourceContents, destinationContents);
+    expect(source).toEqual({ ...sourceContents, rob_mt: 380, updated_at: AT });
+  });
+
+  test('the destination blends the source fuel onto its measured opening ROB', () => {
+    const [, destination] = contentsAfterTransferRecord(record, sourceContents, destinationContents);
+    expect(destination).toEqual({
+      compartment_id: 2,
+      fuel_grade: 'HFO',
+      bdn_refs: ['BDN-000', 'BDN-001'],
+      // 90 t @0.90 + 95 t @0.95 → 185 / 200 m³
+      density: expect.closeTo(0.925, 9),
+      sulphur: expect.closeTo((90 * 1.5 + 95 * 2.5) / 185, 9),
+      mixed_grades: null,
+      rob_mt: 185,
+      updated_at: AT
+    });
+  });
+
+  test('into a tank with no contents the source fuel replaces them', () => {
+    const [, destination] = contentsAfterTransferRecord(record, sourceContents, undefined);
+    expect(destination).toMatchObject({ bdn_refs: ['BDN-001'], density: 0.95, sulphur: 2.5, rob_mt: 185 });
+  });
+});
@@ -0,0 +1,219 @@
+// BunkerWatch Units
+// Conversion between the units an officer enters/reads and the canonical units
+// every calculation uses: cm (ullage/sounding), m³ (volume), t/m³ @15°C (density), °C.
+// Vessel settings pick the units; a user can override them on their own device.
+
+import { getSyncMetadata, setSyncMetadata } from '../db/database';
+import { UNITS, DEFAULT_UNITS } from './constants';
+import { calculateVCF } from './volumeCorrection';
+
+const USER_UNITS_KEY = 'user_units';
+
+// Density of water at 60°F in t/m³ (API MPMS 11.1)
+const WATER_DENSITY_60F = 0.999016;
+const TEMPERATURE_60F_IN_C = (60 - 32) * 5 / 9;
+
+// t/m³ @15°C a density tolerance is shown about in °API
+const DELTA_REFERENCE_DENSITY = 0.95;
+
+// Linear units: factor to the canonical unit
+const LENGTH_TO_CM = {
+  [UNITS.LENGTH.CM]: 1,
+  [UNITS.LENGTH.MM]: 0.1,
+  [UNITS.LENGTH.M]: 100,
+  [UNITS.LENGTH.IN]: 2.54
+};
+
+const VOLUME_TO_M3 = {
+  [UNITS.VOLUME.M3]: 1,
+  [UNITS.VOLUME.BBL]: 0.158987294928,
+  [UNITS.VOLUME.USGAL]: 0.003785411784,
+  [UNITS.VOLUME.L]: 0.001
+};
+
+export const UNIT_LABELS = {
+  [UNITS.LENGTH.CM]: 'cm',
+  [UNITS.LENGTH.MM]: 'mm',
+  [UNITS.LENGTH.M]: 'm',
+  [UNITS.LENGTH.IN]: 'in',
+  [UNITS.VOLUME.M3]: 'm³',
+  [UNITS.VOLUME.BBL]: 'bbl',
+  [UNITS.VOLUME.USGAL]: 'US gal',
+  [UNITS.VOLUME.L]: 'L',
+  [UNITS.DENSITY.T_M3]: 't/m³ @15°C',
+  [UNITS.DENSITY.KG_M3]: 'kg/m³ @15°C',
+  [UNITS.DENSITY.API]: '°API',
+  [UNITS.TEMPERATURE.C]: '°C',
+  [UNITS.TEMPERATURE.F]: '°F'
+};
+
+// Display decimals per unit
+const DECIMALS = {
+  [UNITS.LENGTH.CM]: 1,
+  [UNITS.LENGTH.MM]: 0,
+  [UNITS.LENGTH.M]: 3,
+  [UNITS.LENGTH.IN]: 2,
+  [UNITS.VOLUME.M3]: 2,
+  [UNITS.VOLUME.BBL]: 1,
+  [UNITS.VOLUME.USGAL]: 0,
+  [UNITS.VOLUME.L]: 0,
+  [UNITS.DENSITY.T_M3]: 4,
+  [UNITS.DENSITY.KG_M3]: 1,
+  [UNITS.DENSITY.API]: 1,
+  [UNITS.TEMPERATURE.C]: 1,
+  [UNITS.TEMPERATURE.F]: 1
+};
+
+/**
+ * API gravity (at 60°F) to density at 15°C in t/m³
+ * Density at 60°F is corrected to 15°C with Table 54B, iterating because
+ * the correction depends on the density being solved for.
+ */
+function apiToDensity15(api) {
+  const density60 = 141.5 / (api + 131.5) * WATER_DENSITY_60F;
+  let density15 = density60;
+  for (let i = 0; i < 5; i++) {
+    density15 = density60 / calculateVCF(density15, TEMPERATURE_60F_IN_C);
+  }
+  return density15;
+}
+
+/**
+ * Density at 15°C in t/m³ to API gravity (at 60°F)
+ */
+function density15ToApi(density15) {
+  const density60 = density15 * calculateVCF(density15, TEMPERATURE_60F_IN_C);
+  return 141.5 / (density60 / WATER_DENSITY_60F) - 131.5;
+}
+
+/**
+ * Convert an entered value to the canonical unit
+ * @param {string} kind - 'length', 'volume', 'density' or 'temperature'
+ * @param {number|string} value - Value in the given unit
+ * @param {string} unit - UNITS.* value
+ * @returns {number} Canonical value (NaN if not a number or not convertible)
+ */
+export function toCanonical(kind, value, unit) {
+  const v = parseFloat(value);
+  if (isNaN(v)) return NaN;
+
+  switch (kind) {
+    case 'length':
+      return v * LENGTH_TO_CM[unit];
+    case 'volume':
+      return v * VOLUME_TO_M3[unit];
+    case 'density':
+      if (unit === UNITS.DENSITY.KG_M3) return v / 1000;
+      if (unit === UNITS.DENSITY.API) {
+        try {
+          return apiToDensity15(v);
+        } catch {
+          return NaN;
+        }
+      }
+      return v;
+    case 'temperature':
+      return unit === UNITS.TEMPERATURE.F ? (v - 32) * 5 / 9 : v;
+    default:
+      throw new Error(`Unknown unit kind: ${kind}`);
+  }
+}
+
+/**
+ * Convert a canonical value to a display unit
+ * @param {string} kind - 'length', 'volume', 'density' or 'temperature'
+ * @param {number} value - Canonical value
+ * @param {string} unit - UNITS.* value
+ * @returns {number} Value in the unit (NaN if not convertible)
+ */
+export function fromCanonical(kind, value, unit) {
+  const v = parseFloat(value);
+  if (isNaN(v)) return NaN;
+
+  switch (kind) {
+    case 'length':
+      return v / LENGTH_TO_CM[unit];
+    case 'volume':
+      return v / VOLUME_TO_M3[unit];
+    case 'density':
+      if (unit === UNITS.DENSITY.KG_M3) return v * 1000;
+      if (unit === UNITS.DENSITY.API) {
+        try {
+          return density15ToApi(v);
+        } catch {
+          return NaN;
+        }
+      }
+      return v;
+    case 'temperature':
+      return unit === UNITS.TEMPERATURE.F ? v * 9 / 5 + 32 : v;
+    default:
+      throw new Error(`Unknown unit kind: ${kind}`);
+  }
+}
+
+/**
+ * Entered value as a canonical value, keeping '' as '' (no input)
+ */
+export function enteredToCanonical(kind, value, unit) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return '';
+  }
+  return toCanonical(kind, value, unit);
+}
+
+/**
+ * Format a canonical value in a display unit (number only)
+ * @param {number} decimals - Override the unit's default decimals
+ */
+export function formatInUnit(kind, value, unit, decimals) {
+  const converted = fromCanonical(kind, value, unit);
+  if (isNaN(converted)) return 'N/A';
+  return converted.toFixed(decimals ?? DECIMALS[unit]);
+}
+
+/**
+ * Format a canonical tolerance (± delta) in a display unit (number only)
+ * Offset units (°F) convert by scale alone; °API is not linear in density, so a density
+ * delta is converted about a typical fuel density unless a reference is given.
+ * @param {number} reference - Canonical value the delta applies about
+ */
+export function formatDeltaInUnit(kind, delta, unit, reference) {
+  const about = reference ?? (kind === 'density' ? DELTA_REFERENCE_DENSITY : 0);
+  const converted = Math.abs(
+    fromCanonical(kind, about + parseFloat(delta), unit) - fromCanonical(kind, about, unit)
+  );
+  if (isNaN(converted)) return 'N/A';
+  return converted.toFixed(DECIMALS[unit]);
+}
+
+/**
+ * Units in effect: the user's device overrides, else the vessel's units
+ * @param {object} vesselUnits - From vessel settings
+ * @param {object|null} userUnits - { length, volume, density, temperature }, null entries follow the vessel
+ */
+export function resolveUnits(vesselUnits, userUnits) {
+  const units = { ...DEFAULT_UNITS, ...(vesselUnits || {}) };
+  Object.keys(units).forEach(kind => {
+    if (userUnits && userUnits[kind]) {
+      units[kind] = userUnits[kind];
+    }
+  });
+  return units;
+}
+
+/**
+ * Get this device's unit overrides
+ * @returns {Promise<object>} { length, volume, density, temperature } (null = vessel default)
+ */
+export async function getUserUnits() {
+  return (await getSyncMetadata(USER_UNITS_KEY)) || {};
+}
+
+/**
+ * Save this device's unit overrides
+ */
+export async function saveUserUnits(userUnits) {
+  await setSyncMetadata(USER_UNITS_KEY, userUnits);
+  return userUnits;
+}
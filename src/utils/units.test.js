@@ -0,0 +1,88 @@
+// BunkerWatch Units tests
+
+import { toCanonical, fromCanonical, enteredToCanonical, formatInUnit, formatDeltaInUnit } from './units';
+import { UNITS } from './constants';
+
+describe('API gravity ↔ density at 15°C', () => {
+  test.each([
+    // °API (60°F), t/m³ @15°C
+    [10, 0.9994],
+    [20, 0.9334],
+    [30, 0.8756],
+    [40, 0.8247],
+    [50, 0.7793]
+  ])('%f °API → %f t/m³', (api, density) => {
+    expect(toCanonical('density', api, UNITS.DENSITY.API)).toBeCloseTo(density, 4);
+  });
+
+  test.each([10, 12.5, 17.3, 24.8, 31, 38.6, 45, 52])('%f °API round-trips', (api) => {
+    const density = toCanonical('density', api, UNITS.DENSITY.API);
+    expect(fromCanonical('density', density, UNITS.DENSITY.API)).toBeCloseTo(api, 6);
+  });
+
+  test.each([0.7800, 0.8450, 0.8900, 0.9500, 0.9910, 1.0100])('%f t/m³ round-trips', (density) => {
+    const api = fromCanonical('density', density, UNITS.DENSITY.API);
+    expect(toCanonical('density', api, UNITS.DENSITY.API)).toBeCloseTo(density, 6);
+  });
+
+  test('a density outside Table 54B has no API', () => {
+    expect(fromCanonical('density', 1.2, UNITS.DENSITY.API)).toBeNaN();
+  });
+});
+
+describe('toCanonical / fromCanonical', () => {
+  test.each([
+    ['length', 1234, UNITS.LENGTH.MM, 123.4],
+    ['length', 1.5, UNITS.LENGTH.M, 150],
+    ['length', 10, UNITS.LENGTH.IN, 25.4],
+    ['volume', 1000, UNITS.VOLUME.BBL, 158.987294928],
+    ['volume', 1000, UNITS.VOLUME.USGAL, 3.785411784],
+    ['volume', 2500, UNITS.VOLUME.L, 2.5],
+    ['density', 991.0, UNITS.DENSITY.KG_M3, 0.991],
+    ['temperature', 104, UNITS.TEMPERATURE.F, 40],
+    ['temperature', 32, UNITS.TEMPERATURE.F, 0]
+  ])('%s %f %s → %f canonical', (kind, value, unit, canonical) => {
+    expect(toCanonical(kind, value, unit)).toBeCloseTo(canonical, 9);
+    expect(fromCanonical(kind, canonical, unit)).toBeCloseTo(value, 9);
+  });
+
+  test('blank input stays blank, junk is NaN', () => {
+    expect(enteredToCanonical('density', '', UNITS.DENSITY.API)).toBe('');
+    expect(enteredToCanonical('temperature', '  ', UNITS.TEMPERATURE.F)).toBe('');
+    expect(toCanonical('length', 'abc', UNITS.LENGTH.CM)).toBeNaN();
+  });
+});
+
+describe('formatInUnit', () => {
+  test.each([
+    ['volume', 158.987294928, UNITS.VOLUME.BBL, '1000.0'],
+    ['density', 0.991, UNITS.DENSITY.KG_M3, '991.0'],
+    ['temperature', 40, UNITS.TEMPERATURE.F, '104.0'],
+    ['length', 'x', UNITS.LENGTH.CM, 'N/A']
+  ])('%s %p in %s → %s', (kind, value, unit, text) => {
+    expect(formatInUnit(kind, value, unit)).toBe(text);
+  });
+});
+
+describe('formatDeltaInUnit', () => {
+  test.each([
+    ['length', 0.5, UNITS.LENGTH.MM, '5'],
+    ['length', 0.5, UNITS.LENGTH.M, '0.005'],
+    ['length', 1, UNITS.LENGTH.IN, '0.39'],
+    // A temperature tolerance scales without the 32°F offset
+    ['temperature', 0.5, UNITS.TEMPERATURE.F, '0.9'],
+    ['temperature', 1, UNITS.TEMPERATURE.C, '1.0'],
+    ['density', 0.0005, UNITS.DENSITY.T_M3, '0.0005'],
+    ['density', 0.0005, UNITS.DENSITY.KG_M3, '0.5'],
+    // °API about a typical fuel density
+    ['density', 0.002, UNITS.DENSITY.API, '0.3'],
+    ['length', 'x', UNITS.LENGTH.CM, 'N/A']
+  ])('±%s %p in %s → ±%s', (kind, delta, unit, text) => {
+    expect(formatDeltaInUnit(kind, delta, unit)).toBe(text);
+  });
+
+  test('°API delta about a given density', () => {
+    // Lighter fuel: the same density delta spans more °API
+    expect(formatDeltaInUnit('density', 0.002, UNITS.DENSITY.API, 0.85)).toBe('0.4');
+  });
+});
@@ -0,0 +1,197 @@
+// BunkerWatch Volume Correction
+// ASTM D1250 / API MPMS 11.1 Table 54B - correction of observed volume to 15°C
+
+import { MASS_BASIS } from './constants';
+
+/**
+ * Table 54B product groups.
+ * Densities are at 15°C in kg/m³, ranges are [min, max); the table ends at 1075.0 inclusive.
+ * alpha = a + k0 / rho² + k1 / rho
+ */
+const TABLE_54B_GROUPS = [
+  { name: 'Gasolines', min: 653.0, max: 770.5, a: 0, k0: 346.4228, k1: 0.4388 },
+  { name: 'Transition zone', min: 770.5, max: 787.5, a: -0.00336312, k0: 2680.3206, k1: 0 },
+  { name: 'Jet fuels', min: 787.5, max: 838.5, a: 0, k0: 594.5418, k1: 0 },
+  { name: 'Fuel oils', min: 838.5, max: 1075.0, a: 0, k0: 186.9696, k1: 0.4862 }
+];
+
+export const REFERENCE_TEMPERATURE = 15.0;
+
+// Density in air = density in vacuum - 0.0011 t/m³ (ASTM Table 56)
+export const AIR_BUOYANCY_OFFSET = 0.0011;
+
+/**
+ * Find the Table 54B product group for a density at 15°C (kg/m³)
+ */
+function getProductGroup(densityKgM3) {
+  const last = TABLE_54B_GROUPS[TABLE_54B_GROUPS.length - 1];
+  const group = densityKgM3 === last.max
+    ? last
+    : TABLE_54B_GROUPS.find(g => densityKgM3 >= g.min && densityKgM3 < g.max);
+  if (!group) {
+    const min = TABLE_54B_GROUPS[0].min / 1000;
+    const max = last.max / 1000;
+    throw new Error(`Density ${densityKgM3 / 1000} t/m³ is outside Table 54B range ${min}-${max} t/m³`);
+  }
+  return group;
+}
+
+/**
+ * Calculate volume correction factor (Table 54B)
+ * @param {number} density15 - Density at 15°C in t/m³ (e.g. 0.950)
+ * @param {number} temperature - Observed temperature in °C
+ * @returns {number} VCF rounded to 4 decimals
+ */
+export function calculateVCF(density15, temperature) {
+  const rho = parseFloat(density15) * 1000;
+  const temp = parseFloat(temperature);
+
+  if (isNaN(rho) || isNaN(temp)) {
+    throw new Error('Density and temperature are required for VCF');
+  }
+
+  const { a, k0, k1 } = getProductGroup(rho);
+  const alpha = a + k0 / (rho * rho) + k1 / rho;
+  const deltaT = temp - REFERENCE_TEMPERATURE;
+  const vcf = Math.exp(-alpha * deltaT * (1 + 0.8 * alpha * deltaT));
+
+  return Math.round(vcf * 10000) / 10000;
+}
+
+/**
+ * Weight correction factor: tonnes per m³ of GSV on the given mass basis
+ * @param {number} density15 - Density at 15°C (in vacuum) in t/m³
+ * @param {string} massBasis - MASS_BASIS.VACUUM or MASS_BASIS.AIR
+ * @returns {number} WCF in t/m³
+ */
+export function calculateWCF(density15, massBasis = MASS_BASIS.VACUUM) {
+  const density = parseFloat(density15);
+  return massBasis === MASS_BASIS.AIR ? density - AIR_BUOYANCY_OFFSET : density;
+}
+
+/**
+ * Total observed volume of a calculation result less its free water
+ * (gross observed volume of fuel, the volume VCF is applied to)
+ * @param {object} result - Sounding calculation result (m³)
+ * @returns {number} Volume in m³
+ */
+export function netObservedVolume(result) {
+  const volume = result.final_volume !== undefined ? result.final_volume : result.volume;
+  return volume - (result.free_water ? result.free_water.volume : 0);
+}
+
+/**
+ * Volume band of a calculation result less its free water
+ * @param {object} result - Sounding calculation result (m³)
+ * @returns {object|null} { min, max } in m³, or null without a band
+ */
+export function netVolumeBand(result) {
+  if (!result.volume_band) return null;
+  const water = result.free_water ? result.free_water.volume : 0;
+  return { min: result.volume_band.min - water, max: result.volume_band.max - water };
+}
+
+/**
+ * Calculate standard quantities from an observed volume
+ * Without a temperature no VCF can be applied: mT is then observed volume × WCF and the
+ * result is flagged `uncorrected` (vcf and gsv are null).
+ * @param {number} observedVolume - Observed volume in m³
+ * @param {number} density15 - Density at 15°C in t/m³
+ * @param {number} temperature - Observed temperature in °C
+ * @param {string} massBasis - MASS_BASIS.VACUUM or MASS_BASIS.AIR
+ * @returns {object|null} { vcf, gsv, wcf, mt, mass_basis, uncorrected }, { error } if the
+ *   correction failed (e.g. density outside Table 54B), or null if volume/density are missing
+ */
+export function calculateStandardQuantities(observedVolume, density15, temperature, massBasis = MASS_BASIS.VACUUM) {
+  const volume = parseFloat(observedVolume);
+  const density = parseFloat(density15);
+  const temp = parseFloat(temperature);
+
+  if (isNaN(volume) || isNaN(density)) {
+    return null;
+  }
+
+  const wcf = calculateWCF(density, massBasis);
+  if (isNaN(temp)) {
+    return {
+      vcf: null,
+      gsv: null,
+      wcf,
+      mt: volume * wcf,
+      mass_basis: massBasis,
+      uncorrected: true
+    };
+  }
+
+  try {
+    const vcf = calculateVCF(density, temp);
+    const gsv = volume * vcf;
+    return {
+      vcf,
+      gsv,
+      wcf,
+      mt: gsv * wcf,
+      mass_basis: massBasis,
+      uncorrected: false
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Mass band for an observed-volume band and density/temperature tolerances
+ * VCF × WCF is evaluated at density ± δ and temperature ± δ (every combination),
+ * then paired with the volume extremes (all factors are positive).
+ * @param {object} volumeBand - { min, max } observed volume in m³
+ * @param {number} density15 - Density at 15°C in t/m³
+ * @param {number} temperature - Observed temperature in °C
+ * @param {string} massBasis - MASS_BASIS.VACUUM or MASS_BASIS.AIR
+ * @param {object} tolerances - { density (t/m³), temperature (°C) } as ± values
+ * @returns {object|null} { min, max } in mT, { error } if the correction failed, or null if
+ *   inputs are incomplete
+ */
+export function calculateMassBand(volumeBand, density15, temperature, massBasis = MASS_BASIS.VACUUM, tolerances = {}) {
+  const density = parseFloat(density15);
+  const temp = parseFloat(temperature);
+  if (!volumeBand || isNaN(density) || isNaN(temp)) {
+    return null;
+  }
+
+  const withTolerance = (value, tolerance) => {
+    const delta = Math.abs(parseFloat(tolerance)) || 0;
+    return delta > 0 ? [value - delta, value, value + delta] : [value];
+  };
+
+  try {
+    const factors = [];
+    withTolerance(density, tolerances.density).forEach(d => {
+      withTolerance(temp, tolerances.temperature).forEach(t => {
+        factors.push(calculateVCF(d, t) * calculateWCF(d, massBasis));
+      });
+    });
+    return {
+      min: volumeBand.min * Math.min(...factors),
+      max: volumeBand.max * Math.max(...factors)
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Add bands (worst case: the tolerances are treated as fully correlated)
+ * @param {Array<object>} bands - [{ min, max }]
+ * @returns {object|null} { min, max }, or null if any band is missing or failed
+ */
+export function sumBands(bands) {
+  if (bands.length === 0 || bands.some(band => !band || band.error)) {
+    return null;
+  }
+  return bands.reduce(
+    (total, band) => ({ min: total.min + band.min, max: total.max + band.max }),
+    { min: 0, max: 0 }
+  );
+}
+
+export default calculateVCF;
@@ -0,0 +1,122 @@
+// BunkerWatch Volume Correction tests
+// Expected VCFs are ASTM D1250 Table 54B values (density in t/m³ @15°C, temperature in °C)
+
+import {
+  calculateVCF,
+  calculateWCF,
+  calculateStandardQuantities,
+  calculateMassBand,
+  sumBands
+} from './volumeCorrection';
+import { MASS_BASIS } from './constants';
+
+describe('calculateVCF', () => {
+  test.each([
+    // Fuel oils
+    [0.9910, 15, 1.0000],
+    [0.9910, 40, 0.9829],
+    [0.9900, 50, 0.9760],
+    [0.9500, 50, 0.9747],
+    [0.9600, 0, 1.0106],
+    [0.8900, 25, 0.9922],
+    [1.0100, 60, 0.9698],
+    [0.8400, 30, 0.9873],
+    // Jet fuels
+    [0.8200, 30, 0.9867],
+    // Transition zone
+    [0.7800, 20, 0.9948],
+    // Gasolines
+    [0.7200, 25, 0.9872]
+  ])('density %f at %f°C → %f', (density, temperature, expected) => {
+    expect(calculateVCF(density, temperature)).toBe(expected);
+  });
+
+  test.each([
+    // Either side of each product group limit; at 120°C neighbouring groups differ in the 4th decimal
+    [0.7700, 0.8755], // Gasolines
+    [0.7708, 0.8762], // Transition zone from 0.7705
+    [0.7870, 0.8963], // Transition zone
+    [0.7878, 0.8970], // Jet fuels from 0.7875
+    [0.8388, 0.9093] // Fuel oils from 0.8385
+  ])('density %f at 120°C → %f', (density, expected) => {
+    expect(calculateVCF(density, 120)).toBe(expected);
+  });
+
+  test.each([
+    [0.6530, 15, 1.0000],
+    [1.0750, 50, 0.9784]
+  ])('density %f at the end of Table 54B is accepted', (density, temperature, expected) => {
+    expect(calculateVCF(density, temperature)).toBe(expected);
+  });
+
+  test('accepts numeric strings from form fields', () => {
+    expect(calculateVCF('0.9910', '40')).toBe(0.9829);
+  });
+
+  test.each([
+    [0.6000, 20],
+    [0.6529, 20],
+    [1.0752, 20],
+    [1.0800, 20]
+  ])('density %f is outside Table 54B', (density, temperature) => {
+    expect(() => calculateVCF(density, temperature)).toThrow(/outside Table 54B/);
+  });
+
+  test('requires density and temperature', () => {
+    expect(() => calculateVCF(0.95, '')).toThrow(/required/);
+  });
+});
+
+describe('calculateWCF', () => {
+  test.each([
+    [0.9910, MASS_BASIS.VACUUM, 0.9910],
+    [0.9910, MASS_BASIS.AIR, 0.9899],
+    [0.8450, MASS_BASIS.AIR, 0.8439]
+  ])('density %f in %s → %f', (density, basis, expected) => {
+    expect(calculateWCF(density, basis)).toBeCloseTo(expected, 6);
+  });
+});
+
+describe('calculateStandardQuantities', () => {
+  test('observed volume → GSV → mT', () => {
+    const q = calculateStandardQuantities(500, 0.9910, 40, MASS_BASIS.AIR);
+    expect(q.vcf).toBe(0.9829);
+    expect(q.gsv).toBeCloseTo(491.45, 6);
+    expect(q.wcf).toBeCloseTo(0.9899, 6);
+    expect(q.mt).toBeCloseTo(491.45 * 0.9899, 6);
+    expect(q.uncorrected).toBe(false);
+  });
+
+  test('without a temperature the mass is flagged uncorrected', () => {
+    const q = calculateStandardQuantities(500, 0.9910, '', MASS_BASIS.VACUUM);
+    expect(q).toMatchObject({ vcf: null, gsv: null, uncorrected: true });
+    expect(q.mt).toBeCloseTo(495.5, 6);
+  });
+
+  test('returns the correction error instead of a mass', () => {
+    expect(calculateStandardQuantities(500, 1.2, 40).error).toMatch(/outside Table 54B/);
+  });
+
+  test('returns null without a volume or density', () => {
+    expect(calculateStandardQuantities('', 0.991, 40)).toBeNull();
+    expect(calculateStandardQuantities(500, '', 40)).toBeNull();
+  });
+});
+
+describe('calculateMassBand', () => {
+  test('brackets the nominal mass', () => {
+    const nominal = calculateStandardQuantities(500, 0.9910, 40).mt;
+    const band = calculateMassBand({ min: 498, max: 502 }, 0.9910, 40, MASS_BASIS.VACUUM, {
+      density: 0.0005,
+      temperature: 0.5
+    });
+    expect(band.min).toBeLessThan(nominal);
+    expect(band.max).toBeGreaterThan(nominal);
+  });
+
+  test('a failed band is not summed', () => {
+    const failed = calculateMassBand({ min: 1, max: 2 }, 1.2, 40);
+    expect(failed.error).toMatch(/outside Table 54B/);
+    expect(sumBands([{ min: 1, max: 2 }, failed])).toBeNull();
+  });
+});